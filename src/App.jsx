@@ -1,57 +1,151 @@
 // ActivityMapper.jsx
 import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
-import { GoogleMap, Marker, useJsApiLoader } from "@react-google-maps/api";
+import {
+  GoogleMap,
+  Marker,
+  MarkerClusterer,
+  Polygon,
+  Polyline,
+  Rectangle,
+  Circle,
+  useJsApiLoader,
+} from "@react-google-maps/api";
 import { RateLimiter } from "limiter";
 import {
   CONTAINER_STYLE as containerStyle,
-  ICON_COLORS,
-  ACTIVITY_LABELS,
-  ICON_BASE_URL,
   HOME_ICON_URL,
-  ACTIVITY_MARKER_RADIUS_DEG,
-  MARKER_BATCH_SIZE,
+  LOW_CONFIDENCE_COLOR,
+  CLUSTER_GRID_SIZE,
+  CLUSTER_MAX_ZOOM,
+  HOME_CLUSTER_COLOR,
   DEBOUNCE_MS,
-  MAX_ROWS,
+  ROW_WARNING_THRESHOLD,
+  GEOCODE_CONCURRENCY,
+  PROGRESS_FLUSH_MS,
+  AUTOSAVE_DEBOUNCE_MS,
+  HEATMAP_DEFAULT_RADIUS,
+  HEATMAP_DEFAULT_INTENSITY,
+  BOUNDARY_COLOR,
+  AREA_SELECTION_COLOR,
+  SPIDERFY_MAX_MARKERS,
+  CONNECTION_COLOR,
+  CATCHMENT_COLOR,
+  SNAPSHOT_NEW_COLOR,
+  SNAPSHOT_ENDED_COLOR,
+  SNAPSHOT_ENDED_OPACITY,
 } from "./constants";
 import {
   getField,
-  ADDRESS_KEYS,
-  ADDRESS_LINE1_KEYS,
-  ADDRESS_LINE2_KEYS,
+  addressParts,
+  addressQuery,
+  venueQuery,
   NEIGHBORHOOD_KEYS,
-  POSTAL_KEYS,
-  LOCALITY_KEYS,
-  REGION_KEYS,
-  NATIONAL_COMMUNITY_KEYS,
   FIRST_NAME_KEYS,
   LAST_NAME_KEYS,
   ACTIVITY_TYPE_KEYS,
   ACTIVITY_NAME_KEYS,
   FACILITATORS_KEYS,
-  findIndividualsHeaderRow,
-  findActivitiesHeaderRow,
 } from "./utils/parsing";
-import { parseFile } from "./utils/parseFile";
-import { getPixelPosition } from "./utils/mapUtils";
+import { isWorkbookFile } from "./utils/parseFile";
+import { createDataWorker } from "./utils/dataTasks";
+import { dataIssuesToRows } from "./utils/dataQuality";
+import { getPixelPosition, clusterStyles, pieBadgeIconUrl } from "./utils/mapUtils";
+import { groupOverlapping, spiderPositions } from "./utils/spiderfy";
+import { buildConnections, connectionWeight } from "./utils/connections";
+import { convexHull, catchmentStats, formatDistance } from "./utils/catchment";
+import {
+  DEFAULT_FILTERS,
+  homeKey,
+  localityOf,
+  regionOf,
+  collectPlaces,
+  isFiltering,
+  activeFacilitatorKeys,
+  activityMatchesFilters,
+  homeMatchesFilters,
+  countActivitiesByType,
+  filtersToSearch,
+  parseFilterSearch,
+} from "./utils/filters";
+import {
+  snapshotActivities,
+  compareActivitySnapshots,
+  endedActivityMarkers,
+  summarizeSnapshotChanges,
+  SNAPSHOT_STATUS,
+  SNAPSHOT_STATUS_LABELS,
+} from "./utils/snapshots";
+import { createGeocodeCache } from "./utils/geocodeCache";
+import { createGeocoderFromEnv, isLowConfidence, GeocodeRequestError, GEOCODE_QUALITY } from "./utils/geocoders";
+import { normalizeName, activityFacilitatorKeys, ACTIVITY_PLACEMENT } from "./utils/activities";
+import { mapWithConcurrency } from "./utils/concurrency";
+import { withRetry } from "./utils/retry";
+import { serializeSession, parseSession, createSessionStore } from "./utils/session";
+import { downloadFile, dateStamp } from "./utils/download";
+import {
+  homesToGeoJSON,
+  activitiesToGeoJSON,
+  toKml,
+  buildEnrichedRows,
+  rowsToCsv,
+  rowsToXlsx,
+} from "./utils/exporters";
+import FailedGeocodesPanel from "./components/FailedGeocodesPanel";
+import LowConfidencePanel from "./components/LowConfidencePanel";
+import GeocodeProgress from "./components/GeocodeProgress";
+import FileReadProgress from "./components/FileReadProgress";
+import DataQualityPanel from "./components/DataQualityPanel";
+import ConnectionsPanel from "./components/ConnectionsPanel";
+import SnapshotComparisonPanel from "./components/SnapshotComparisonPanel";
+import MapFiltersPanel from "./components/MapFiltersPanel";
+import HeatmapOverlay from "./components/HeatmapOverlay";
+import HeatmapControls from "./components/HeatmapControls";
+import { HEATMAP_GRADIENTS } from "./utils/heatmap";
+import { parseBoundaryFile, assignBoundaries, findNeighborhoodMismatches } from "./utils/boundaries";
+import NeighborhoodMismatchPanel from "./components/NeighborhoodMismatchPanel";
+import {
+  AREA_SHAPES,
+  isDraftComplete,
+  shapeFromPoints,
+  shapeContains,
+  summarizeSelection,
+  selectionToRows,
+} from "./utils/areaSelection";
+import AreaDrawingControls from "./components/AreaDrawingControls";
+import AreaSelectionPanel from "./components/AreaSelectionPanel";
+import { createMatchMemory } from "./utils/nameMatching";
+import FacilitatorMatchPanel from "./components/FacilitatorMatchPanel";
+import {
+  DEFAULT_ACTIVITY_TYPES,
+  activityTypesByCode,
+  activityTypeIcon,
+  emptyTypeCounts,
+  parseActivityTypesConfig,
+  activityTypesToConfig,
+  createActivityTypeStore,
+} from "./utils/activityTypes";
+import ActivityTypesPanel from "./components/ActivityTypesPanel";
+import {
+  COLUMN_SCHEMAS,
+  collectColumns,
+  autoDetectMapping,
+  missingRequiredFields,
+  applyColumnMapping,
+  layoutSignature,
+  findPresetForColumns,
+  upsertPreset,
+  createPresetStore,
+} from "./utils/columnMapping";
+import ColumnMappingWizard from "./components/ColumnMappingWizard";
+import SheetPickerDialog from "./components/SheetPickerDialog";
 
 const GOOGLE_MAPS_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
 const MAP_ID = import.meta.env.VITE_GOOGLE_MAP_ID;
-const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_API_KEY;
+const ROW_WARNING_ROWS = Number(import.meta.env.VITE_ROW_WARNING_THRESHOLD) || ROW_WARNING_THRESHOLD;
 const GOOGLE_MAP_LIBRARIES = ["places"];
 
 const GEOCODE_MAX_RETRIES = 3;
 
-// Helper to normalize names for matching
-const normalizeName = name => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
-
-// Map activity type to code
-const ACTIVITY_TYPE_MAP = {
-  "children's class": 'CC',
-  'junior youth group': 'JY',
-  'study circle': 'SC',
-  'devotional': 'DM',
-};
-
 // Helper to get activity name before the first comma, with error handling
 const getShortActivityName = name => {
   if (!name || typeof name !== 'string') return '[No Activity Name]';
@@ -76,6 +170,38 @@ function sortActivities(a, b) {
   return 0;
 }
 
+// Build a home marker from an individuals row and its geocode result
+const toHomeMarker = (r, geo, idx) => {
+  const firstName = getField(r, FIRST_NAME_KEYS) || '';
+  const lastName = getField(r, LAST_NAME_KEYS) || '';
+  return {
+    ...r,
+    id: `home-${geo.lat}-${geo.lng}-${firstName}-${lastName}-${idx}`,
+    lat: geo.lat,
+    lng: geo.lng,
+    address: geo.address,
+    quality: geo.quality,
+    confidence: geo.confidence ?? null,
+    matchType: geo.matchType ?? null,
+    lowConfidence: isLowConfidence(geo),
+    rowIndex: idx,
+    firstName,
+    lastName,
+  };
+};
+
+// Neighborhood column of a home, or "Other" when blank
+const sheetNeighborhood = (home) => (getField(home, NEIGHBORHOOD_KEYS) || '').trim() || 'Other';
+
+// Sorted unique neighborhoods for a set of homes, with "Other" (no neighborhood) last
+const collectNeighborhoods = (homes, neighborhoodOf = sheetNeighborhood) => {
+  const allNeighborhoodsRaw = homes.map(neighborhoodOf);
+  let uniqueNeighborhoods = Array.from(new Set(allNeighborhoodsRaw));
+  uniqueNeighborhoods = uniqueNeighborhoods.filter(n => n !== 'Other').sort((a, b) => a.localeCompare(b));
+  if (allNeighborhoodsRaw.includes('Other')) uniqueNeighborhoods.push('Other');
+  return uniqueNeighborhoods;
+};
+
 function MarkerPopup({ map, lat, lng, onClose, children }) {
   const { left, top } = getPixelPosition(map, lat, lng);
   return (
@@ -90,6 +216,31 @@ function MarkerPopup({ map, lat, lng, onClose, children }) {
   );
 }
 
+// Stable id per array instance. Clusterers are keyed by it so a new marker list remounts
+// the clusterer and it clusters once, instead of redrawing for every added marker.
+const listIds = new WeakMap();
+let nextListId = 0;
+const listKey = (arr) => {
+  if (!listIds.has(arr)) listIds.set(arr, ++nextListId);
+  return listIds.get(arr);
+};
+
+const areaShapeOptions = {
+  strokeColor: AREA_SELECTION_COLOR,
+  strokeWeight: 2,
+  fillColor: AREA_SELECTION_COLOR,
+  fillOpacity: 0.1,
+  clickable: false,
+};
+
+const clusterOptions = (color, title) => ({
+  styles: clusterStyles(color),
+  gridSize: CLUSTER_GRID_SIZE,
+  maxZoom: CLUSTER_MAX_ZOOM,
+  averageCenter: true,
+  title,
+});
+
 // Debounced update for selectedNeighborhoods
 const debounce = (fn, delay) => {
   let timer;
@@ -102,29 +253,136 @@ const debounce = (fn, delay) => {
 export default function ActivityMapper() {
   const [isAddressLoading, setIsAddressLoading] = useState(false);
   const [isLatLonLoading, setIsLatLonLoading] = useState(false);
+  const [isParticipantsLoading, setIsParticipantsLoading] = useState(false);
+  // Whether a roster is loaded, even one whose names match no activity
+  const [hasParticipantRoster, setHasParticipantRoster] = useState(false);
   const [activityMarkers, setActivityMarkers] = useState([]);
   const [homeMarkers, setHomeMarkers] = useState([]);
   const [selectedHome, setSelectedHome] = useState(null);
   const [center, setCenter] = useState({ lat: 0, lng: 0 });
   const [zoom, setZoom] = useState(2);
+  const [mapZoom, setMapZoom] = useState(2);
+  const [spiderfiedGroupId, setSpiderfiedGroupId] = useState(null);
+  const [showConnections, setShowConnections] = useState(false);
   const mapRef = useRef(null);
   const [selectedActivity, setSelectedActivity] = useState(null);
+  const [catchmentView, setCatchmentView] = useState('lines');
+  const [previousActivityMarkers, setPreviousActivityMarkers] = useState(null);
+  // Both cycles' activities, row by row, when a previous cycle is loaded: { previous, current }
+  const [activitySnapshots, setActivitySnapshots] = useState(null);
+  const [isPreviousCycleLoading, setIsPreviousCycleLoading] = useState(false);
   const [activitiesNoFacilitators, setActivitiesNoFacilitators] = useState([]);
   const [activitiesFacilitatorNotFound, setActivitiesFacilitatorNotFound] = useState([]);
-  const [activityTypeCounts, setActivityTypeCounts] = useState({ CC: 0, DM: 0, JY: 0, SC: 0 });
-  const [neighborhoods, setNeighborhoods] = useState([]);
-  const [selectedNeighborhoods, setSelectedNeighborhoods] = useState([]);
-  const [facilitatorNeighborhoodLookup, setFacilitatorNeighborhoodLookup] = useState({});
-  const [isBatchingMarkers, setIsBatchingMarkers] = useState(false);
-  const [batchedActivityMarkers, setBatchedActivityMarkers] = useState([]);
-  const [batchedHomeMarkers, setBatchedHomeMarkers] = useState([]);
+  // Roster activities that match more than one activity
+  const [ambiguousRosters, setAmbiguousRosters] = useState([]);
+  const [activityTypes, setActivityTypes] = useState(DEFAULT_ACTIVITY_TYPES);
+  const [activityTypeCounts, setActivityTypeCounts] = useState(() => emptyTypeCounts(DEFAULT_ACTIVITY_TYPES));
+  const [unmappedActivityTypes, setUnmappedActivityTypes] = useState([]);
+  // Filters can come from the page URL
+  const [initialUrlFilters] = useState(() => parseFilterSearch(window.location.search));
+  // The URL's neighborhood selection, if it has one; null = every neighborhood selected, so new
+  // data (or boundaries) shows everything
+  const [selectedNeighborhoods, setSelectedNeighborhoods] = useState(initialUrlFilters.neighborhoods ?? null);
+  const [filters, setFilters] = useState(initialUrlFilters.filters);
+  const [facilitatorQuery, setFacilitatorQuery] = useState(initialUrlFilters.filters.facilitator);
+  // Imported boundary polygons; when set, they decide each home's neighborhood
+  const [boundaries, setBoundaries] = useState(null);
+  // Drawn selection area: the shape being drawn (mode + clicked points) and the finished shape
+  const [areaDrawMode, setAreaDrawMode] = useState(null);
+  const [areaDraft, setAreaDraft] = useState([]);
+  const [areaShape, setAreaShape] = useState(null);
+  const [isAreaFilterEnabled, setIsAreaFilterEnabled] = useState(true);
   const [geocodeError, setGeocodeError] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
+  const [failedGeocodes, setFailedGeocodes] = useState([]);
+  const [placingFailedId, setPlacingFailedId] = useState(null);
+  const [geocodeProgress, setGeocodeProgress] = useState(null);
+  const geocodeAbortRef = useRef(null);
+  // Venue geocoding has its own run, so it never takes over an address run or "Retry failed"
+  const venueAbortRef = useRef(null);
+  const [isVenueGeocoding, setIsVenueGeocoding] = useState(false);
+  const [restoredSessionAt, setRestoredSessionAt] = useState(null);
+  // Autosave stays off until the previous session has been restored (or found missing)
+  const [isSessionReady, setIsSessionReady] = useState(false);
+  const [heatmapSettings, setHeatmapSettings] = useState({
+    homes: false,
+    activities: false,
+    activityType: 'all',
+    radius: HEATMAP_DEFAULT_RADIUS,
+    intensity: HEATMAP_DEFAULT_INTENSITY,
+  });
+  const [fileReadProgress, setFileReadProgress] = useState(null);
+  const [dataIssues, setDataIssues] = useState([]);
+  const [rowCountWarning, setRowCountWarning] = useState(null);
+  const [venueWarning, setVenueWarning] = useState(null);
+  const [sheetChoiceRequest, setSheetChoiceRequest] = useState(null);
+  const [columnMappingRequest, setColumnMappingRequest] = useState(null);
+  const [columnPresets, setColumnPresets] = useState([]);
+  const [appliedColumnPreset, setAppliedColumnPreset] = useState(null);
+  const [facilitatorReviews, setFacilitatorReviews] = useState([]);
+  const [facilitatorAutoMatches, setFacilitatorAutoMatches] = useState([]);
   const homeMarkersRef = useRef([]);
+  const activityRowsRef = useRef(null);
+  // Geocoded activity venues: { [venue query]: { lat, lng, address } or null when not found }
+  const venueLocationsRef = useRef({});
+  const participantRowsRef = useRef(null);
+  const previousActivityRowsRef = useRef(null);
+  // Remembered facilitator review decisions (see utils/activities processActivities)
+  const confirmedMatchesRef = useRef({});
+  // Mirrors activityTypes for applyActivities, which is also called before a re-render
+  const activityTypesRef = useRef(DEFAULT_ACTIVITY_TYPES);
+  const individualRowsRef = useRef(null);
 
+  // Parsing and activity matching run in a web worker so large files don't freeze the page
+  const dataWorkerRef = useRef(null);
+  if (dataWorkerRef.current === null) {
+    dataWorkerRef.current = createDataWorker();
+  }
+  // Stop the worker on unmount; a remount (StrictMode) starts a fresh one before other effects use it
+  useEffect(() => {
+    if (dataWorkerRef.current === null) dataWorkerRef.current = createDataWorker();
+    return () => {
+      dataWorkerRef.current.terminate();
+      dataWorkerRef.current = null;
+    };
+  }, []);
+  // Only the latest activity matching run may update the map
+  const activityRunRef = useRef(0);
   const limiterRef = useRef(null);
   if (limiterRef.current === null) {
     limiterRef.current = new RateLimiter({ tokensPerInterval: 1000, interval: "minute" });
   }
+  const geocodeCacheRef = useRef(null);
+  if (geocodeCacheRef.current === null) {
+    geocodeCacheRef.current = createGeocodeCache();
+  }
+  const sessionStoreRef = useRef(null);
+  if (sessionStoreRef.current === null) {
+    sessionStoreRef.current = createSessionStore();
+  }
+  const matchMemoryRef = useRef(null);
+  if (matchMemoryRef.current === null) {
+    matchMemoryRef.current = createMatchMemory();
+  }
+  const columnPresetStoreRef = useRef(null);
+  if (columnPresetStoreRef.current === null) {
+    columnPresetStoreRef.current = createPresetStore();
+  }
+  // Resolve the pending sheet picker / column mapping promises when their dialogs close
+  const sheetChoiceResolveRef = useRef(null);
+  const columnMappingResolveRef = useRef(null);
+  const activityTypeStoreRef = useRef(null);
+  if (activityTypeStoreRef.current === null) {
+    activityTypeStoreRef.current = createActivityTypeStore();
+  }
+  // Created on first use so a bad provider config surfaces as an upload error
+  const geocoderRef = useRef(null);
+  const getGeocoder = () => {
+    if (geocoderRef.current === null) {
+      geocoderRef.current = createGeocoderFromEnv(import.meta.env);
+    }
+    return geocoderRef.current;
+  };
 
   const { isLoaded } = useJsApiLoader({
     id: "google-map-script",
@@ -163,299 +421,1163 @@ export default function ActivityMapper() {
     }
   }, []);
 
+  // Match activity rows against the given homes (in the data worker) and replace the activity
+  // layer, along with the previous cycle's activities when one is loaded for comparison.
+  // Resolves with the markers, or null when a newer run superseded this one.
+  const applyActivities = useCallback(async (rows, homes) => {
+    const run = ++activityRunRef.current;
+    const previousRows = previousActivityRowsRef.current;
+    const options = {
+      confirmedMatches: confirmedMatchesRef.current,
+      activityTypes: activityTypesRef.current,
+      venueLocations: venueLocationsRef.current,
+    };
+    let result;
+    let previous = null;
+    try {
+      [result, previous] = await Promise.all([
+        dataWorkerRef.current.run('processActivities', {
+          rows,
+          homes,
+          options: { ...options, participantRows: participantRowsRef.current || [] },
+        }),
+        previousRows
+          ? dataWorkerRef.current.run('processActivities', { rows: previousRows, homes, options })
+          : null,
+      ]);
+    } catch (err) {
+      if (run === activityRunRef.current) setGeocodeError(err.message);
+      return null;
+    }
+    if (run !== activityRunRef.current) return null;
+    const {
+      markers,
+      noFacilitators,
+      facilitatorNotFound,
+      typeCounts,
+      matchReviews,
+      autoMatches,
+      unmappedTypes,
+      ambiguousRosters,
+    } = result;
+    setUnmappedActivityTypes(unmappedTypes);
+    setFacilitatorReviews(matchReviews);
+    setFacilitatorAutoMatches(autoMatches);
+    setActivityMarkers(markers);
+    setPreviousActivityMarkers(previous ? previous.markers : null);
+    // Cycles are compared on every row, placed or not; markers only place the changes
+    setActivitySnapshots(previous ? {
+      previous: snapshotActivities(previousRows, previous.markers, options.activityTypes),
+      current: snapshotActivities(rows, markers, options.activityTypes),
+    } : null);
+    setActivitiesNoFacilitators(noFacilitators);
+    setActivitiesFacilitatorNotFound(facilitatorNotFound);
+    setAmbiguousRosters(ambiguousRosters);
+    setActivityTypeCounts(typeCounts);
+    return markers;
+  }, []);
+
+  // Parse a text or spreadsheet file (first sheet) in the data worker, showing read progress
+  const readFileRows = async (file, kind) => {
+    setFileReadProgress({ fileName: file.name, fraction: isWorkbookFile(file) ? null : 0 });
+    try {
+      return await dataWorkerRef.current.run('parseFile', { file, kind }, {
+        onProgress: fraction => setFileReadProgress({ fileName: file.name, fraction }),
+      });
+    } finally {
+      setFileReadProgress(null);
+    }
+  };
+
+  // Large uploads are allowed but flagged, since geocoding and rendering them takes a while
+  const warnAboutRowCount = (fileName, rowCount) => {
+    setRowCountWarning(rowCount > ROW_WARNING_ROWS
+      ? `${fileName} has ${rowCount.toLocaleString()} rows (more than ${ROW_WARNING_ROWS.toLocaleString()}). Geocoding and drawing the map may take a while.`
+      : null);
+  };
+
+  // Read the requested layers ('individuals' and/or 'activities') from a workbook. Sheets are
+  // assigned by their headers and the picker opens when that is ambiguous. Resolves with
+  // { individuals, activities } rows (null for a layer not found) with the individualsSheet and
+  // activitiesSheet they came from, or null if cancelled.
+  const readWorkbookLayers = async (file, kinds) => {
+    const worker = dataWorkerRef.current;
+    setFileReadProgress({ fileName: file.name, fraction: null });
+    let workbook;
+    try {
+      workbook = await worker.run('openWorkbook', { file });
+    } finally {
+      setFileReadProgress(null);
+    }
+    const { id, sheetNames } = workbook;
+    try {
+      let choice = workbook.classification;
+      const wantsIndividuals = kinds.includes('individuals');
+      if (sheetNames.length > 1 && (wantsIndividuals ? choice.ambiguous : !choice.activities)) {
+        choice = await new Promise(resolve => {
+          sheetChoiceResolveRef.current = resolve;
+          setSheetChoiceRequest({ fileName: file.name, classification: choice, kinds });
+        });
+        if (!choice) return null;
+      }
+      const firstSheet = sheetNames[0];
+      if (!wantsIndividuals) {
+        const activitiesSheet = choice.activities || firstSheet;
+        const activities = await worker.run('sheetRows', { id, sheetName: activitiesSheet, kind: 'activities' });
+        return { individuals: null, activities, activitiesSheet };
+      }
+      const individualsSheet = choice.individuals || firstSheet;
+      const activitiesSheet = kinds.includes('activities') && choice.activities !== individualsSheet ? choice.activities : null;
+      return {
+        individuals: await worker.run('sheetRows', { id, sheetName: individualsSheet, kind: 'individuals' }),
+        activities: activitiesSheet ? await worker.run('sheetRows', { id, sheetName: activitiesSheet, kind: 'activities' }) : null,
+        individualsSheet,
+        activitiesSheet,
+      };
+    } finally {
+      worker.run('closeWorkbook', { id });
+    }
+  };
+
+  const closeSheetChoice = (choice) => {
+    sheetChoiceResolveRef.current?.(choice);
+    sheetChoiceResolveRef.current = null;
+    setSheetChoiceRequest(null);
+  };
+
+  // Map a parsed file's columns onto the app's fields: a saved preset for the same layout is
+  // applied directly, otherwise the wizard opens. Resolves with the mapped rows, or null if cancelled.
+  const requestColumnMapping = (kind, fileName, rows) => {
+    const schema = COLUMN_SCHEMAS[kind];
+    const columns = collectColumns(rows);
+    const preset = findPresetForColumns(columnPresets, kind, columns);
+    if (preset && !missingRequiredFields(preset.mapping, schema).length) {
+      setAppliedColumnPreset(preset);
+      return Promise.resolve(applyColumnMapping(rows, preset.mapping, schema));
+    }
+    return new Promise(resolve => {
+      columnMappingResolveRef.current = resolve;
+      setColumnMappingRequest({
+        kind,
+        fileName,
+        schema,
+        columns,
+        rows,
+        initialMapping: autoDetectMapping(columns, schema),
+        presetName: '',
+      });
+    });
+  };
+
+  const closeColumnMapping = (result) => {
+    columnMappingResolveRef.current?.(result);
+    columnMappingResolveRef.current = null;
+    setColumnMappingRequest(null);
+  };
+
+  const handleConfirmColumnMapping = (mapping, presetName) => {
+    const { kind, schema, columns, rows } = columnMappingRequest;
+    if (presetName) {
+      const preset = { name: presetName, kind, signature: layoutSignature(columns), mapping };
+      const next = upsertPreset(columnPresets, preset);
+      setColumnPresets(next);
+      columnPresetStoreRef.current.save(next);
+      setAppliedColumnPreset(preset);
+    } else {
+      setAppliedColumnPreset(null);
+    }
+    closeColumnMapping(applyColumnMapping(rows, mapping, schema));
+  };
+
+  const handleForgetColumnPreset = (preset) => {
+    const next = columnPresets.filter(p => !(p.kind === preset.kind && p.name === preset.name));
+    setColumnPresets(next);
+    columnPresetStoreRef.current.save(next);
+    setAppliedColumnPreset(null);
+  };
+
+  useEffect(() => {
+    columnPresetStoreRef.current.load().then(setColumnPresets);
+  }, []);
+
   const handleLatLonUpload = async (e) => {
     const file = e.target.files[0];
     const input = e.target;
     if (!file) return;
     setIsLatLonLoading(true);
-    setActivityMarkers([]);
-    const noFacilitators = [];
-    const facilitatorNotFound = [];
-    const typeCounts = { CC: 0, DM: 0, JY: 0, SC: 0 };
-    const processActivities = (data) => {
-      const currentHomes = homeMarkersRef.current;
-      const homeLookup = {};
-      currentHomes.forEach(h => {
-        const fullName = normalizeName(`${h.firstName || ''} ${h.lastName || ''}`);
-        if (fullName) homeLookup[fullName] = h;
-      });
-      // Group activities by facilitator
-      const facilitatorActivities = {};
-      // Track unique activities by type (not per facilitator)
-      const uniqueActivityRows = new Set();
-      data.forEach(row => {
-        const activityTypeRaw = getField(row, ACTIVITY_TYPE_KEYS) || '';
-        const activityType = ACTIVITY_TYPE_MAP[activityTypeRaw.trim().toLowerCase()];
-        if (!activityType) return;
-        const facilitatorsRaw = getField(row, FACILITATORS_KEYS) || '';
-        if (!facilitatorsRaw.trim()) {
-          noFacilitators.push(row);
-          return;
-        }
-        const activityName = getField(row, ACTIVITY_NAME_KEYS) || '';
-        const uniqueKey = `${activityName}|${activityType}`;
-        if (!uniqueActivityRows.has(uniqueKey)) {
-          typeCounts[activityType] = (typeCounts[activityType] || 0) + 1;
-          uniqueActivityRows.add(uniqueKey);
+    try {
+      // rows stays null when the sheet choice is cancelled
+      let rows = null;
+      let source = file.name;
+      if (isWorkbookFile(file)) {
+        const layers = await readWorkbookLayers(file, ['activities']);
+        if (layers) {
+          rows = layers.activities || [];
+          source = `sheet “${layers.activitiesSheet}” of ${file.name}`;
         }
-        let foundAny = false;
-        facilitatorsRaw.split(';').forEach(name => {
-          const normName = normalizeName(name);
-          if (homeLookup[normName]) {
-            if (!facilitatorActivities[normName]) facilitatorActivities[normName] = [];
-            facilitatorActivities[normName].push({
-              activity: activityType,
-              activityTypeRaw: activityTypeRaw,
-              facilitator: name.trim(),
-              address: homeLookup[normName].address || '',
-              activityName,
-              facilitators: facilitatorsRaw,
-            });
-            foundAny = true;
-          }
-        });
-        if (!foundAny) {
-          facilitatorNotFound.push(row);
+      } else {
+        rows = await readFileRows(file, 'activities');
+      }
+      if (rows) {
+        warnAboutRowCount(file.name, rows.length);
+        if (!rows.length) setGeocodeError(`No activity rows found in ${source}.`);
+      }
+      const mapped = rows?.length ? await requestColumnMapping('activities', file.name, rows) : null;
+      if (mapped) {
+        activityRowsRef.current = mapped;
+        const markers = (await geocodeVenues(mapped)) && await applyActivities(mapped, homeMarkersRef.current);
+        if (markers?.length) {
+          setCenter(markers[0]);
+          setZoom(10);
         }
-      });
-      const markers = [];
-      const uniqueMappedActivities = {};
-      Object.entries(facilitatorActivities).forEach(([normName, acts]) => {
-        const base = homeLookup[normName];
-        acts.forEach((act, i) => {
-          const angle = (2 * Math.PI * i) / acts.length;
-          const latOffset = Math.sin(angle) * ACTIVITY_MARKER_RADIUS_DEG;
-          const lngOffset = Math.cos(angle) * ACTIVITY_MARKER_RADIUS_DEG;
-          markers.push({
-            id: `act-${normName}-${act.facilitator}-${act.activityName || ''}-${i}`,
-            lat: base.lat + latOffset,
-            lng: base.lng + lngOffset,
-            activity: act.activity,
-            activityTypeRaw: act.activityTypeRaw,
-            facilitator: act.facilitator,
-            address: act.address,
-            activityName: act.activityName,
-            facilitators: act.facilitators,
-          });
-          // Count unique activity rows by name+type+facilitators
-          const uniqueKey = `${act.activityName || ''}|${act.activity}|${act.facilitators}`;
-          if (!uniqueMappedActivities[act.activity]) uniqueMappedActivities[act.activity] = new Set();
-          uniqueMappedActivities[act.activity].add(uniqueKey);
-        });
-      });
-      // Build counts from uniqueMappedActivities
-      const mappedTypeCounts = { CC: 0, DM: 0, JY: 0, SC: 0 };
-      Object.entries(uniqueMappedActivities).forEach(([type, set]) => {
-        mappedTypeCounts[type] = set.size;
-      });
-      setActivityMarkers(markers);
-      setActivitiesNoFacilitators(noFacilitators);
-      setActivitiesFacilitatorNotFound(facilitatorNotFound);
-      setActivityTypeCounts(mappedTypeCounts);
-      if (markers.length) {
-        setCenter(markers[0]);
-        setZoom(10);
       }
-      setIsLatLonLoading(false);
-    };
+    } catch (err) {
+      setGeocodeError(err.message);
+    }
+    setIsLatLonLoading(false);
+    input.value = '';
+  };
 
+  // The participant roster is joined to the activities by name, so it needs activities loaded first
+  const handleParticipantsUpload = async (e) => {
+    const file = e.target.files[0];
+    const input = e.target;
+    if (!file) return;
+    setIsParticipantsLoading(true);
     try {
-      const rows = await parseFile(file, findActivitiesHeaderRow);
-      if (rows.length > MAX_ROWS) {
-        setGeocodeError(`File has ${rows.length} rows — maximum is ${MAX_ROWS}.`);
-        setIsLatLonLoading(false);
-      } else {
-        processActivities(rows);
+      const rows = await readFileRows(file, 'participants');
+      warnAboutRowCount(file.name, rows.length);
+      const mapped = rows.length ? await requestColumnMapping('participants', file.name, rows) : null;
+      if (mapped) {
+        participantRowsRef.current = mapped;
+        setHasParticipantRoster(true);
+        if (activityRowsRef.current) await applyActivities(activityRowsRef.current, homeMarkersRef.current);
+      }
+    } catch (err) {
+      setGeocodeError(err.message);
+    }
+    setIsParticipantsLoading(false);
+    input.value = '';
+  };
+
+  // A previous cycle's activities file is compared with the current one, not drawn on its own
+  const handlePreviousCycleUpload = async (e) => {
+    const file = e.target.files[0];
+    const input = e.target;
+    if (!file) return;
+    setIsPreviousCycleLoading(true);
+    try {
+      const rows = isWorkbookFile(file)
+        ? (await readWorkbookLayers(file, ['activities']))?.activities || []
+        : await readFileRows(file, 'activities');
+      warnAboutRowCount(file.name, rows.length);
+      const mapped = rows.length ? await requestColumnMapping('activities', file.name, rows) : null;
+      if (mapped) {
+        previousActivityRowsRef.current = mapped;
+        const current = await geocodeVenues(mapped);
+        if (current && activityRowsRef.current) await applyActivities(activityRowsRef.current, homeMarkersRef.current);
       }
     } catch (err) {
       setGeocodeError(err.message);
-      setIsLatLonLoading(false);
     }
+    setIsPreviousCycleLoading(false);
     input.value = '';
   };
 
-  const geocodeAddress = async (addr, retryCount = 0) => {
+  const handleClearPreviousCycle = () => {
+    previousActivityRowsRef.current = null;
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, homeMarkersRef.current);
+  };
+
+  const handleClearParticipants = () => {
+    participantRowsRef.current = null;
+    setHasParticipantRoster(false);
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, homeMarkersRef.current);
+  };
+
+  // Each attempt takes a rate-limiter token; transient failures (429, 5xx, network) back off and retry
+  const geocodeAddress = (addr, signal) => withRetry(async () => {
     try {
       await limiterRef.current.removeTokens(1);
     } catch {
-      if (retryCount >= GEOCODE_MAX_RETRIES) return null;
-      await new Promise(r => setTimeout(r, 1000));
-      return geocodeAddress(addr, retryCount + 1);
+      throw new GeocodeRequestError('Rate limiter unavailable', { transient: true });
     }
-    const url = `https://api.mapbox.com/search/geocode/v6/forward?q=${encodeURIComponent(addr)}&proximity=ip&access_token=${MAPBOX_TOKEN}`;
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (data.features && data.features[0]) {
-      const [lng, lat] = data.features[0].geometry.coordinates;
-      return { lat, lng, address: addr };
+    signal?.throwIfAborted();
+    return getGeocoder().geocode(addr, { signal });
+  }, { retries: GEOCODE_MAX_RETRIES, signal });
+
+  // Results differ between providers, so cache entries are scoped by provider name
+  const geocodeCacheKey = (query) => `${getGeocoder().name}|${query}`;
+
+  // Geocode a query through the persistent cache; fromCache reports whether it was a hit
+  const lookupAddress = async (query, signal) => {
+    const cached = await geocodeCacheRef.current.get(geocodeCacheKey(query));
+    if (cached) return { result: cached, fromCache: true };
+    const result = await geocodeAddress(query, signal);
+    if (result) await geocodeCacheRef.current.set(geocodeCacheKey(query), result);
+    return { result, fromCache: false };
+  };
+
+  // Geocode the venue addresses of activity rows the same way as individuals' homes (cache,
+  // rate limit, retries) and remember them for processActivities. Venues that fail are left
+  // out, so their activities fall back to the facilitators' homes. Resolves with false when a
+  // new upload superseded this run, so the caller leaves the map to that upload.
+  const geocodeVenues = async (rows) => {
+    const known = venueLocationsRef.current;
+    const queries = [...new Set(rows.map(venueQuery).filter(Boolean))].filter(q => !(q in known));
+    if (!queries.length) return true;
+    const controller = new AbortController();
+    venueAbortRef.current = controller;
+    setIsVenueGeocoding(true);
+    const startedAt = Date.now();
+    const locations = {};
+    let done = 0;
+    let failedCount = 0;
+    setGeocodeProgress({ done, total: queries.length, failed: 0, startedAt });
+    await mapWithConcurrency(queries, GEOCODE_CONCURRENCY, async (query) => {
+      try {
+        const { result } = await lookupAddress(query, controller.signal);
+        locations[query] = result ? { lat: result.lat, lng: result.lng, address: result.address } : null;
+      } catch {
+        if (controller.signal.aborted) return;
+      }
+      done++;
+      if (!locations[query]) failedCount++;
+      setGeocodeProgress({ done, total: queries.length, failed: failedCount, startedAt });
+    }, { signal: controller.signal });
+    // Venues found so far are kept either way; progress and the notice belong to the new upload
+    venueLocationsRef.current = { ...venueLocationsRef.current, ...locations };
+    if (venueAbortRef.current !== controller) {
+      if (!venueAbortRef.current) setIsVenueGeocoding(false);
+      return false;
     }
-    return null;
+    venueAbortRef.current = null;
+    setIsVenueGeocoding(false);
+    setGeocodeProgress(null);
+    setVenueWarning(failedCount > 0
+      ? `${failedCount} activity venue(s) could not be geocoded; those activities are shown at their facilitators' homes.`
+      : null);
+    return true;
   };
 
   const handleAddressUpload = async (e) => {
     const file = e.target.files[0];
     const input = e.target;
     if (!file) return;
+    input.value = '';
+    let rows;
+    let source = file.name;
+    // A workbook can carry the activities on another sheet
+    let activityRows = null;
+    try {
+      if (isWorkbookFile(file)) {
+        const layers = await readWorkbookLayers(file, ['individuals', 'activities']);
+        if (!layers) return;
+        rows = layers.individuals;
+        activityRows = layers.activities;
+        source = `sheet “${layers.individualsSheet}” of ${file.name}`;
+      } else {
+        rows = await readFileRows(file, 'individuals');
+      }
+    } catch (err) {
+      setGeocodeError(err.message);
+      return;
+    }
+    warnAboutRowCount(file.name, rows.length);
+    if (!rows.length) {
+      setGeocodeError(`No individual rows found in ${source}.`);
+      return;
+    }
+    // The current map stays until the columns are confirmed
+    rows = await requestColumnMapping('individuals', file.name, rows);
+    if (!rows) return;
+    if (activityRows?.length) activityRows = await requestColumnMapping('activities', file.name, activityRows);
+
+    geocodeAbortRef.current?.abort();
+    geocodeAbortRef.current = null;
+    venueAbortRef.current?.abort();
+    venueAbortRef.current = null;
+    setRestoredSessionAt(null);
     setIsAddressLoading(true);
     setGeocodeError(null);
+    setVenueWarning(null);
+    setCacheStats(null);
+    setFailedGeocodes([]);
+    setPlacingFailedId(null);
     setHomeMarkers([]);
+    setDataIssues([]);
+    // A new file has new neighborhoods; a selection made while it geocodes is kept
+    setSelectedNeighborhoods(null);
     setActivityMarkers([]);
+    setPreviousActivityMarkers(null);
+    setActivitySnapshots(null);
+    activityRunRef.current++;
+    activityRowsRef.current = null;
+    participantRowsRef.current = null;
+    setHasParticipantRoster(false);
+    previousActivityRowsRef.current = null;
+    individualRowsRef.current = rows;
     setActivitiesNoFacilitators([]);
     setActivitiesFacilitatorNotFound([]);
+    setAmbiguousRosters([]);
 
     try {
-      const rows = await parseFile(file, findIndividualsHeaderRow);
-      if (rows.length > MAX_ROWS) {
-        setGeocodeError(`File has ${rows.length} rows — maximum is ${MAX_ROWS}.`);
-        setIsAddressLoading(false);
-      } else {
-        await geocodeRows(rows);
+      const homes = await geocodeRows(rows);
+      if (homes && activityRows?.length) {
+        activityRowsRef.current = activityRows;
+        if (await geocodeVenues(activityRows)) await applyActivities(activityRows, homes);
       }
     } catch (err) {
       setGeocodeError(err.message);
       setIsAddressLoading(false);
     }
-    input.value = '';
   };
 
+  // Home id -> boundary name, recomputed when homes or boundaries change
+  const boundaryAssignment = useMemo(
+    () => (boundaries ? assignBoundaries(homeMarkers, boundaries) : null),
+    [homeMarkers, boundaries]
+  );
+  // Boundaries, when loaded, take precedence over the spreadsheet's neighborhood column
+  const neighborhoodOf = useCallback(
+    (home) => (boundaryAssignment ? boundaryAssignment.get(home.id) || 'Other' : sheetNeighborhood(home)),
+    [boundaryAssignment]
+  );
+  const neighborhoods = useMemo(() => collectNeighborhoods(homeMarkers, neighborhoodOf), [homeMarkers, neighborhoodOf]);
+  const facilitatorNeighborhoodLookup = useMemo(() => {
+    const lookup = {};
+    homeMarkers.forEach(h => {
+      lookup[normalizeName(`${h.firstName || ''} ${h.lastName || ''}`)] = neighborhoodOf(h);
+    });
+    return lookup;
+  }, [homeMarkers, neighborhoodOf]);
+  const isNeighborhoodSelected = useCallback(
+    (n) => selectedNeighborhoods === null || selectedNeighborhoods.includes(n),
+    [selectedNeighborhoods]
+  );
+  // Source rows live in refs; re-check them in the data worker whenever the layers built from
+  // them are replaced, once geocoding has finished rather than on every progress flush
+  useEffect(() => {
+    if (isAddressLoading) return undefined;
+    let cancelled = false;
+    dataWorkerRef.current.run('findDataIssues', {
+      individualRows: individualRowsRef.current,
+      activityRows: activityRowsRef.current,
+      activityTypes,
+    })
+      .then(issues => { if (!cancelled) setDataIssues(issues); })
+      .catch(err => console.warn('Could not check the data quality', err));
+    return () => { cancelled = true; };
+  }, [isAddressLoading, homeMarkers, activityMarkers, activityTypes]);
+  const neighborhoodMismatches = useMemo(
+    () => (boundaryAssignment ? findNeighborhoodMismatches(homeMarkers, boundaryAssignment) : []),
+    [homeMarkers, boundaryAssignment]
+  );
+
   const processResults = useCallback(results => {
     setHomeMarkers(results);
-    const allNeighborhoodsRaw = results.map(r => {
-      const n = getField(r, NEIGHBORHOOD_KEYS);
-      const trimmed = (n || '').trim();
-      return trimmed ? trimmed : 'Other';
-    });
-    let uniqueNeighborhoods = Array.from(new Set(allNeighborhoodsRaw));
-    uniqueNeighborhoods = uniqueNeighborhoods.filter(n => n !== 'Other').sort((a, b) => a.localeCompare(b));
-    if (allNeighborhoodsRaw.includes('Other')) uniqueNeighborhoods.push('Other');
-    setNeighborhoods(uniqueNeighborhoods);
-    setSelectedNeighborhoods(uniqueNeighborhoods);
     if (results.length) { setCenter(results[0]); setZoom(10); }
     setIsAddressLoading(false);
-    const lookup = {};
-    results.forEach(h => {
-      const fullName = normalizeName(`${h.firstName || ''} ${h.lastName || ''}`);
-      lookup[fullName] = (getField(h, NEIGHBORHOOD_KEYS) || '').trim() || 'Other';
-    });
-    setFacilitatorNeighborhoodLookup(lookup);
   }, []);
 
   const geocodeRows = useCallback(async (rows) => {
-    const getStreetPart = (r) => {
-      const addr = getField(r, ADDRESS_KEYS);
-      if (addr) return addr;
-      const line1 = String(getField(r, ADDRESS_LINE1_KEYS)).replace(/^\d+-/, "");
-      const line2 = String(getField(r, ADDRESS_LINE2_KEYS));
-      return [line1, line2].filter(Boolean).join(', ');
-    };
-    const getNeighborhood = (r) => (getField(r, NEIGHBORHOOD_KEYS) || '').trim();
-    const getPostal = (r) => (getField(r, POSTAL_KEYS) || '').trim();
-    const getLocality = (r) => (getField(r, LOCALITY_KEYS) || '').trim();
-    const getRegion = (r) => (getField(r, REGION_KEYS) || '').trim();
-    const getNationalCommunity = (r) => (getField(r, NATIONAL_COMMUNITY_KEYS) || '').trim();
-    const addressKey = (r) => [
-      getStreetPart(r),
-      getNeighborhood(r),
-      getPostal(r),
-      getLocality(r),
-      getRegion(r),
-      getNationalCommunity(r),
-    ].join('|');
-    const uniqueRows = Array.from(
-      new Map(rows.map(r => [addressKey(r), r])).values()
-    );
+    const addressKey = (r) => addressParts(r).join('|');
+    // Row indexes sharing each address, so every unique address is geocoded once
+    const rowsByKey = new Map();
+    rows.forEach((r, idx) => {
+      const key = addressKey(r);
+      if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+      rowsByKey.get(key).push(idx);
+    });
+    const uniqueKeys = Array.from(rowsByKey.keys());
     const geocodedMap = {};
+    const failureReasons = {};
+    let doneCount = 0;
     let failedCount = 0;
-    for (const row of uniqueRows) {
-      const query = [
-        getStreetPart(row),
-        getNeighborhood(row),
-        getPostal(row),
-        getLocality(row),
-        getRegion(row),
-        getNationalCommunity(row),
-      ].filter(Boolean).join(', ');
-      const result = await geocodeAddress(query);
-      if (result) {
-        geocodedMap[addressKey(row)] = result;
+    let cacheHits = 0;
+    let cacheMisses = 0;
+    const controller = new AbortController();
+    geocodeAbortRef.current = controller;
+    const startedAt = Date.now();
+    setGeocodeProgress({ done: 0, total: uniqueKeys.length, failed: 0, startedAt });
+
+    // Render partial results as they arrive, throttled so the map isn't re-rendered per address
+    const partialHomes = [];
+    let flushTimer = null;
+    const flush = () => {
+      flushTimer = null;
+      if (controller.signal.aborted) return;
+      setHomeMarkers(partialHomes.slice());
+      setGeocodeProgress({ done: doneCount, total: uniqueKeys.length, failed: failedCount, startedAt });
+    };
+
+    await mapWithConcurrency(uniqueKeys, GEOCODE_CONCURRENCY, async (key) => {
+      const idxs = rowsByKey.get(key);
+      const query = addressQuery(rows[idxs[0]]);
+      if (!query) {
+        failureReasons[key] = { reason: 'No address fields', retryable: false };
+      } else {
+        try {
+          const { result, fromCache } = await lookupAddress(query, controller.signal);
+          if (fromCache) cacheHits++;
+          else cacheMisses++;
+          if (result) geocodedMap[key] = result;
+          else failureReasons[key] = { reason: 'No match found', retryable: false };
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          failureReasons[key] = { reason: err.message || 'Geocoding request failed', retryable: Boolean(err.transient) };
+        }
+      }
+      doneCount++;
+      if (geocodedMap[key]) {
+        idxs.forEach(idx => partialHomes.push(toHomeMarker(rows[idx], geocodedMap[key], idx)));
       } else {
         failedCount++;
       }
-    }
-    if (failedCount > 0) {
+      if (!flushTimer) flushTimer = setTimeout(flush, PROGRESS_FLUSH_MS);
+    }, { signal: controller.signal });
+
+    clearTimeout(flushTimer);
+    // A newer upload superseded this run; leave its state alone
+    if (geocodeAbortRef.current !== controller) return;
+    geocodeAbortRef.current = null;
+    setGeocodeProgress(null);
+    const cancelled = controller.signal.aborted;
+    setCacheStats({ hits: cacheHits, misses: cacheMisses });
+    if (cancelled) {
+      setGeocodeError(`Geocoding cancelled — ${uniqueKeys.length - doneCount} address(es) were not geocoded.`);
+    } else if (failedCount > 0) {
       setGeocodeError(`${failedCount} address(es) could not be geocoded.`);
     } else {
       setGeocodeError(null);
     }
-    const allIndividuals = rows.map((r, idx) => {
+    const allIndividuals = [];
+    const failed = [];
+    rows.forEach((r, idx) => {
       const geo = geocodedMap[addressKey(r)];
-      const firstName = getField(r, FIRST_NAME_KEYS) || '';
-      const lastName = getField(r, LAST_NAME_KEYS) || '';
-      return geo
-        ? {
-            ...r,
-            id: `home-${geo.lat}-${geo.lng}-${firstName}-${lastName}-${idx}`,
-            lat: geo.lat,
-            lng: geo.lng,
-            address: geo.address,
-            firstName,
-            lastName,
-          }
-        : null;
-    }).filter(Boolean);
+      if (geo) {
+        allIndividuals.push(toHomeMarker(r, geo, idx));
+      } else {
+        failed.push({
+          id: `failed-${idx}`,
+          index: idx,
+          row: r,
+          firstName: getField(r, FIRST_NAME_KEYS) || '',
+          lastName: getField(r, LAST_NAME_KEYS) || '',
+          query: addressQuery(r),
+          ...(failureReasons[addressKey(r)] || { reason: 'Cancelled', retryable: true }),
+        });
+      }
+    });
+    setFailedGeocodes(failed);
     processResults(allIndividuals);
+    return allIndividuals;
   }, [processResults]);
 
+  // Add corrected homes for failed rows ([{ failed, geo }]) and re-match any loaded activities
+  const resolveFailedGeocodes = (resolved) => {
+    if (!resolved.length) return;
+    const resolvedIds = new Set(resolved.map(({ failed }) => failed.id));
+    const nextHomes = [
+      ...homeMarkersRef.current,
+      ...resolved.map(({ failed, geo }) => toHomeMarker(failed.row, geo, failed.index)),
+    ];
+    homeMarkersRef.current = nextHomes;
+    setFailedGeocodes(prev => prev.filter(f => !resolvedIds.has(f.id)));
+    // Only the homes change: the neighborhood selection and the map view stay as the user left them
+    setHomeMarkers(nextHomes);
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, nextHomes);
+  };
+  const resolveFailedGeocode = (failed, geo) => resolveFailedGeocodes([{ failed, geo }]);
+
+  const handleRetryFailedGeocode = async (failed, query) => {
+    const updateFailed = (changes) =>
+      setFailedGeocodes(prev => prev.map(f => (f.id === failed.id ? { ...f, ...changes } : f)));
+    try {
+      const { result } = await lookupAddress(query);
+      if (result) {
+        // Remember the correction under the original query so the next upload reuses it
+        if (query !== failed.query) await geocodeCacheRef.current.set(geocodeCacheKey(failed.query), result);
+        resolveFailedGeocode(failed, result);
+      } else {
+        updateFailed({ query, reason: 'No match found', retryable: false });
+      }
+    } catch (err) {
+      updateFailed({ query, reason: err.message || 'Geocoding request failed', retryable: Boolean(err.transient) });
+    }
+  };
+
+  // Re-geocode only rows that failed for a transient reason (rate limit, outage, cancel);
+  // successful rows and genuine no-match rows are left alone.
+  const handleRetryAllFailed = async () => {
+    const targets = failedGeocodes.filter(f => f.retryable && f.query);
+    const byQuery = new Map();
+    targets.forEach(f => {
+      if (!byQuery.has(f.query)) byQuery.set(f.query, []);
+      byQuery.get(f.query).push(f);
+    });
+    const queries = Array.from(byQuery.keys());
+    if (!queries.length) return;
+    const controller = new AbortController();
+    geocodeAbortRef.current = controller;
+    const startedAt = Date.now();
+    let done = 0;
+    let failedCount = 0;
+    const resolved = [];
+    const updates = {};
+    setIsAddressLoading(true);
+    setGeocodeProgress({ done, total: queries.length, failed: 0, startedAt });
+    await mapWithConcurrency(queries, GEOCODE_CONCURRENCY, async (query) => {
+      let outcome;
+      try {
+        const { result } = await lookupAddress(query, controller.signal);
+        outcome = result
+          ? { geo: result }
+          : { reason: 'No match found', retryable: false };
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        outcome = { reason: err.message || 'Geocoding request failed', retryable: Boolean(err.transient) };
+      }
+      done++;
+      byQuery.get(query).forEach(f => {
+        if (outcome.geo) resolved.push({ failed: f, geo: outcome.geo });
+        else updates[f.id] = outcome;
+      });
+      if (!outcome.geo) failedCount++;
+      setGeocodeProgress({ done, total: queries.length, failed: failedCount, startedAt });
+    }, { signal: controller.signal });
+    // A new upload or project superseded the retry and sets the loading flag itself
+    if (geocodeAbortRef.current !== controller) {
+      if (!geocodeAbortRef.current) setIsAddressLoading(false);
+      return;
+    }
+    geocodeAbortRef.current = null;
+    setGeocodeProgress(null);
+    setFailedGeocodes(prev => prev.map(f => (updates[f.id] ? { ...f, ...updates[f.id] } : f)));
+    const resolvedIds = new Set(resolved.map(({ failed }) => failed.id));
+    const remaining = new Set(failedGeocodes.filter(f => !resolvedIds.has(f.id)).map(f => f.query)).size;
+    setGeocodeError(remaining > 0 ? `${remaining} address(es) could not be geocoded.` : null);
+    if (resolved.length) resolveFailedGeocodes(resolved);
+    else setIsAddressLoading(false);
+  };
+
+  const handleAreaModeChange = (mode) => {
+    setAreaDrawMode(mode);
+    setAreaDraft([]);
+    setPlacingFailedId(null);
+  };
+
+  const finishArea = (points) => {
+    const shape = shapeFromPoints(areaDrawMode, points);
+    if (!shape) return;
+    setAreaShape(shape);
+    setAreaDrawMode(null);
+    setAreaDraft([]);
+  };
+
+  const handleClearArea = () => {
+    setAreaDrawMode(null);
+    setAreaDraft([]);
+    setAreaShape(null);
+  };
+
+  const handleMapClick = async (e) => {
+    setSpiderfiedGroupId(null);
+    if (!e.latLng) return;
+    if (areaDrawMode && !placingFailedId) {
+      const points = [...areaDraft, { lat: e.latLng.lat(), lng: e.latLng.lng() }];
+      if (isDraftComplete(areaDrawMode, points)) finishArea(points);
+      else setAreaDraft(points);
+      return;
+    }
+    if (!placingFailedId) return;
+    const failed = failedGeocodes.find(f => f.id === placingFailedId);
+    setPlacingFailedId(null);
+    if (!failed) return;
+    const geo = { lat: e.latLng.lat(), lng: e.latLng.lng(), address: failed.query, quality: GEOCODE_QUALITY.MANUAL };
+    resolveFailedGeocode(failed, geo);
+    if (failed.query) await geocodeCacheRef.current.set(geocodeCacheKey(failed.query), geo);
+  };
+
+  const handleManualHomeDrag = async (home, e) => {
+    const lat = e.latLng.lat();
+    const lng = e.latLng.lng();
+    const nextHomes = homeMarkersRef.current.map(h => (h.id === home.id ? { ...h, lat, lng } : h));
+    homeMarkersRef.current = nextHomes;
+    setHomeMarkers(nextHomes);
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, nextHomes);
+    if (home.address) {
+      await geocodeCacheRef.current.set(geocodeCacheKey(home.address), {
+        lat, lng, address: home.address, quality: GEOCODE_QUALITY.MANUAL,
+      });
+    }
+  };
+
+  // Replace the current map with a saved project; activities are re-matched from their rows
+  const restoreSession = useCallback((session) => {
+    if (session.activityTypes) {
+      activityTypesRef.current = session.activityTypes;
+      setActivityTypes(session.activityTypes);
+    }
+    homeMarkersRef.current = session.homes;
+    activityRowsRef.current = session.activityRows;
+    venueLocationsRef.current = session.venueLocations;
+    participantRowsRef.current = session.participantRows;
+    setHasParticipantRoster(Boolean(session.participantRows));
+    previousActivityRowsRef.current = session.previousActivityRows;
+    individualRowsRef.current = session.individualRows;
+    setGeocodeError(null);
+    setVenueWarning(null);
+    setCacheStats(null);
+    setPlacingFailedId(null);
+    setFailedGeocodes(session.failedGeocodes);
+    setSelectedHome(null);
+    setSelectedActivity(null);
+    setAreaDrawMode(null);
+    setAreaDraft([]);
+    setAreaShape(null);
+    setBoundaries(session.boundaries);
+    processResults(session.homes);
+    setSelectedNeighborhoods(session.selectedNeighborhoods);
+    if (session.activityRows) {
+      applyActivities(session.activityRows, session.homes);
+    } else {
+      activityRunRef.current++;
+      setActivityMarkers([]);
+      setPreviousActivityMarkers(null);
+      setActivitySnapshots(null);
+      setActivitiesNoFacilitators([]);
+      setActivitiesFacilitatorNotFound([]);
+      setAmbiguousRosters([]);
+      setActivityTypeCounts(emptyTypeCounts(activityTypesRef.current));
+      setUnmappedActivityTypes([]);
+      setFacilitatorReviews([]);
+      setFacilitatorAutoMatches([]);
+    }
+  }, [processResults, applyActivities]);
+
+  const buildSession = () => serializeSession({
+    homes: homeMarkers,
+    individualRows: individualRowsRef.current,
+    activityRows: activityRowsRef.current,
+    selectedNeighborhoods,
+    failedGeocodes,
+    boundaries,
+    activityTypes,
+    venueLocations: venueLocationsRef.current,
+    participantRows: participantRowsRef.current,
+    previousActivityRows: previousActivityRowsRef.current,
+  });
+
+  const handleSaveProject = () => {
+    downloadFile(JSON.stringify(buildSession()), `activitymapper-${dateStamp()}.json`, 'application/json');
+  };
+
+  const handleOpenProject = async (e) => {
+    const file = e.target.files[0];
+    const input = e.target;
+    if (!file) return;
+    geocodeAbortRef.current?.abort();
+    geocodeAbortRef.current = null;
+    venueAbortRef.current?.abort();
+    venueAbortRef.current = null;
+    setGeocodeProgress(null);
+    try {
+      const session = parseSession(await file.text());
+      restoreSession(session);
+      setRestoredSessionAt(session.savedAt);
+    } catch (err) {
+      setGeocodeError(err.message);
+    }
+    input.value = '';
+  };
+
+  const handleStartOver = async () => {
+    geocodeAbortRef.current?.abort();
+    geocodeAbortRef.current = null;
+    venueAbortRef.current?.abort();
+    venueAbortRef.current = null;
+    setGeocodeProgress(null);
+    setRestoredSessionAt(null);
+    restoreSession(parseSession(serializeSession({ homes: [] })));
+    try {
+      await sessionStoreRef.current.clear();
+    } catch (err) {
+      console.warn('Could not clear the autosaved session', err);
+    }
+  };
+
+  // Record a review decision (individualKey null = not a match) and re-match the activities
+  const handleResolveFacilitator = (facilitatorKey, individualKey) => {
+    confirmedMatchesRef.current = { ...confirmedMatchesRef.current, [facilitatorKey]: individualKey };
+    matchMemoryRef.current.save(confirmedMatchesRef.current);
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, homeMarkersRef.current);
+  };
+
+  // Replace the activity type registry, remember it and re-match the activities
+  const handleActivityTypesChange = (types) => {
+    activityTypesRef.current = types;
+    setActivityTypes(types);
+    activityTypeStoreRef.current.save(types);
+    if (activityRowsRef.current) applyActivities(activityRowsRef.current, homeMarkersRef.current);
+    else setActivityTypeCounts(emptyTypeCounts(types));
+  };
+
+  const handleImportActivityTypes = async (file) => {
+    if (!file) return;
+    try {
+      handleActivityTypesChange(parseActivityTypesConfig(await file.text()));
+    } catch (err) {
+      setGeocodeError(err.message);
+    }
+  };
+
+  // Load the saved activity type registry; re-match if activities were restored first
+  useEffect(() => {
+    let cancelled = false;
+    activityTypeStoreRef.current.load().then(types => {
+      if (cancelled || !types) return;
+      activityTypesRef.current = types;
+      setActivityTypes(types);
+      if (activityRowsRef.current) applyActivities(activityRowsRef.current, homeMarkersRef.current);
+      else setActivityTypeCounts(emptyTypeCounts(types));
+    });
+    return () => { cancelled = true; };
+  }, [applyActivities]);
+
+  // Load remembered facilitator matches; re-match if activities were restored first
+  useEffect(() => {
+    let cancelled = false;
+    matchMemoryRef.current.load().then(matches => {
+      if (cancelled) return;
+      confirmedMatchesRef.current = matches;
+      if (activityRowsRef.current && Object.keys(matches).length) {
+        applyActivities(activityRowsRef.current, homeMarkersRef.current);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [applyActivities]);
+
+  // Restore the autosaved session on page load
+  useEffect(() => {
+    let cancelled = false;
+    sessionStoreRef.current.load()
+      .then(session => {
+        if (cancelled || !session || !session.homes.length) return;
+        restoreSession(session);
+        if (initialUrlFilters.neighborhoods !== undefined) setSelectedNeighborhoods(initialUrlFilters.neighborhoods);
+        setRestoredSessionAt(session.savedAt);
+      })
+      .catch(err => console.warn('Could not restore the autosaved session', err))
+      .finally(() => { if (!cancelled) setIsSessionReady(true); });
+    return () => { cancelled = true; };
+  }, [restoreSession, initialUrlFilters]);
+
+  // Autosave the session shortly after it changes (not while geocoding is in progress)
+  useEffect(() => {
+    if (!isSessionReady || isAddressLoading) return;
+    const timer = setTimeout(() => {
+      sessionStoreRef.current.save(buildSession())
+        .catch(err => console.warn('Autosave failed', err));
+    }, AUTOSAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    isSessionReady,
+    isAddressLoading,
+    homeMarkers,
+    activityMarkers,
+    selectedNeighborhoods,
+    failedGeocodes,
+    boundaries,
+    activityTypes,
+  ]);
+
+  const handleExport = (format) => {
+    const stamp = dateStamp();
+    if (format === 'homes-geojson') {
+      downloadFile(JSON.stringify(homesToGeoJSON(homeMarkers, neighborhoodOf)), `homes-${stamp}.geojson`, 'application/geo+json');
+    } else if (format === 'activities-geojson') {
+      downloadFile(
+        JSON.stringify(activitiesToGeoJSON(activityMarkers, facilitatorNeighborhoodLookup, activityTypes)),
+        `activities-${stamp}.geojson`,
+        'application/geo+json'
+      );
+    } else if (format === 'kml') {
+      const kml = toKml({
+        homes: homeMarkers,
+        activities: activityMarkers,
+        facilitatorNeighborhood: facilitatorNeighborhoodLookup,
+        neighborhoodOf,
+        activityTypes,
+      });
+      downloadFile(kml, `activitymapper-${stamp}.kml`, 'application/vnd.google-earth.kml+xml');
+    } else if (individualRowsRef.current) {
+      const rows = buildEnrichedRows(individualRowsRef.current, homeMarkers, failedGeocodes);
+      if (format === 'enriched-csv') {
+        downloadFile(rowsToCsv(rows), `individuals-geocoded-${stamp}.csv`, 'text/csv');
+      } else {
+        downloadFile(
+          rowsToXlsx(rows, 'Individuals'),
+          `individuals-geocoded-${stamp}.xlsx`,
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+      }
+    }
+  };
+
+  const handleBoundaryUpload = async (e) => {
+    const file = e.target.files[0];
+    const input = e.target;
+    if (!file) return;
+    try {
+      setBoundaries(parseBoundaryFile(file.name, await file.text()));
+      setSelectedNeighborhoods(null);
+      setGeocodeError(null);
+    } catch (err) {
+      setGeocodeError(err.message);
+    }
+    input.value = '';
+  };
+
+  const handleClearBoundaries = () => {
+    setBoundaries(null);
+    setSelectedNeighborhoods(null);
+  };
+
+  const handleClearGeocodeCache = async () => {
+    try {
+      await geocodeCacheRef.current.clear();
+      setCacheStats(null);
+    } catch (err) {
+      setGeocodeError(`Could not clear the geocode cache: ${err.message}`);
+    }
+  };
+
+  // Keep the filters in the URL so a filtered map can be bookmarked or shared
+  useEffect(() => {
+    if (!isSessionReady) return;
+    const search = filtersToSearch(filters, selectedNeighborhoods);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [isSessionReady, filters, selectedNeighborhoods]);
+
   // Debounced update for selectedNeighborhoods
   const setSelectedNeighborhoodsDebounced = useCallback(
     debounce((val) => setSelectedNeighborhoods(val), DEBOUNCE_MS),
     []
   );
 
-  // Batching function for markers
-  const batchUpdateMarkers = useCallback((filteredActivities, filteredHomes, batchSize = MARKER_BATCH_SIZE) => {
-    setIsBatchingMarkers(true);
-    let aIdx = 0, hIdx = 0;
-    function batch() {
-      setBatchedActivityMarkers(filteredActivities.slice(0, aIdx + batchSize));
-      setBatchedHomeMarkers(filteredHomes.slice(0, hIdx + batchSize));
-      aIdx += batchSize;
-      hIdx += batchSize;
-      if (aIdx < filteredActivities.length || hIdx < filteredHomes.length) {
-        setTimeout(batch, 0);
-      } else {
-        setIsBatchingMarkers(false);
+  // The facilitator search is typed into a box, so it reaches the filters debounced
+  const setFacilitatorFilterDebounced = useMemo(
+    () => debounce((facilitator) => setFilters(prev => ({ ...prev, facilitator })), DEBOUNCE_MS),
+    []
+  );
+  const handleFacilitatorQueryChange = (query) => {
+    setFacilitatorQuery(query);
+    setFacilitatorFilterDebounced(query);
+  };
+  const handleClearFilters = () => {
+    setFacilitatorQuery('');
+    setFacilitatorFilterDebounced('');
+    setFilters(DEFAULT_FILTERS);
+  };
+  const toggleActivityType = (code) => setFilters(prev => ({
+    ...prev,
+    hiddenTypes: prev.hiddenTypes.includes(code)
+      ? prev.hiddenTypes.filter(c => c !== code)
+      : [...prev.hiddenTypes, code],
+  }));
+
+  const homesByKey = useMemo(() => new Map(homeMarkers.map(h => [homeKey(h), h])), [homeMarkers]);
+  const facilitatorKeys = useMemo(
+    () => activeFacilitatorKeys(activityMarkers, filters.hiddenTypes),
+    [activityMarkers, filters.hiddenTypes]
+  );
+  const localities = useMemo(() => collectPlaces(homeMarkers, localityOf), [homeMarkers]);
+  const regions = useMemo(() => collectPlaces(homeMarkers, regionOf), [homeMarkers]);
+
+  // Memoized filtered markers for performance. Filtering stays on the main thread: it is one
+  // linear pass per filter change, cheaper than copying every marker to the data worker and back.
+  // A co-facilitated activity shows when any of its facilitators lives in a selected neighborhood
+  const isActivityInSelectedNeighborhoods = useCallback(m =>
+    activityFacilitatorKeys(m).some(key => isNeighborhoodSelected(facilitatorNeighborhoodLookup[key] || 'Other')),
+    [isNeighborhoodSelected, facilitatorNeighborhoodLookup]
+  );
+  const isActivityShown = useCallback(
+    (m, options) => isActivityInSelectedNeighborhoods(m) && activityMatchesFilters(m, filters, homesByKey, options),
+    [isActivityInSelectedNeighborhoods, filters, homesByKey]
+  );
+  const neighborhoodActivityMarkers = useMemo(() =>
+    activityMarkers.filter(m => isActivityShown(m)),
+    [activityMarkers, isActivityShown]
+  );
+  const neighborhoodHomeMarkers = useMemo(() =>
+    homeMarkers.filter(p => isNeighborhoodSelected(neighborhoodOf(p)) && homeMatchesFilters(p, filters, facilitatorKeys)),
+    [homeMarkers, isNeighborhoodSelected, neighborhoodOf, filters, facilitatorKeys]
+  );
+
+  // The drawn area narrows the neighborhood selection further
+  const areaHomeMarkers = useMemo(() =>
+    (areaShape ? neighborhoodHomeMarkers.filter(p => shapeContains(areaShape, p.lat, p.lng)) : null),
+    [neighborhoodHomeMarkers, areaShape]
+  );
+  const areaActivityMarkers = useMemo(() =>
+    (areaShape ? neighborhoodActivityMarkers.filter(m => shapeContains(areaShape, m.lat, m.lng)) : null),
+    [neighborhoodActivityMarkers, areaShape]
+  );
+  const areaSummary = useMemo(() =>
+    (areaShape ? summarizeSelection(areaHomeMarkers, areaActivityMarkers) : null),
+    [areaShape, areaHomeMarkers, areaActivityMarkers]
+  );
+  const isAreaFiltering = areaShape !== null && isAreaFilterEnabled;
+  const filteredHomeMarkers = isAreaFiltering ? areaHomeMarkers : neighborhoodHomeMarkers;
+  const filteredActivityMarkers = isAreaFiltering ? areaActivityMarkers : neighborhoodActivityMarkers;
+  const isAnyFilterActive = isFiltering(filters) || selectedNeighborhoods !== null || isAreaFiltering;
+
+  // Legend counts follow every filter but the type toggles, so hidden types still show their count
+  const shownTypeCounts = useMemo(() => (isAnyFilterActive
+    ? countActivitiesByType(
+      activityMarkers.filter(m =>
+        isActivityShown(m, { ignoreTypes: true }) && (!isAreaFiltering || shapeContains(areaShape, m.lat, m.lng))
+      ),
+      activityTypes
+    )
+    : activityTypeCounts),
+  [isAnyFilterActive, activityMarkers, isActivityShown, isAreaFiltering, areaShape, activityTypes, activityTypeCounts]);
+
+  // Cycle comparison: a status for each current activity, plus the previous cycle's ended ones
+  const snapshotComparison = useMemo(
+    () => (activitySnapshots ? compareActivitySnapshots(activitySnapshots.previous, activitySnapshots.current) : null),
+    [activitySnapshots]
+  );
+  const snapshotStatusOf = (m) => m.snapshotStatus || snapshotComparison?.statusByRow.get(m.rowIndex) || null;
+  const snapshotRingColor = (m) => ({
+    [SNAPSHOT_STATUS.NEW]: SNAPSHOT_NEW_COLOR,
+    [SNAPSHOT_STATUS.ENDED]: SNAPSHOT_ENDED_COLOR,
+  })[snapshotStatusOf(m)] || null;
+  // Ended activities are drawn for comparison but not counted, exported or connected
+  const filteredEndedActivities = useMemo(() =>
+    (snapshotComparison ? endedActivityMarkers(previousActivityMarkers, snapshotComparison.ended) : []).filter(m =>
+      isActivityShown(m) && (!isAreaFiltering || shapeContains(areaShape, m.lat, m.lng))
+    ),
+    [snapshotComparison, previousActivityMarkers, isActivityShown, isAreaFiltering, areaShape]
+  );
+  // The summary counts every row of both cycles, including activities that could not be placed,
+  // in the neighborhood of each facilitator as the map filter does
+  const snapshotSummary = useMemo(() => (snapshotComparison
+    ? summarizeSnapshotChanges(
+      { current: activitySnapshots.current, ended: snapshotComparison.ended, statusByRow: snapshotComparison.statusByRow },
+      {
+        neighborhoodsOf: a => activityFacilitatorKeys(a).map(key => facilitatorNeighborhoodLookup[key] || 'Other'),
+        activityTypes,
       }
+    )
+    : null),
+  [snapshotComparison, activitySnapshots, facilitatorNeighborhoodLookup, activityTypes]);
+
+  const handleDownloadDataIssues = () => {
+    downloadFile(rowsToCsv(dataIssuesToRows(dataIssues)), `data-quality-${dateStamp()}.csv`, 'text/csv');
+  };
+
+  const handleExportArea = (format) => {
+    const rows = selectionToRows(areaHomeMarkers, areaActivityMarkers, {
+      neighborhoodOf,
+      facilitatorNeighborhood: facilitatorNeighborhoodLookup,
+      activityTypes,
+    });
+    const stamp = dateStamp();
+    if (format === 'csv') {
+      downloadFile(rowsToCsv(rows), `selected-area-${stamp}.csv`, 'text/csv');
+    } else {
+      downloadFile(
+        rowsToXlsx(rows, 'Selected Area'),
+        `selected-area-${stamp}.xlsx`,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
     }
-    setBatchedActivityMarkers([]);
-    setBatchedHomeMarkers([]);
-    batch();
-  }, []);
+  };
 
-  // Memoized filtered markers for performance
-  const filteredActivityMarkers = useMemo(() =>
-    activityMarkers.filter(m => {
-      const facilitator = normalizeName(m.facilitator || '');
-      const n = facilitatorNeighborhoodLookup[facilitator] || 'Other';
-      return selectedNeighborhoods.includes(n);
-    }),
-    [activityMarkers, selectedNeighborhoods, facilitatorNeighborhoodLookup]
-  );
-  const filteredHomeMarkers = useMemo(() =>
-    homeMarkers.filter(p => {
-      let n = (getField(p, NEIGHBORHOOD_KEYS) || '').trim();
-      if (!n) n = 'Other';
-      return selectedNeighborhoods.includes(n);
-    }),
-    [homeMarkers, selectedNeighborhoods]
+  const lowConfidenceHomes = useMemo(() =>
+    homeMarkers
+      .filter(h => h.lowConfidence)
+      .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`)),
+    [homeMarkers]
   );
 
-  // Batch update markers when filter changes
+  const typesByCode = useMemo(() => activityTypesByCode(activityTypes), [activityTypes]);
+
+  const selectedCatchment = useMemo(() => {
+    if (!selectedActivity?.participantHomes?.length) return null;
+    const homes = selectedActivity.participantHomes;
+    return {
+      stats: catchmentStats(selectedActivity),
+      hull: convexHull([selectedActivity, ...homes].map(p => ({ lat: p.lat, lng: p.lng }))),
+    };
+  }, [selectedActivity]);
+
+  // Co-facilitator network for the activities on the map
+  const connections = useMemo(() => buildConnections(filteredActivityMarkers), [filteredActivityMarkers]);
+  const maxConnectionCount = connections.pairs.length ? connections.pairs[0].count : 0;
+
+  // Activities that would overlap at the current zoom collapse into one badge
+  const activityGroups = useMemo(
+    () => groupOverlapping([...filteredActivityMarkers, ...filteredEndedActivities], mapZoom),
+    [filteredActivityMarkers, filteredEndedActivities, mapZoom]
+  );
   useEffect(() => {
-    batchUpdateMarkers(filteredActivityMarkers, filteredHomeMarkers);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filteredActivityMarkers, filteredHomeMarkers]);
+    setSpiderfiedGroupId(null);
+  }, [activityGroups]);
+
+  // Where each activity is drawn: its own position, or its foot when its badge is spiderfied
+  const displayedActivities = useMemo(() => activityGroups.flatMap(g => {
+    if (g.markers.length === 1) return [{ marker: g.markers[0], lat: g.lat, lng: g.lng }];
+    if (g.id !== spiderfiedGroupId) return [];
+    return spiderPositions(g, g.markers.length, mapZoom)
+      .map((p, i) => ({ marker: g.markers[i], lat: p.lat, lng: p.lng, legFrom: g }));
+  }), [activityGroups, spiderfiedGroupId, mapZoom]);
+
+  const handleActivityGroupClick = (group) => {
+    setSelectedActivity(null);
+    setSelectedHome(null);
+    if (group.markers.length > SPIDERFY_MAX_MARKERS && mapZoom < CLUSTER_MAX_ZOOM) {
+      const bounds = new window.google.maps.LatLngBounds();
+      group.markers.forEach(m => bounds.extend({ lat: m.lat, lng: m.lng }));
+      mapRef.current.fitBounds(bounds);
+      return;
+    }
+    setSpiderfiedGroupId(group.id);
+  };
+
+  const activityGroupBadge = (group) => {
+    const counts = new Map();
+    group.markers.forEach(m => counts.set(m.activity, (counts.get(m.activity) || 0) + 1));
+    const slices = Array.from(counts, ([code, count]) => ({
+      color: typesByCode.get(code)?.color || HOME_CLUSTER_COLOR,
+      count,
+      label: typesByCode.get(code)?.label || code,
+    }));
+    return {
+      icon: pieBadgeIconUrl(slices, 32),
+      title: slices.map(s => `${s.count} ${s.label}`).join(', '),
+    };
+  };
+
+  // Heatmaps follow the neighborhood filter (and the chosen activity type)
+  const homeHeatmapPoints = useMemo(() =>
+    filteredHomeMarkers.map(p => ({ lat: p.lat, lng: p.lng })),
+    [filteredHomeMarkers]
+  );
+  const activityHeatmapPoints = useMemo(() =>
+    filteredActivityMarkers
+      .filter(m => heatmapSettings.activityType === 'all' || m.activity === heatmapSettings.activityType)
+      .map(m => ({ lat: m.lat, lng: m.lng })),
+    [filteredActivityMarkers, heatmapSettings.activityType]
+  );
+
+  // Homes, retries or venues being geocoded: uploads that geocode and "Retry failed" wait for it
+  const isGeocoding = isAddressLoading || isVenueGeocoding;
 
   if (!isLoaded) return <div>Loading map...</div>;
 
@@ -469,6 +1591,8 @@ export default function ActivityMapper() {
       >
         {isAddressLoading && "Loading individuals file…"}
         {isLatLonLoading && "Loading activities…"}
+        {isParticipantsLoading && "Loading participants…"}
+        {isPreviousCycleLoading && "Loading previous cycle activities…"}
       </div>
       <div className="max-w-[1400px] mx-auto">
         <h1 className="text-5xl font-bold text-center pb-14 text-indigo-600">Activity Mapper</h1>
@@ -480,7 +1604,7 @@ export default function ActivityMapper() {
         <div className="flex flex-col gap-5 sm:flex-row pb-5 w-full justify-start items-start gap-10">
           <label className="block text-md font-medium">
             <span className="flex justify-between">
-              Individuals CSV/XLSX
+              Individuals spreadsheet (or workbook with both)
               {isAddressLoading && (
                 <span
                   className="animate-spin inline-block size-6 border-4 border-current border-t-transparent text-indigo-600 rounded-full"
@@ -491,13 +1615,13 @@ export default function ActivityMapper() {
             </span>
             <input
               type="file"
-              accept=".csv,.xlsx"
+              accept=".csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods"
               onChange={handleAddressUpload}
               className="block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400" />
           </label>
           <label className="block text-md font-medium">
             <span className="flex justify-between">
-              Activities CSV/XLSX
+              Activities spreadsheet
               {isLatLonLoading && (
                 <span
                   className="animate-spin inline-block size-6 border-4 border-current border-t-transparent text-indigo-600 rounded-full"
@@ -508,52 +1632,416 @@ export default function ActivityMapper() {
             </span>
             <input
               type="file"
-              accept=".csv,.xlsx"
+              accept=".csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods"
               onChange={handleLatLonUpload}
-              disabled={homeMarkers.length === 0}
-              className={`block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400 ${homeMarkers.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`} />
+              disabled={homeMarkers.length === 0 || isGeocoding}
+              className={`block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400 ${homeMarkers.length === 0 || isGeocoding ? 'opacity-50 cursor-not-allowed' : ''}`} />
+          </label>
+          <label className="block text-md font-medium">
+            <span className="flex justify-between gap-2">
+              Participants (optional)
+              {isParticipantsLoading && (
+                <span
+                  className="animate-spin inline-block size-6 border-4 border-current border-t-transparent text-indigo-600 rounded-full"
+                  role="status"
+                  aria-label="loading"
+                ></span>
+              )}
+              {hasParticipantRoster && !isParticipantsLoading && (
+                <button
+                  type="button"
+                  onClick={handleClearParticipants}
+                  className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+                >
+                  Clear
+                </button>
+              )}
+            </span>
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods"
+              onChange={handleParticipantsUpload}
+              disabled={activityMarkers.length === 0 || isParticipantsLoading}
+              className={`block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400 ${activityMarkers.length === 0 || isParticipantsLoading ? 'opacity-50 cursor-not-allowed' : ''}`} />
           </label>
+          <label className="block text-md font-medium">
+            <span className="flex justify-between gap-2">
+              Previous cycle activities (optional)
+              {isPreviousCycleLoading && (
+                <span
+                  className="animate-spin inline-block size-6 border-4 border-current border-t-transparent text-indigo-600 rounded-full"
+                  role="status"
+                  aria-label="loading"
+                ></span>
+              )}
+              {previousActivityMarkers && !isPreviousCycleLoading && (
+                <button
+                  type="button"
+                  onClick={handleClearPreviousCycle}
+                  className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+                >
+                  Clear
+                </button>
+              )}
+            </span>
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods"
+              onChange={handlePreviousCycleUpload}
+              disabled={activityMarkers.length === 0 || isPreviousCycleLoading || isGeocoding}
+              className={`block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400 ${activityMarkers.length === 0 || isPreviousCycleLoading || isGeocoding ? 'opacity-50 cursor-not-allowed' : ''}`} />
+          </label>
+          <label className="block text-md font-medium">
+            <span className="flex justify-between">
+              Open Project
+            </span>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleOpenProject}
+              disabled={isAddressLoading}
+              className="block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400" />
+          </label>
+          <label className="block text-md font-medium">
+            <span className="flex justify-between gap-2">
+              Neighborhood Boundaries
+              {boundaries && (
+                <button
+                  type="button"
+                  onClick={handleClearBoundaries}
+                  className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+                >
+                  Clear ({boundaries.length})
+                </button>
+              )}
+            </span>
+            <input
+              type="file"
+              accept=".geojson,.json,.kml"
+              onChange={handleBoundaryUpload}
+              className="block w-full mt-2 border border-gray-300 rounded-lg text-md cursor-pointer bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400 file:bg-gray-200 file:border-0 file:me-4 file:py-3 file:px-4 dark:file:bg-gray-800 dark:file:text-gray-400" />
+          </label>
+          <div className="block text-md font-medium">
+            <span>Save Project</span>
+            <button
+              onClick={handleSaveProject}
+              disabled={homeMarkers.length === 0 || isAddressLoading}
+              className="block mt-2 px-4 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Download .json
+            </button>
+          </div>
+        </div>
+        {appliedColumnPreset && (
+          <p className="mb-4 text-sm text-gray-600 dark:text-gray-400 flex flex-wrap items-center gap-4">
+            <span>Columns mapped with the preset “{appliedColumnPreset.name}”.</span>
+            <button
+              onClick={() => handleForgetColumnPreset(appliedColumnPreset)}
+              className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+            >
+              Forget preset
+            </button>
+          </p>
+        )}
+        {sheetChoiceRequest && (
+          <SheetPickerDialog
+            request={sheetChoiceRequest}
+            onConfirm={closeSheetChoice}
+            onCancel={() => closeSheetChoice(null)}
+          />
+        )}
+        {columnMappingRequest && (
+          <ColumnMappingWizard
+            key={`${columnMappingRequest.kind}-${columnMappingRequest.fileName}`}
+            request={columnMappingRequest}
+            onConfirm={handleConfirmColumnMapping}
+            onCancel={() => closeColumnMapping(null)}
+          />
+        )}
+        {restoredSessionAt && (
+          <p className="mb-4 p-3 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-800 dark:text-indigo-200 rounded text-sm flex flex-wrap items-center gap-4">
+            <span>Restored the session saved {new Date(restoredSessionAt).toLocaleString()}.</span>
+            <button
+              onClick={handleStartOver}
+              className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+            >
+              Start over
+            </button>
+          </p>
+        )}
+        {rowCountWarning && (
+          <p className="mb-4 p-3 bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-200 rounded text-sm">
+            {rowCountWarning}
+          </p>
+        )}
+        {venueWarning && (
+          <p className="mb-4 p-3 bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-200 rounded text-sm">
+            {venueWarning}
+          </p>
+        )}
+        <FileReadProgress progress={fileReadProgress} />
+        <GeocodeProgress progress={geocodeProgress} onCancel={() => {
+          geocodeAbortRef.current?.abort();
+          venueAbortRef.current?.abort();
+        }} />
+        <div className="flex items-center gap-4 pb-5 text-sm">
+          {cacheStats && (
+            <span className="text-gray-600 dark:text-gray-400">
+              Geocode cache: {cacheStats.hits} hit(s), {cacheStats.misses} miss(es)
+            </span>
+          )}
+          <button
+            onClick={handleClearGeocodeCache}
+            disabled={isAddressLoading}
+            className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400 disabled:opacity-50"
+          >
+            Clear geocode cache
+          </button>
         </div>
+        {homeMarkers.length > 0 && (
+          <div className="pb-3">
+            <AreaDrawingControls
+              mode={areaDrawMode}
+              draftCount={areaDraft.length}
+              canFinish={areaDraft.length >= 3}
+              hasSelection={areaShape !== null}
+              onModeChange={handleAreaModeChange}
+              onFinish={() => finishArea(areaDraft)}
+              onClear={handleClearArea}
+            />
+          </div>
+        )}
         <GoogleMap
           mapContainerStyle={containerStyle}
           center={center}
           zoom={zoom}
           onLoad={map => (mapRef.current = map)}
-          options={{ disableDefaultUI: true, zoomControl: true, mapId: MAP_ID }}
+          onZoomChanged={() => { if (mapRef.current) setMapZoom(mapRef.current.getZoom()); }}
+          onClick={handleMapClick}
+          onDblClick={() => { if (areaDrawMode === AREA_SHAPES.POLYGON) finishArea(areaDraft); }}
+          options={{
+            disableDefaultUI: true,
+            zoomControl: true,
+            mapId: MAP_ID,
+            draggableCursor: placingFailedId || areaDrawMode ? 'crosshair' : undefined,
+            disableDoubleClickZoom: areaDrawMode === AREA_SHAPES.POLYGON,
+          }}
         >
-          {isBatchingMarkers && (
-            <div className="absolute left-1/2 top-10 z-50 -translate-x-1/2 bg-black bg-opacity-70 text-white px-6 py-3 rounded shadow-lg">
-              Updating markers...
-            </div>
+          {boundaries?.flatMap(b => b.polygons.map((rings, i) => (
+            <Polygon
+              key={`${b.name}-${i}`}
+              paths={rings.map(ring => ring.map(([lng, lat]) => ({ lat, lng })))}
+              options={{
+                strokeColor: BOUNDARY_COLOR,
+                strokeWeight: 2,
+                fillColor: BOUNDARY_COLOR,
+                fillOpacity: isNeighborhoodSelected(b.name) ? 0.08 : 0,
+                clickable: false,
+              }}
+            />
+          )))}
+          {areaShape?.type === AREA_SHAPES.POLYGON && (
+            <Polygon paths={areaShape.path} options={areaShapeOptions} />
+          )}
+          {areaShape?.type === AREA_SHAPES.RECTANGLE && (
+            <Rectangle bounds={areaShape.bounds} options={areaShapeOptions} />
+          )}
+          {areaShape?.type === AREA_SHAPES.CIRCLE && (
+            <Circle center={areaShape.center} radius={areaShape.radius} options={areaShapeOptions} />
+          )}
+          {areaDraft.length > 1 && (
+            <Polyline path={areaDraft} options={{ ...areaShapeOptions, clickable: false }} />
+          )}
+          {areaDraft.map((p, i) => (
+            <Marker
+              key={`area-draft-${i}`}
+              position={p}
+              clickable={false}
+              icon={{
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: 4,
+                fillColor: AREA_SELECTION_COLOR,
+                fillOpacity: 1,
+                strokeColor: '#fff',
+                strokeWeight: 1,
+              }}
+            />
+          ))}
+          {heatmapSettings.homes && (
+            <HeatmapOverlay
+              points={homeHeatmapPoints}
+              gradient={HEATMAP_GRADIENTS.homes}
+              radius={heatmapSettings.radius}
+              intensity={heatmapSettings.intensity}
+            />
+          )}
+          {heatmapSettings.activities && (
+            <HeatmapOverlay
+              points={activityHeatmapPoints}
+              gradient={HEATMAP_GRADIENTS.activities}
+              radius={heatmapSettings.radius}
+              intensity={heatmapSettings.intensity}
+            />
           )}
-          {batchedActivityMarkers.map((m) => (
+          {showConnections && connections.pairs.map(p => (
+            <Polyline
+              key={`connection-${p.id}`}
+              path={[p.from, p.to]}
+              options={{
+                strokeColor: CONNECTION_COLOR,
+                strokeOpacity: 0.6,
+                strokeWeight: connectionWeight(p.count, maxConnectionCount),
+                clickable: false,
+              }}
+            />
+          ))}
+          {activityGroups.filter(g => g.markers.length > 1).map(g => {
+            const badge = activityGroupBadge(g);
+            const isOpen = g.id === spiderfiedGroupId;
+            return (
+              <Marker
+                key={g.id}
+                position={{ lat: g.lat, lng: g.lng }}
+                title={badge.title}
+                opacity={isOpen ? 0.6 : 1}
+                zIndex={1}
+                icon={{
+                  url: badge.icon,
+                  size: new window.google.maps.Size(32, 32),
+                  scaledSize: new window.google.maps.Size(32, 32),
+                  anchor: new window.google.maps.Point(16, 16),
+                }}
+                label={{ text: String(g.markers.length), color: '#fff', fontSize: '12px', fontWeight: 'bold' }}
+                onClick={() => (isOpen ? setSpiderfiedGroupId(null) : handleActivityGroupClick(g))}
+              />
+            );
+          })}
+          {displayedActivities.filter(d => d.legFrom).map(d => (
+            <Polyline
+              key={`leg-${d.marker.id}`}
+              path={[{ lat: d.legFrom.lat, lng: d.legFrom.lng }, { lat: d.lat, lng: d.lng }]}
+              options={{ strokeColor: '#444', strokeOpacity: 0.8, strokeWeight: 1, clickable: false }}
+            />
+          ))}
+          {displayedActivities.flatMap(d => (d.marker.facilitatorHomes || [])
+            .filter(f => f.lat !== d.lat || f.lng !== d.lng)
+            .map(f => (
+              <Polyline
+                key={`leader-${d.marker.id}-${f.key}`}
+                path={[{ lat: d.lat, lng: d.lng }, { lat: f.lat, lng: f.lng }]}
+                options={{
+                  strokeOpacity: 0,
+                  clickable: false,
+                  icons: [{
+                    icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.7, strokeColor: typesByCode.get(d.marker.activity)?.color || HOME_CLUSTER_COLOR, scale: 2 },
+                    offset: '0',
+                    repeat: '8px',
+                  }],
+                }}
+              />
+            )))}
+          {displayedActivities.filter(d => snapshotRingColor(d.marker)).map(d => (
             <Marker
-              key={m.id}
-              position={{ lat: m.lat, lng: m.lng }}
+              key={`snapshot-${d.marker.id}`}
+              position={{ lat: d.lat, lng: d.lng }}
+              clickable={false}
+              zIndex={2}
               icon={{
-                url: `${ICON_BASE_URL}/${m.activity.toLowerCase()}.png`,
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: 15,
+                fillOpacity: 0,
+                strokeColor: snapshotRingColor(d.marker),
+                strokeWeight: 3,
+              }}
+            />
+          ))}
+          {displayedActivities.map(d => (
+            <Marker
+              key={d.marker.id}
+              position={{ lat: d.lat, lng: d.lng }}
+              zIndex={2}
+              opacity={snapshotStatusOf(d.marker) === SNAPSHOT_STATUS.ENDED ? SNAPSHOT_ENDED_OPACITY : 1}
+              icon={{
+                url: activityTypeIcon(typesByCode.get(d.marker.activity)),
                 size: new window.google.maps.Size(24, 24),
                 scaledSize: new window.google.maps.Size(24, 24),
                 anchor: new window.google.maps.Point(12, 12),
               }}
-              onClick={() => { setSelectedActivity(m); setSelectedHome(null); }}
+              onClick={() => { setSelectedActivity({ ...d.marker, shownAt: { lat: d.lat, lng: d.lng } }); setSelectedHome(null); }}
+            />
+          ))}
+          {filteredHomeMarkers.length > 0 && (
+            <MarkerClusterer
+              key={`homes-${listKey(filteredHomeMarkers)}`}
+              options={clusterOptions(HOME_CLUSTER_COLOR, 'Addresses')}
+            >
+              {clusterer => (
+                <>
+                  {filteredHomeMarkers.map((p, i) => (
+                    <Marker
+                      key={p.id ?? `home-${p.lat}-${p.lng}-${p.firstName}-${p.lastName}`}
+                      clusterer={clusterer}
+                      noClustererRedraw={i < filteredHomeMarkers.length - 1}
+                      position={{ lat: p.lat, lng: p.lng }}
+                      icon={p.lowConfidence ? {
+                        path: window.google.maps.SymbolPath.CIRCLE,
+                        scale: 6,
+                        fillColor: LOW_CONFIDENCE_COLOR,
+                        fillOpacity: 0.9,
+                        strokeColor: '#000',
+                        strokeWeight: 1,
+                      } : {
+                        url: HOME_ICON_URL,
+                        size: new window.google.maps.Size(10, 10),
+                        scaledSize: new window.google.maps.Size(10, 10),
+                        anchor: new window.google.maps.Point(5, 5),
+                      }}
+                      draggable={p.quality === GEOCODE_QUALITY.MANUAL}
+                      onDragEnd={e => handleManualHomeDrag(p, e)}
+                      onClick={() => { setSelectedHome(p); setSelectedActivity(null); }}
+                    />
+                  ))}
+                </>
+              )}
+            </MarkerClusterer>
+          )}
+          {selectedCatchment && catchmentView === 'lines' && selectedActivity.participantHomes.map(p => (
+            <Polyline
+              key={`catchment-${p.key}`}
+              path={[selectedActivity.shownAt, { lat: p.lat, lng: p.lng }]}
+              options={{ strokeColor: CATCHMENT_COLOR, strokeOpacity: 0.8, strokeWeight: 2, clickable: false }}
             />
           ))}
-          {batchedHomeMarkers.map((p) => (
+          {selectedCatchment && catchmentView === 'hull' && (
+            <Polygon
+              paths={selectedCatchment.hull}
+              options={{
+                strokeColor: CATCHMENT_COLOR,
+                strokeWeight: 2,
+                fillColor: CATCHMENT_COLOR,
+                fillOpacity: 0.15,
+                clickable: false,
+              }}
+            />
+          )}
+          {selectedCatchment && selectedActivity.participantHomes.map(p => (
             <Marker
-              key={p.id ?? `home-${p.lat}-${p.lng}-${p.firstName}-${p.lastName}`}
+              key={`participant-${p.key}`}
               position={{ lat: p.lat, lng: p.lng }}
+              title={p.name}
+              clickable={false}
               icon={{
-                url: HOME_ICON_URL,
-                size: new window.google.maps.Size(10, 10),
-                scaledSize: new window.google.maps.Size(10, 10),
-                anchor: new window.google.maps.Point(5, 5),
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: 5,
+                fillColor: CATCHMENT_COLOR,
+                fillOpacity: 1,
+                strokeColor: '#fff',
+                strokeWeight: 1,
               }}
-              onClick={() => { setSelectedHome(p); setSelectedActivity(null); }}
             />
           ))}
           {selectedActivity && mapRef.current && (
-            <MarkerPopup map={mapRef.current} lat={selectedActivity.lat} lng={selectedActivity.lng} onClose={() => setSelectedActivity(null)}>
+            <MarkerPopup map={mapRef.current} lat={selectedActivity.shownAt.lat} lng={selectedActivity.shownAt.lng} onClose={() => setSelectedActivity(null)}>
               <p className="mb-3 text-sm font-normal break-words">
                 <span className="font-bold">{selectedActivity.activityTypeRaw || '[No Activity Type]'}</span>
                 <br />
@@ -561,6 +2049,52 @@ export default function ActivityMapper() {
                 <br />
                 <span>{selectedActivity.facilitators || '[No Facilitators]'}</span>
               </p>
+              {snapshotStatusOf(selectedActivity) && (
+                <p className="mb-3 text-xs font-semibold">
+                  {snapshotStatusOf(selectedActivity) === SNAPSHOT_STATUS.ENDED
+                    ? 'Ended: only in the previous cycle'
+                    : `${SNAPSHOT_STATUS_LABELS[snapshotStatusOf(selectedActivity)]} this cycle`}
+                </p>
+              )}
+              <p className="mb-3 text-xs text-gray-600 dark:text-gray-400">
+                {selectedActivity.placement === ACTIVITY_PLACEMENT.VENUE
+                  ? `Placed at the venue: ${selectedActivity.address}`
+                  : `Placed at ${selectedActivity.facilitator}'s home${
+                    selectedActivity.venueQuery ? ` (venue “${selectedActivity.venueQuery}” not found)` : ''
+                  }`}
+              </p>
+              {selectedActivity.participantsNotFound?.length > 0 && !selectedCatchment && (
+                <p className="mb-3 text-xs text-gray-600 dark:text-gray-400">
+                  {selectedActivity.participantsNotFound.length} participant(s), none found among the individuals
+                </p>
+              )}
+              {selectedCatchment && (
+                <div className="mb-3 text-xs">
+                  <p>
+                    Participants: {selectedCatchment.stats.participantCount}
+                    {selectedCatchment.stats.mappedCount < selectedCatchment.stats.participantCount
+                      && ` (${selectedCatchment.stats.mappedCount} on the map)`}
+                  </p>
+                  <p>Average distance: {formatDistance(selectedCatchment.stats.averageMeters)}</p>
+                  <p>Farthest: {formatDistance(selectedCatchment.stats.maxMeters)}</p>
+                  {selectedActivity.participantsNotFound.length > 0 && (
+                    <p className="text-gray-600 dark:text-gray-400">
+                      Not found: {selectedActivity.participantsNotFound.join(', ')}
+                    </p>
+                  )}
+                  <div className="flex gap-2 mt-2">
+                    {['lines', 'hull'].map(view => (
+                      <button
+                        key={view}
+                        onClick={() => setCatchmentView(view)}
+                        className={`px-2 py-1 rounded ${catchmentView === view ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-800'}`}
+                      >
+                        {view === 'lines' ? 'Lines' : 'Area'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </MarkerPopup>
           )}
           {selectedHome && mapRef.current && (
@@ -568,6 +2102,11 @@ export default function ActivityMapper() {
               <p className="mb-3 text-sm font-normal break-words">
                 {selectedHome.address}
               </p>
+              {selectedHome.lowConfidence && (
+                <p className="mb-3 text-xs text-amber-700 dark:text-amber-300">
+                  Approximate location (matched to {selectedHome.quality})
+                </p>
+              )}
               <div className="flex justify-end mt-2">
                 <button
                   onClick={() => {
@@ -585,16 +2124,33 @@ export default function ActivityMapper() {
           )}
         </GoogleMap>
         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-5 gap-4 pt-4 text-sm">
-          {Object.entries(ICON_COLORS).map(([key]) => (
-            <div key={key} className="flex items-center space-x-2">
-              <img
-                src={`${ICON_BASE_URL}/${key.toLowerCase()}.png`}
-                alt={key}
-                className="w-4 h-4"
-              />
-              <span>{ACTIVITY_LABELS[key]} <span className="text-xs text-gray-500">({activityTypeCounts[key] || 0})</span></span>
-            </div>
-          ))}
+          {activityTypes.map(t => {
+            const isHidden = filters.hiddenTypes.includes(t.code);
+            return (
+              <button
+                key={t.code}
+                type="button"
+                onClick={() => toggleActivityType(t.code)}
+                aria-pressed={!isHidden}
+                title={isHidden ? `Show ${t.label}` : `Hide ${t.label}`}
+                className={`flex items-center space-x-2 text-left ${isHidden ? 'opacity-40 line-through' : ''}`}
+              >
+                <img
+                  src={activityTypeIcon(t)}
+                  alt={t.code}
+                  className="w-4 h-4"
+                />
+                <span>
+                  {t.label}{' '}
+                  <span className="text-xs text-gray-500">
+                    ({isAnyFilterActive
+                      ? `${shownTypeCounts[t.code] || 0} of ${activityTypeCounts[t.code] || 0}`
+                      : activityTypeCounts[t.code] || 0})
+                  </span>
+                </span>
+              </button>
+            );
+          })}
           <div className="flex items-center space-x-2">
             <img
               src={HOME_ICON_URL}
@@ -602,15 +2158,83 @@ export default function ActivityMapper() {
               className="w-4 h-4" />
             <span>Address</span>
           </div>
+          <div className="flex items-center space-x-2">
+            <span
+              className="inline-block w-3 h-3 rounded-full border border-black"
+              style={{ backgroundColor: LOW_CONFIDENCE_COLOR }}
+            />
+            <span>Approximate address <span className="text-xs text-gray-500">({lowConfidenceHomes.length})</span></span>
+          </div>
+          {snapshotSummary && [SNAPSHOT_STATUS.NEW, SNAPSHOT_STATUS.ENDED].map(status => (
+            <div key={status} className="flex items-center space-x-2">
+              <span
+                className="inline-block w-4 h-4 rounded-full border-[3px]"
+                style={{ borderColor: status === SNAPSHOT_STATUS.NEW ? SNAPSHOT_NEW_COLOR : SNAPSHOT_ENDED_COLOR }}
+              />
+              <span>{SNAPSHOT_STATUS_LABELS[status]} activity <span className="text-xs text-gray-500">({snapshotSummary.totals[status]})</span></span>
+            </div>
+          ))}
         </div>
+        {homeMarkers.length > 0 && (
+          <HeatmapControls settings={heatmapSettings} activityTypes={activityTypes} onChange={setHeatmapSettings} />
+        )}
+        {homeMarkers.length > 0 && !isAddressLoading && (
+          <div className="mt-8">
+            <h2 className="text-lg font-bold mb-2">Export</h2>
+            <div className="flex flex-wrap gap-2 text-xs">
+              <button onClick={() => handleExport('homes-geojson')} className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                Homes GeoJSON
+              </button>
+              <button
+                onClick={() => handleExport('activities-geojson')}
+                disabled={activityMarkers.length === 0}
+                className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Activities GeoJSON
+              </button>
+              <button onClick={() => handleExport('kml')} className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                KML (homes + activities)
+              </button>
+              <button
+                onClick={() => handleExport('enriched-csv')}
+                disabled={!individualRowsRef.current}
+                className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Individuals with coordinates (CSV)
+              </button>
+              <button
+                onClick={() => handleExport('enriched-xlsx')}
+                disabled={!individualRowsRef.current}
+                className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Individuals with coordinates (XLSX)
+              </button>
+            </div>
+          </div>
+        )}
+        {homeMarkers.length > 0 && (
+          <MapFiltersPanel
+            filters={filters}
+            facilitatorQuery={facilitatorQuery}
+            localities={localities}
+            regions={regions}
+            isFiltering={isFiltering(filters)}
+            onChange={setFilters}
+            onFacilitatorQueryChange={handleFacilitatorQueryChange}
+            onClear={handleClearFilters}
+          />
+        )}
         {/* Neighborhood filter */}
         {neighborhoods.length > 0 && (
           <div className="mt-8 mb-4">
-            <h2 className="text-lg font-bold mb-2">Neighborhood</h2>
+            <h2 className="text-lg font-bold mb-2">
+              Neighborhood
+              {boundaries && <span className="ml-2 text-xs font-normal text-gray-500">(from boundary file)</span>}
+            </h2>
             <div className="flex gap-4 mb-2">
               <button
                 className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700"
-                onClick={() => setSelectedNeighborhoodsDebounced([...neighborhoods])}
+                onClick={() => setSelectedNeighborhoodsDebounced(null)}
               >
                 Select All
               </button>
@@ -626,12 +2250,13 @@ export default function ActivityMapper() {
                 <label key={n} className="flex items-center gap-2 cursor-pointer">
                   <input
                     type="checkbox"
-                    checked={selectedNeighborhoods.includes(n)}
+                    checked={isNeighborhoodSelected(n)}
                     onChange={e => {
+                      const current = selectedNeighborhoods ?? neighborhoods;
                       setSelectedNeighborhoodsDebounced(
                         e.target.checked
-                          ? [...selectedNeighborhoods, n].sort((a, b) => a.localeCompare(b))
-                          : selectedNeighborhoods.filter(x => x !== n)
+                          ? [...current, n].sort((a, b) => a.localeCompare(b))
+                          : current.filter(x => x !== n)
                       );
                     }}
                   />
@@ -641,6 +2266,70 @@ export default function ActivityMapper() {
             </div>
           </div>
         )}
+        <FailedGeocodesPanel
+          failed={failedGeocodes}
+          placingId={placingFailedId}
+          onRetry={handleRetryFailedGeocode}
+          onRetryAll={handleRetryAllFailed}
+          isBusy={isGeocoding}
+          onTogglePlace={f => setPlacingFailedId(prev => (prev === f.id ? null : f.id))}
+        />
+        <ActivityTypesPanel
+          types={activityTypes}
+          unmappedTypes={unmappedActivityTypes}
+          onChange={handleActivityTypesChange}
+          onImport={handleImportActivityTypes}
+          onExport={() => downloadFile(
+            JSON.stringify(activityTypesToConfig(activityTypes), null, 2),
+            'activity-types.json',
+            'application/json'
+          )}
+          onReset={() => handleActivityTypesChange(DEFAULT_ACTIVITY_TYPES)}
+        />
+        <FacilitatorMatchPanel
+          reviews={facilitatorReviews}
+          autoMatches={facilitatorAutoMatches}
+          onResolve={handleResolveFacilitator}
+        />
+        <AreaSelectionPanel
+          summary={areaSummary}
+          activityTypes={activityTypes}
+          filterEnabled={isAreaFilterEnabled}
+          onToggleFilter={setIsAreaFilterEnabled}
+          onExport={handleExportArea}
+        />
+        <NeighborhoodMismatchPanel
+          mismatches={neighborhoodMismatches}
+          onShow={h => {
+            mapRef.current?.panTo({ lat: h.lat, lng: h.lng });
+            mapRef.current?.setZoom(16);
+            setSelectedHome(h);
+            setSelectedActivity(null);
+          }}
+        />
+        <SnapshotComparisonPanel summary={snapshotSummary} />
+        <ConnectionsPanel
+          connections={connections}
+          visible={showConnections}
+          onToggle={setShowConnections}
+          onShowPair={p => {
+            const bounds = new window.google.maps.LatLngBounds();
+            bounds.extend(p.from);
+            bounds.extend(p.to);
+            mapRef.current?.fitBounds(bounds);
+            setShowConnections(true);
+          }}
+        />
+        <DataQualityPanel issues={dataIssues} onDownload={handleDownloadDataIssues} />
+        <LowConfidencePanel
+          homes={lowConfidenceHomes}
+          onShow={h => {
+            mapRef.current?.panTo({ lat: h.lat, lng: h.lng });
+            mapRef.current?.setZoom(16);
+            setSelectedHome(h);
+            setSelectedActivity(null);
+          }}
+        />
         {/* Activities with no facilitators */}
         {activitiesNoFacilitators.length > 0 && (
           <div className="mt-10">
@@ -671,6 +2360,23 @@ export default function ActivityMapper() {
             </ul>
           </div>
         )}
+        {/* Roster activities matching several activities */}
+        {ambiguousRosters.length > 0 && (
+          <div className="mt-8">
+            <h2 className="text-lg font-bold mb-2">Roster Activities Matching Several Activities</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+              Their participants are shown on each of those activities. Add an activity type or facilitators column to the roster to tell them apart.
+            </p>
+            <ul className="list-disc pl-6">
+              {ambiguousRosters.map((r, idx) => (
+                <li key={idx} className="mb-1">
+                  {r.activityType ? `${typesByCode.get(r.activityType)?.label || r.activityType}: ` : ''}
+                  {getShortActivityName(r.activityName)} - {r.activityCount} activities
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     </div>
   );
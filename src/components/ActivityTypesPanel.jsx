@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { activityTypeIcon, suggestTypeCode, nextTypeColor } from "../utils/activityTypes";
+
+const inputClass = "px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600";
+const splitAliases = (text) => text.split(",").map(a => a.trim()).filter(Boolean);
+
+/**
+ * Editor for the activity type registry: labels, colors, icons and the raw spellings
+ * (aliases) mapped to each code, plus the raw types in the activities file that no type maps.
+ * Text fields commit on blur so activities are not re-matched on every keystroke.
+ */
+export default function ActivityTypesPanel({ types, unmappedTypes, onChange, onImport, onExport, onReset }) {
+  const [newLabel, setNewLabel] = useState('');
+  const update = (code, changes) => onChange(types.map(t => (t.code === code ? { ...t, ...changes } : t)));
+  const addType = (label, aliases = []) => {
+    const trimmed = label.trim();
+    if (!trimmed) return;
+    onChange([...types, { code: suggestTypeCode(trimmed, types), label: trimmed, color: nextTypeColor(types), icon: '', aliases }]);
+  };
+  const addAlias = (code, raw) => {
+    const type = types.find(t => t.code === code);
+    if (type) update(code, { aliases: [...type.aliases, raw] });
+  };
+
+  return (
+    <details className="mt-8">
+      <summary className="text-lg font-bold mb-2 cursor-pointer">
+        Activity Types
+        {unmappedTypes.length > 0 && (
+          <span className="ml-2 text-sm font-normal text-amber-700 dark:text-amber-300">
+            ({unmappedTypes.length} unmapped in the activities file)
+          </span>
+        )}
+      </summary>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+        <label className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer">
+          Load JSON config
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={e => { onImport(e.target.files[0]); e.target.value = ''; }}
+          />
+        </label>
+        <button onClick={onExport} className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+          Download JSON config
+        </button>
+        <button onClick={onReset} className="px-2 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">
+          Reset to defaults
+        </button>
+      </div>
+      <table className="text-sm w-full">
+        <thead>
+          <tr className="text-left text-xs text-gray-500">
+            <th className="pr-2">Code</th>
+            <th className="pr-2">Label</th>
+            <th className="pr-2">Color</th>
+            <th className="pr-2">Icon URL</th>
+            <th className="pr-2">Other spellings (comma-separated)</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {types.map(t => (
+            // Keyed by content so uncontrolled fields pick up imported or reset values
+            <tr key={`${t.code}|${t.label}|${t.icon}|${t.aliases.join('|')}`}>
+              <td className="pr-2 py-1">
+                <span className="flex items-center gap-2">
+                  <img src={activityTypeIcon(t)} alt="" className="w-4 h-4" />
+                  <span className="font-mono">{t.code}</span>
+                </span>
+              </td>
+              <td className="pr-2 py-1">
+                <input
+                  defaultValue={t.label}
+                  onBlur={e => { if (e.target.value.trim() && e.target.value.trim() !== t.label) update(t.code, { label: e.target.value.trim() }); }}
+                  className={inputClass}
+                />
+              </td>
+              <td className="pr-2 py-1">
+                <input type="color" value={t.color} onChange={e => update(t.code, { color: e.target.value })} />
+              </td>
+              <td className="pr-2 py-1">
+                <input
+                  defaultValue={t.icon}
+                  placeholder="Colored dot"
+                  onBlur={e => { if (e.target.value.trim() !== t.icon) update(t.code, { icon: e.target.value.trim() }); }}
+                  className={`${inputClass} w-48`}
+                />
+              </td>
+              <td className="pr-2 py-1">
+                <input
+                  defaultValue={t.aliases.join(', ')}
+                  onBlur={e => {
+                    const aliases = splitAliases(e.target.value);
+                    if (aliases.join('|') !== t.aliases.join('|')) update(t.code, { aliases });
+                  }}
+                  className={`${inputClass} w-full`}
+                />
+              </td>
+              <td className="py-1">
+                <button
+                  onClick={() => onChange(types.filter(x => x.code !== t.code))}
+                  disabled={types.length === 1}
+                  className="text-red-600 text-xs hover:underline disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-center gap-2 mt-2 text-sm">
+        <input
+          value={newLabel}
+          onChange={e => setNewLabel(e.target.value)}
+          placeholder="New type label, e.g. Youth Gathering"
+          className={`${inputClass} w-72`}
+        />
+        <button
+          onClick={() => { addType(newLabel); setNewLabel(''); }}
+          disabled={!newLabel.trim()}
+          className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Add type
+        </button>
+      </div>
+      {unmappedTypes.length > 0 && (
+        <div className="mt-4">
+          <h3 className="font-semibold mb-1 text-sm">Unmapped types in the activities file</h3>
+          <ul className="list-disc pl-6 text-sm">
+            {unmappedTypes.map(u => (
+              <li key={u.raw} className="mb-1">
+                {u.raw} <span className="text-xs text-gray-500">({u.count} row{u.count === 1 ? '' : 's'})</span>
+                <button onClick={() => addType(u.raw)} className="ml-2 text-indigo-600 text-xs hover:underline">
+                  Add as new type
+                </button>
+                <select
+                  value=""
+                  onChange={e => addAlias(e.target.value, u.raw)}
+                  className={`${inputClass} ml-2 text-xs`}
+                >
+                  <option value="">Map to…</option>
+                  {types.map(t => <option key={t.code} value={t.code}>{t.label}</option>)}
+                </select>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </details>
+  );
+}
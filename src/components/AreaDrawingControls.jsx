@@ -0,0 +1,59 @@
+import React from "react";
+import { AREA_SHAPES } from "../utils/areaSelection";
+
+const SHAPE_LABELS = {
+  [AREA_SHAPES.POLYGON]: "Polygon",
+  [AREA_SHAPES.RECTANGLE]: "Rectangle",
+  [AREA_SHAPES.CIRCLE]: "Radius",
+};
+
+const HINTS = {
+  [AREA_SHAPES.POLYGON]: "Click to add corners, then Finish (or double-click).",
+  [AREA_SHAPES.RECTANGLE]: "Click two opposite corners.",
+  [AREA_SHAPES.CIRCLE]: "Click the centre, then a point on the edge.",
+};
+
+/**
+ * Buttons for drawing a selection area on the map. Drawing is click-based: each map click
+ * adds a point to the draft until the shape is complete.
+ */
+export default function AreaDrawingControls({ mode, draftCount, canFinish, hasSelection, onModeChange, onFinish, onClear }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span>Select area:</span>
+      {Object.entries(SHAPE_LABELS).map(([shape, label]) => (
+        <button
+          key={shape}
+          onClick={() => onModeChange(mode === shape ? null : shape)}
+          className={`px-2 py-1 text-xs rounded ${mode === shape
+            ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+            : 'bg-gray-300 text-gray-800 hover:bg-gray-400'}`}
+        >
+          {label}
+        </button>
+      ))}
+      {mode === AREA_SHAPES.POLYGON && (
+        <button
+          onClick={onFinish}
+          disabled={!canFinish}
+          className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Finish
+        </button>
+      )}
+      {(mode || hasSelection) && (
+        <button
+          onClick={onClear}
+          className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+        >
+          {mode ? 'Cancel' : 'Clear selection'}
+        </button>
+      )}
+      {mode && (
+        <span className="text-xs text-gray-500">
+          {HINTS[mode]}{draftCount > 0 ? ` (${draftCount} point${draftCount === 1 ? '' : 's'})` : ''}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+
+/**
+ * Summary of the homes and activities inside the drawn selection area: counts by
+ * activity type, individuals and facilitators, with list export.
+ */
+export default function AreaSelectionPanel({ summary, activityTypes, filterEnabled, onToggleFilter, onExport }) {
+  if (!summary) return null;
+  const labels = Object.fromEntries(activityTypes.map(t => [t.code, t.label]));
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-bold mb-2">Selected Area</h2>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <span>{summary.homeCount} individual(s), {summary.activityCount} activit{summary.activityCount === 1 ? 'y' : 'ies'}</span>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={filterEnabled} onChange={e => onToggleFilter(e.target.checked)} />
+          <span>Only show the selection on the map</span>
+        </label>
+        <button
+          onClick={() => onExport('csv')}
+          className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700"
+        >
+          Export list (CSV)
+        </button>
+        <button
+          onClick={() => onExport('xlsx')}
+          className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700"
+        >
+          Export list (XLSX)
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
+        <div>
+          <h3 className="font-semibold mb-1">Activities by type</h3>
+          <ul className="list-disc pl-6">
+            {Object.entries(summary.typeCounts).map(([code, count]) => (
+              <li key={code}>{labels[code] || code}: {count}</li>
+            ))}
+            {summary.activityCount === 0 && <li className="text-gray-500">None</li>}
+          </ul>
+        </div>
+        <div>
+          <h3 className="font-semibold mb-1">Individuals ({summary.individuals.length})</h3>
+          <ul className="list-disc pl-6 max-h-64 overflow-y-auto">
+            {summary.individuals.map((name, idx) => <li key={idx}>{name || '[No Name]'}</li>)}
+          </ul>
+        </div>
+        <div>
+          <h3 className="font-semibold mb-1">Facilitators ({summary.facilitators.length})</h3>
+          <ul className="list-disc pl-6 max-h-64 overflow-y-auto">
+            {summary.facilitators.map(name => <li key={name}>{name}</li>)}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
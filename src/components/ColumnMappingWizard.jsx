@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { COLUMN_PREVIEW_ROWS } from "../constants";
+import { missingRequiredFields } from "../utils/columnMapping";
+
+const inputClass = "px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600";
+
+/**
+ * Mapping step shown after a file is parsed: previews the detected header and first rows,
+ * lets each field be assigned a column (pre-filled by auto-detection or a preset), flags
+ * missing required fields and optionally saves the mapping as a named preset.
+ */
+export default function ColumnMappingWizard({ request, onConfirm, onCancel }) {
+  const { fileName, schema, columns, rows, initialMapping, presetName } = request;
+  const [mapping, setMapping] = useState(initialMapping);
+  const [saveAs, setSaveAs] = useState(presetName || '');
+  const missing = missingRequiredFields(mapping, schema);
+  const preview = rows.slice(0, COLUMN_PREVIEW_ROWS);
+
+  return (
+    <div className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true">
+      <div className="w-full max-w-5xl max-h-full overflow-y-auto p-6 bg-white text-black dark:bg-gray-900 dark:text-white rounded-lg shadow-lg">
+        <h2 className="text-lg font-bold mb-1">Map columns</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {fileName}: {rows.length} row(s). Choose the column for each field.
+        </p>
+        <div className="overflow-x-auto mb-4 border border-gray-300 dark:border-gray-700 rounded">
+          <table className="text-xs whitespace-nowrap">
+            <thead className="bg-gray-100 dark:bg-gray-800">
+              <tr>{columns.map(c => <th key={c} className="px-2 py-1 text-left">{c}</th>)}</tr>
+            </thead>
+            <tbody>
+              {preview.map((row, i) => (
+                <tr key={i}>{columns.map(c => <td key={c} className="px-2 py-1">{String(row[c] ?? '')}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <table className="text-sm mb-4">
+          <tbody>
+            {schema.fields.map(f => {
+              const isRequired = schema.required.some(group => group.includes(f.id));
+              const sample = mapping[f.id] ? preview.map(r => r[mapping[f.id]]).filter(v => v !== '' && v != null).slice(0, 3) : [];
+              return (
+                <tr key={f.id}>
+                  <td className="pr-4 py-1">
+                    {f.label}{isRequired && <span className="text-red-600"> *</span>}
+                  </td>
+                  <td className="pr-4 py-1">
+                    <select
+                      value={mapping[f.id] || ''}
+                      onChange={e => setMapping({ ...mapping, [f.id]: e.target.value || null })}
+                      className={inputClass}
+                    >
+                      <option value="">— not in file —</option>
+                      {columns.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1 text-xs text-gray-500 truncate max-w-xs">{sample.join(', ')}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {missing.length > 0 && (
+          <p className="mb-4 p-3 bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-200 rounded text-sm" role="alert">
+            Required: {missing.join(', ')}
+          </p>
+        )}
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center gap-2">
+            <span>Save as preset</span>
+            <input
+              value={saveAs}
+              onChange={e => setSaveAs(e.target.value)}
+              placeholder="Preset name (optional)"
+              className={inputClass}
+            />
+          </label>
+          <span className="flex-1" />
+          <button onClick={onCancel} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mapping, saveAs.trim())}
+            disabled={missing.length > 0}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
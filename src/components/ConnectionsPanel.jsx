@@ -0,0 +1,61 @@
+import React from "react";
+
+const LIST_LIMIT = 20;
+
+const activityCount = (count) => `${count} ${count === 1 ? 'activity' : 'activities'}`;
+
+/**
+ * Toggle for the co-facilitator connection layer, with the strongest pairs, the teams of three
+ * or more and the facilitators who serve alone.
+ */
+export default function ConnectionsPanel({ connections, visible, onToggle, onShowPair }) {
+  const { pairs, teams, isolated } = connections;
+  if (!pairs.length && !isolated.length) return null;
+  return (
+    <div className="mt-8">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-lg font-bold">Co-facilitators</h2>
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+          <input type="checkbox" checked={visible} onChange={e => onToggle(e.target.checked)} />
+          <span>Show connections on map</span>
+        </label>
+      </div>
+      <details className="mb-2 text-sm" open>
+        <summary className="cursor-pointer font-medium">Pairs ({pairs.length})</summary>
+        <ul className="list-disc pl-6 mt-1">
+          {pairs.slice(0, LIST_LIMIT).map(p => (
+            <li key={p.id} className="mb-1">
+              <button onClick={() => onShowPair(p)} className="text-indigo-600 hover:underline">
+                {p.names.join(' & ')}
+              </button>
+              {' — '}{activityCount(p.count)}
+            </li>
+          ))}
+        </ul>
+        {pairs.length > LIST_LIMIT && (
+          <p className="text-xs text-gray-500 pl-6">and {pairs.length - LIST_LIMIT} more</p>
+        )}
+      </details>
+      {teams.length > 0 && (
+        <details className="mb-2 text-sm">
+          <summary className="cursor-pointer font-medium">Teams of three or more ({teams.length})</summary>
+          <ul className="list-disc pl-6 mt-1">
+            {teams.map(t => (
+              <li key={t.id} className="mb-1">{t.names.join(', ')} — {activityCount(t.count)}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {isolated.length > 0 && (
+        <details className="mb-2 text-sm">
+          <summary className="cursor-pointer font-medium">Serving alone ({isolated.length})</summary>
+          <ul className="list-disc pl-6 mt-1">
+            {isolated.map(f => (
+              <li key={f.key} className="mb-1">{f.name} — {activityCount(f.count)}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
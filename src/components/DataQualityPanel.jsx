@@ -0,0 +1,47 @@
+import React from "react";
+import { DATA_ISSUE, DATA_ISSUE_LABELS } from "../utils/dataQuality";
+
+const formatRows = (rows) => {
+  const numbers = rows.filter(n => n != null);
+  if (!numbers.length) return '';
+  return `${numbers.length === 1 ? 'row' : 'rows'} ${numbers.join(', ')}`;
+};
+
+/**
+ * Data problems found in the uploaded spreadsheets, grouped by kind, with the source rows to
+ * fix and a CSV download.
+ */
+export default function DataQualityPanel({ issues, onDownload }) {
+  if (!issues.length) return null;
+  const groups = Object.values(DATA_ISSUE)
+    .map(type => ({ type, items: issues.filter(i => i.type === type) }))
+    .filter(g => g.items.length);
+  return (
+    <div className="mt-8">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-lg font-bold">Data Quality ({issues.length})</h2>
+        <button
+          onClick={onDownload}
+          className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700"
+        >
+          Download report (CSV)
+        </button>
+      </div>
+      {groups.map(({ type, items }) => (
+        <details key={type} className="mb-2 text-sm">
+          <summary className="cursor-pointer font-medium">{DATA_ISSUE_LABELS[type]} ({items.length})</summary>
+          <ul className="list-disc pl-6 mt-1">
+            {items.map((issue, idx) => (
+              <li key={idx} className="mb-1">
+                <span className="text-gray-600 dark:text-gray-400">
+                  {issue.source} {formatRows(issue.rows)}
+                </span>
+                {' — '}{issue.subject || '[No Name]'}: {issue.detail}
+              </li>
+            ))}
+          </ul>
+        </details>
+      ))}
+    </div>
+  );
+}
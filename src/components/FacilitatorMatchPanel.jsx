@@ -0,0 +1,72 @@
+import React from "react";
+
+const percent = (score) => `${Math.round(score * 100)}%`;
+
+/**
+ * Review step for facilitator and participant names that did not match an individual
+ * exactly: ambiguous names list their best candidates to confirm, and automatic matches can
+ * be rejected.
+ * Decisions are remembered for later uploads.
+ */
+export default function FacilitatorMatchPanel({ reviews, autoMatches, onResolve }) {
+  if (!reviews.length && !autoMatches.length) return null;
+  return (
+    <div className="mt-8">
+      {reviews.length > 0 && (
+        <>
+          <h2 className="text-lg font-bold mb-2">Name Matches to Review ({reviews.length})</h2>
+          <ul className="list-disc pl-6 text-sm">
+            {reviews.map(r => (
+              <li key={r.key} className="mb-2">
+                <span className="font-semibold">{r.facilitator}</span>
+                <span className="text-xs text-gray-500"> ({r.activityCount} activit{r.activityCount === 1 ? 'y' : 'ies'})</span>
+                <div className="flex flex-wrap items-center gap-2 mt-1">
+                  {r.candidates.map(c => (
+                    <button
+                      key={c.key}
+                      onClick={() => onResolve(r.key, c.key)}
+                      className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700"
+                    >
+                      {c.name.trim()} ({percent(c.score)})
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => onResolve(r.key, null)}
+                    className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+                  >
+                    None of these
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {autoMatches.length > 0 && (
+        <details className="mt-4 text-sm">
+          <summary className="cursor-pointer font-semibold">Matched automatically ({autoMatches.length})</summary>
+          <ul className="list-disc pl-6 mt-2">
+            {autoMatches.map(m => (
+              <li key={m.key} className="mb-1">
+                {m.facilitator} → {m.match.name.trim()}
+                <span className="text-xs text-gray-500"> ({percent(m.match.score)})</span>
+                <button
+                  onClick={() => onResolve(m.key, m.match.key)}
+                  className="ml-2 text-indigo-600 text-xs hover:underline"
+                >
+                  Confirm
+                </button>
+                <button
+                  onClick={() => onResolve(m.key, null)}
+                  className="ml-2 text-red-600 text-xs hover:underline"
+                >
+                  Not a match
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
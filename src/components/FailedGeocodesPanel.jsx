@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+
+/**
+ * Lists individuals whose address could not be geocoded, with an editable query to
+ * re-geocode the row or a button to place the pin by clicking on the map.
+ * Rows that failed for a transient reason can be retried together with onRetryAll.
+ */
+export default function FailedGeocodesPanel({ failed, placingId, onRetry, onRetryAll, onTogglePlace, isBusy }) {
+  const [queries, setQueries] = useState({});
+  const [retryingId, setRetryingId] = useState(null);
+
+  if (!failed.length) return null;
+  const retryableCount = failed.filter(f => f.retryable && f.query).length;
+
+  const handleRetry = async (f) => {
+    setRetryingId(f.id);
+    try {
+      await onRetry(f, (queries[f.id] ?? f.query).trim());
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-lg font-bold">Addresses That Could Not Be Geocoded ({failed.length})</h2>
+        {retryableCount > 0 && (
+          <button
+            onClick={onRetryAll}
+            disabled={isBusy}
+            className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Retry {retryableCount} temporarily failed
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+        Edit the address and retry, or choose “Place on map” and click the map where this person lives.
+        Manually placed pins can be dragged to adjust them.
+      </p>
+      <ul className="space-y-3">
+        {failed.map(f => (
+          <li key={f.id} className="text-sm border border-gray-300 dark:border-gray-700 rounded p-3">
+            <div className="flex flex-wrap justify-between gap-2">
+              <span className="font-bold">{`${f.firstName} ${f.lastName}`.trim() || '[No Name]'}</span>
+              <span className="text-amber-700 dark:text-amber-300">{f.reason}</span>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 mt-2">
+              <input
+                type="text"
+                aria-label={`Address for ${f.firstName} ${f.lastName}`}
+                value={queries[f.id] ?? f.query}
+                onChange={e => setQueries(prev => ({ ...prev, [f.id]: e.target.value }))}
+                className="flex-1 px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600"
+              />
+              <button
+                onClick={() => handleRetry(f)}
+                disabled={retryingId === f.id || !(queries[f.id] ?? f.query).trim()}
+                className="px-2 py-1 bg-indigo-600 text-white text-xs rounded hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {retryingId === f.id ? 'Retrying…' : 'Retry'}
+              </button>
+              <button
+                onClick={() => onTogglePlace(f)}
+                className={`px-2 py-1 text-xs rounded ${placingId === f.id ? 'bg-amber-500 text-white' : 'bg-gray-300 text-gray-800 hover:bg-gray-400'}`}
+              >
+                {placingId === f.id ? 'Click the map… (cancel)' : 'Place on map'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
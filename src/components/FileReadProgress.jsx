@@ -0,0 +1,30 @@
+import React from "react";
+
+/**
+ * Progress bar for a file being read and parsed in the background. A null fraction
+ * (spreadsheets, which are read in one piece) shows an indeterminate message.
+ */
+export default function FileReadProgress({ progress }) {
+  if (!progress) return null;
+  const { fileName, fraction } = progress;
+  const pct = fraction == null ? null : Math.round(fraction * 100);
+  return (
+    <div className="pb-5 text-sm" role="status" aria-live="polite">
+      <div className="mb-1">
+        Reading {fileName}
+        {pct != null && <span className="text-gray-500"> · {pct}%</span>}
+      </div>
+      {pct != null && (
+        <div
+          className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={pct}
+        >
+          <div className="h-2 bg-indigo-600 rounded" style={{ width: `${pct}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
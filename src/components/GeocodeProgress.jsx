@@ -0,0 +1,38 @@
+import React from "react";
+import { estimateRemainingMs, formatDuration } from "../utils/progress";
+
+/**
+ * Progress bar for an in-progress geocoding run, with failure count, ETA and a Cancel button.
+ */
+export default function GeocodeProgress({ progress, onCancel }) {
+  if (!progress) return null;
+  const { done, total, failed, startedAt } = progress;
+  const pct = total ? Math.round((done / total) * 100) : 0;
+  const eta = estimateRemainingMs(done, total, Date.now() - startedAt);
+  return (
+    <div className="pb-5 text-sm" role="status" aria-live="polite">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <span>
+          Geocoding {done} / {total} addresses
+          {failed > 0 && <span className="text-amber-700 dark:text-amber-300"> · {failed} failed</span>}
+          {eta != null && <span className="text-gray-500"> · about {formatDuration(eta)} left</span>}
+        </span>
+        <button
+          onClick={onCancel}
+          className="px-2 py-1 bg-red-600 text-white text-xs rounded shadow"
+        >
+          Cancel
+        </button>
+      </div>
+      <div
+        className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={done}
+      >
+        <div className="h-2 bg-indigo-600 rounded" style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+
+/**
+ * Toggles and sliders for the individuals and activities density layers.
+ */
+export default function HeatmapControls({ settings, activityTypes, onChange }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-bold mb-2">Heatmap</h2>
+      <div className="flex flex-wrap items-center gap-6 text-sm">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.homes}
+            onChange={e => update({ homes: e.target.checked })}
+          />
+          <span>Individuals</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.activities}
+            onChange={e => update({ activities: e.target.checked })}
+          />
+          <span>Activities</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Activity type</span>
+          <select
+            value={settings.activityType}
+            onChange={e => update({ activityType: e.target.value })}
+            disabled={!settings.activities}
+            className="px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600"
+          >
+            <option value="all">All types</option>
+            {activityTypes.map(t => (
+              <option key={t.code} value={t.code}>{t.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Radius</span>
+          <input
+            type="range"
+            min={5}
+            max={80}
+            value={settings.radius}
+            onChange={e => update({ radius: Number(e.target.value) })}
+          />
+          <span className="w-12 text-xs text-gray-500">{settings.radius}px</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Intensity</span>
+          <input
+            type="range"
+            min={0.05}
+            max={1}
+            step={0.05}
+            value={settings.intensity}
+            onChange={e => update({ intensity: Number(e.target.value) })}
+          />
+          <span className="w-12 text-xs text-gray-500">{Math.round(settings.intensity * 100)}%</span>
+        </label>
+      </div>
+    </div>
+  );
+}
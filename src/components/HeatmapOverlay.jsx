@@ -0,0 +1,85 @@
+import { useEffect, useRef } from "react";
+import { useGoogleMap } from "@react-google-maps/api";
+import { buildColorRamp, colorizeDensity } from "../utils/heatmap";
+
+// Blurred disc drawn once per radius and stamped at every point
+function createStamp(radius) {
+  const stamp = document.createElement("canvas");
+  stamp.width = stamp.height = radius * 2;
+  const ctx = stamp.getContext("2d");
+  const g = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+  g.addColorStop(0, "rgba(0,0,0,1)");
+  g.addColorStop(1, "rgba(0,0,0,0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, radius * 2, radius * 2);
+  return stamp;
+}
+
+function drawHeatmap(map, overlay, canvas, { points, ramp, radius, intensity, opacity }) {
+  const projection = overlay.getProjection();
+  const bounds = map.getBounds();
+  if (!projection || !bounds) return;
+  const { offsetWidth: width, offsetHeight: height } = map.getDiv();
+  const ne = projection.fromLatLngToDivPixel(bounds.getNorthEast());
+  const sw = projection.fromLatLngToDivPixel(bounds.getSouthWest());
+  const left = sw.x;
+  const top = ne.y;
+  canvas.width = width;
+  canvas.height = height;
+  canvas.style.left = `${left}px`;
+  canvas.style.top = `${top}px`;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.clearRect(0, 0, width, height);
+  if (!points.length) return;
+  const stamp = createStamp(radius);
+  ctx.globalAlpha = intensity;
+  points.forEach(p => {
+    const px = projection.fromLatLngToDivPixel(new window.google.maps.LatLng(p.lat, p.lng));
+    const x = px.x - left;
+    const y = px.y - top;
+    if (x < -radius || y < -radius || x > width + radius || y > height + radius) return;
+    ctx.drawImage(stamp, x - radius, y - radius);
+  });
+  const image = ctx.getImageData(0, 0, width, height);
+  colorizeDensity(image.data, ramp, opacity);
+  ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Canvas density layer drawn in a custom OverlayView (the Maps JS visualization HeatmapLayer
+ * has been retired). Must be rendered inside <GoogleMap>.
+ */
+export default function HeatmapOverlay({ points, gradient, radius, intensity, opacity = 0.8 }) {
+  const map = useGoogleMap();
+  const overlayRef = useRef(null);
+  const stateRef = useRef(null);
+
+  useEffect(() => {
+    stateRef.current = { points, ramp: buildColorRamp(gradient), radius, intensity, opacity };
+    overlayRef.current?.draw();
+  }, [points, gradient, radius, intensity, opacity]);
+
+  useEffect(() => {
+    if (!map) return;
+    const canvas = document.createElement("canvas");
+    canvas.style.position = "absolute";
+    canvas.style.pointerEvents = "none";
+    const overlay = new window.google.maps.OverlayView();
+    overlay.onAdd = () => overlay.getPanes().overlayLayer.appendChild(canvas);
+    overlay.onRemove = () => canvas.remove();
+    overlay.draw = () => {
+      if (stateRef.current) drawHeatmap(map, overlay, canvas, stateRef.current);
+    };
+    overlay.setMap(map);
+    overlayRef.current = overlay;
+    // draw() only runs on zoom; redraw after panning so newly exposed areas are filled
+    const idleListener = map.addListener("idle", () => overlay.draw());
+    return () => {
+      idleListener.remove();
+      overlay.setMap(null);
+      overlayRef.current = null;
+    };
+  }, [map]);
+
+  return null;
+}
@@ -0,0 +1,27 @@
+import React from "react";
+
+/**
+ * Lists homes whose geocode match is coarser than street level or low-confidence,
+ * so coordinators can check them before trusting the neighborhood picture.
+ */
+export default function LowConfidencePanel({ homes, onShow }) {
+  if (!homes.length) return null;
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-bold mb-2">Low-Confidence Locations ({homes.length})</h2>
+      <ul className="list-disc pl-6 text-sm">
+        {homes.map(h => (
+          <li key={h.id} className="mb-1">
+            <button onClick={() => onShow(h)} className="text-indigo-600 hover:underline">
+              {`${h.firstName} ${h.lastName}`.trim() || '[No Name]'}
+            </button>
+            {' — '}{h.address}
+            <span className="text-xs text-gray-500">
+              {' '}(matched to {h.quality}{typeof h.confidence === 'number' ? `, confidence ${Math.round(h.confidence * 100)}%` : ''})
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { HOME_ACTIVITY_FILTER } from "../utils/filters";
+
+function PlaceFilter({ title, values, selected, onChange }) {
+  if (values.length < 2) return null;
+  const isSelected = (v) => selected === null || selected.includes(v);
+  return (
+    <div className="mb-3">
+      <h3 className="font-semibold mb-1">{title}</h3>
+      <div className="flex flex-wrap gap-4">
+        {values.map(v => (
+          <label key={v} className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isSelected(v)}
+              onChange={e => {
+                const current = selected ?? values;
+                const next = e.target.checked ? [...current, v] : current.filter(x => x !== v);
+                onChange(next.length === values.length ? null : next);
+              }}
+            />
+            <span>{v}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Filters beyond the neighborhood list: homes with or without activities, a facilitator name
+ * search and the locality and region columns. Activity types are toggled from the legend.
+ */
+export default function MapFiltersPanel({
+  filters,
+  facilitatorQuery,
+  localities,
+  regions,
+  isFiltering,
+  onChange,
+  onFacilitatorQueryChange,
+  onClear,
+}) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+  return (
+    <div className="mt-8 text-sm">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <h2 className="text-lg font-bold">Filters</h2>
+        {isFiltering && (
+          <button
+            onClick={onClear}
+            className="px-2 py-1 bg-gray-300 text-gray-800 text-xs rounded hover:bg-gray-400"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-6 mb-3">
+        <label className="flex items-center gap-2">
+          <span>Individuals</span>
+          <select
+            value={filters.homeActivity}
+            onChange={e => update({ homeActivity: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600"
+          >
+            <option value={HOME_ACTIVITY_FILTER.ALL}>All</option>
+            <option value={HOME_ACTIVITY_FILTER.WITH}>Facilitating a shown activity</option>
+            <option value={HOME_ACTIVITY_FILTER.WITHOUT}>Not facilitating a shown activity</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Facilitator</span>
+          <input
+            type="search"
+            value={facilitatorQuery}
+            onChange={e => onFacilitatorQueryChange(e.target.value)}
+            placeholder="Name"
+            className="px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600"
+          />
+        </label>
+      </div>
+      <PlaceFilter title="Locality" values={localities} selected={filters.localities} onChange={v => update({ localities: v })} />
+      <PlaceFilter title="Region" values={regions} selected={filters.regions} onChange={v => update({ regions: v })} />
+    </div>
+  );
+}
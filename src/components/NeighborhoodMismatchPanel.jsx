@@ -0,0 +1,24 @@
+import React from "react";
+
+/**
+ * Lists homes whose spreadsheet neighborhood disagrees with the boundary polygon they
+ * fall in, so the source data (or the boundaries) can be corrected.
+ */
+export default function NeighborhoodMismatchPanel({ mismatches, onShow }) {
+  if (!mismatches.length) return null;
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-bold mb-2">Neighborhood Mismatches ({mismatches.length})</h2>
+      <ul className="list-disc pl-6 text-sm">
+        {mismatches.map(({ home, sheetNeighborhood, boundaryNeighborhood }) => (
+          <li key={home.id} className="mb-1">
+            <button onClick={() => onShow(home)} className="text-indigo-600 hover:underline">
+              {`${home.firstName} ${home.lastName}`.trim() || '[No Name]'}
+            </button>
+            {' — '}spreadsheet: {sheetNeighborhood}, map: {boundaryNeighborhood || 'outside all boundaries'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
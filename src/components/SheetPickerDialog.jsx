@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+
+const KIND_LABELS = { individuals: "Individuals sheet", activities: "Activities sheet" };
+const inputClass = "px-2 py-1 border border-gray-300 rounded bg-gray-50 dark:bg-gray-700 dark:border-gray-600";
+
+/**
+ * Shown when a workbook's sheets could not be assigned automatically: lists each sheet with
+ * how many expected columns it matched and lets the user pick the sheet for each layer.
+ * Individuals is required when asked for; activities may be left out.
+ */
+export default function SheetPickerDialog({ request, onConfirm, onCancel }) {
+  const { fileName, classification, kinds } = request;
+  const [choice, setChoice] = useState({
+    individuals: classification.individuals,
+    activities: classification.activities,
+  });
+  const needsIndividuals = kinds.includes('individuals');
+  const canConfirm = needsIndividuals ? Boolean(choice.individuals) : Boolean(choice.activities);
+
+  return (
+    <div className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true">
+      <div className="w-full max-w-xl p-6 bg-white text-black dark:bg-gray-900 dark:text-white rounded-lg shadow-lg">
+        <h2 className="text-lg font-bold mb-1">Choose sheets</h2>
+        <p className="text-sm text-gray-500 mb-4">{fileName}: the sheets could not be identified automatically.</p>
+        <table className="text-sm mb-4">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="pr-4">Sheet</th>
+              <th className="pr-4">Individuals columns</th>
+              <th>Activities columns</th>
+            </tr>
+          </thead>
+          <tbody>
+            {classification.scores.map(s => (
+              <tr key={s.name}>
+                <td className="pr-4">{s.name}</td>
+                <td className="pr-4">{s.individuals}</td>
+                <td>{s.activities}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {kinds.map(kind => (
+          <label key={kind} className="flex items-center gap-2 mb-2 text-sm">
+            <span className="w-40">{KIND_LABELS[kind]}</span>
+            <select
+              value={choice[kind] || ''}
+              onChange={e => setChoice({ ...choice, [kind]: e.target.value || null })}
+              className={inputClass}
+            >
+              <option value="">{kind === 'activities' && needsIndividuals ? '— none —' : '— choose —'}</option>
+              {classification.scores.map(s => <option key={s.name} value={s.name}>{s.name}</option>)}
+            </select>
+          </label>
+        ))}
+        <div className="flex justify-end gap-2 mt-4 text-sm">
+          <button onClick={onCancel} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(choice)}
+            disabled={!canConfirm}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
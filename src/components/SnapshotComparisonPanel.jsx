@@ -0,0 +1,60 @@
+import React from "react";
+import { SNAPSHOT_STATUS, SNAPSHOT_STATUS_LABELS } from "../utils/snapshots";
+
+const STATUSES = [SNAPSHOT_STATUS.NEW, SNAPSHOT_STATUS.CONTINUING, SNAPSHOT_STATUS.ENDED];
+
+const net = (counts) => {
+  const change = counts[SNAPSHOT_STATUS.NEW] - counts[SNAPSHOT_STATUS.ENDED];
+  return change > 0 ? `+${change}` : String(change);
+};
+
+function ChangeTable({ heading, rows }) {
+  return (
+    <table className="text-sm mb-4">
+      <thead>
+        <tr className="text-left">
+          <th className="pr-4">{heading}</th>
+          {STATUSES.map(s => <th key={s} className="pr-4">{SNAPSHOT_STATUS_LABELS[s]}</th>)}
+          <th>Net</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.key}>
+            <td className="pr-4">{r.label}</td>
+            {STATUSES.map(s => <td key={s} className="pr-4">{r.counts[s]}</td>)}
+            <td>{net(r.counts)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * New, continuing and ended activities between the previous and current cycle, in total, per
+ * activity type and per neighborhood.
+ */
+export default function SnapshotComparisonPanel({ summary }) {
+  if (!summary) return null;
+  const { totals, byType, byNeighborhood } = summary;
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-bold mb-2">Cycle Comparison</h2>
+      <p className="text-sm mb-2">
+        {STATUSES.map(s => `${totals[s]} ${SNAPSHOT_STATUS_LABELS[s].toLowerCase()}`).join(', ')} (net {net(totals)})
+      </p>
+      <ChangeTable
+        heading="Activity type"
+        rows={byType.map(t => ({ key: t.code, label: t.label, counts: t }))}
+      />
+      <ChangeTable
+        heading="Neighborhood"
+        rows={byNeighborhood.map(n => ({ key: n.name, label: n.name, counts: n }))}
+      />
+      <p className="text-xs text-gray-600 dark:text-gray-400">
+        Every activity in both files is counted, including those that could not be placed on the map. A co-facilitated activity counts in each of its facilitators' neighborhoods.
+      </p>
+    </div>
+  );
+}
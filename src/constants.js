@@ -19,8 +19,72 @@ export const ICON_BASE_URL = "https://cdn.jsdelivr.net/gh/borna761/activitymappe
 export const HOME_ICON_URL = `${ICON_BASE_URL}/home.png`;
 
 // Magic numbers (named for clarity and single place to tune)
-export const ACTIVITY_MARKER_RADIUS_DEG = 0.0005;
-export const MARKER_BATCH_SIZE = 200;
+export const CLUSTER_GRID_SIZE = 60;
+export const CLUSTER_MAX_ZOOM = 17; // markers are never clustered beyond this zoom
+export const HOME_CLUSTER_COLOR = "#6B7280";
 export const DEBOUNCE_MS = 200;
 export const HEADER_MIN_MATCHES = 2;
-export const MAX_ROWS = 2000;
+
+// Overlapping activity markers (screen pixels, so the layout works at any zoom)
+export const ACTIVITY_OVERLAP_PX = 20; // markers closer than this collapse into one badge
+export const SPIDER_FOOT_SEPARATION_PX = 30; // spacing between fanned-out markers
+export const SPIDER_CIRCLE_MAX = 8; // larger groups fan out on a spiral instead of a circle
+export const SPIDERFY_MAX_MARKERS = 60; // larger badges zoom in on click instead, up to CLUSTER_MAX_ZOOM
+
+// Co-facilitator connection layer
+export const CONNECTION_COLOR = "#7C3AED";
+export const CONNECTION_MIN_WEIGHT = 1.5; // pixels, for pairs sharing a single activity
+export const CONNECTION_MAX_WEIGHT = 8; // pixels, for the strongest pair on the map
+
+// Participant catchment of the selected activity
+export const CATCHMENT_COLOR = "#0EA5E9";
+
+// Cycle comparison: rings around new and ended activities
+export const SNAPSHOT_NEW_COLOR = "#16A34A";
+export const SNAPSHOT_ENDED_COLOR = "#DC2626";
+export const SNAPSHOT_ENDED_OPACITY = 0.5;
+
+// Geocode cache
+export const GEOCODE_CACHE_DB_NAME = "activitymapper-geocode-cache";
+export const GEOCODE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Geocode results below this provider confidence (0–1) are flagged as imprecise
+export const LOW_CONFIDENCE_THRESHOLD = 0.5;
+export const LOW_CONFIDENCE_COLOR = "#F59E0B";
+
+// Geocoding throughput
+export const GEOCODE_CONCURRENCY = 5;
+export const PROGRESS_FLUSH_MS = 500;
+export const RETRY_BASE_DELAY_MS = 1000;
+export const RETRY_MAX_DELAY_MS = 30000;
+
+// Session autosave
+export const SESSION_DB_NAME = "activitymapper-session";
+export const AUTOSAVE_DEBOUNCE_MS = 1000;
+
+// Saved settings: remembered facilitator matches, the activity type registry, column presets
+export const SETTINGS_DB_NAME = "activitymapper-settings";
+
+// Heatmap defaults
+export const HEATMAP_DEFAULT_RADIUS = 25; // px
+export const HEATMAP_DEFAULT_INTENSITY = 0.3;
+
+// Neighborhood boundary polygons
+export const BOUNDARY_COLOR = "#4F46E5";
+
+// Drawn selection areas
+export const AREA_SELECTION_COLOR = "#DC2626";
+
+// Facilitator name matching (scores are 0–1)
+export const FACILITATOR_AUTO_MATCH_SCORE = 0.9; // accepted without review when clearly ahead of the runner-up
+export const FACILITATOR_AUTO_MATCH_MARGIN = 0.05;
+export const FACILITATOR_REVIEW_MIN_SCORE = 0.6; // weaker candidates are not offered
+
+// Activity type registry
+export const ACTIVITY_TYPE_PALETTE = ["#FF9800", "#009688", "#795548", "#E91E63", "#3F51B5", "#CDDC39", "#607D8B"];
+
+// Column mapping
+export const COLUMN_PREVIEW_ROWS = 5;
+
+// Large files: uploads above this many rows get a warning (override with VITE_ROW_WARNING_THRESHOLD)
+export const ROW_WARNING_THRESHOLD = 2000;
@@ -0,0 +1,227 @@
+import {
+  getField,
+  venueQuery,
+  rosterParticipantNames,
+  ACTIVITY_TYPE_KEYS,
+  ACTIVITY_NAME_KEYS,
+  FACILITATORS_KEYS,
+  ROSTER_ACTIVITY_KEYS,
+} from "./parsing";
+import { findNameCandidates, isAutoMatch } from "./nameMatching";
+import {
+  DEFAULT_ACTIVITY_TYPES,
+  buildActivityTypeLookup,
+  normalizeActivityTypeName,
+  emptyTypeCounts,
+  findUnmappedActivityTypes,
+} from "./activityTypes";
+
+// Helper to normalize names for matching
+export const normalizeName = name => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Normalized `;`-separated facilitators in a stable order, for comparing facilitator lists
+export const facilitatorSetKey = facilitators => String(facilitators || '')
+  .split(';')
+  .map(normalizeName)
+  .filter(Boolean)
+  .sort()
+  .join(';');
+
+// Normalized name of the individual an activity marker was matched to
+export const activityFacilitatorKey = activity => activity.facilitatorKey || normalizeName(activity.facilitator);
+
+// Every facilitator an activity marker was matched to; a co-facilitated activity belongs to
+// each of their neighborhoods and places
+export const activityFacilitatorKeys = activity => (activity.facilitatorHomes?.length
+  ? activity.facilitatorHomes.map(f => f.key)
+  : [activityFacilitatorKey(activity)]);
+
+// Where an activity marker was placed
+export const ACTIVITY_PLACEMENT = {
+  VENUE: 'venue',
+  FACILITATOR_HOME: 'facilitator-home',
+};
+
+export const FACILITATOR_MATCH = {
+  EXACT: 'exact',
+  CONFIRMED: 'confirmed',
+  AUTO: 'auto',
+};
+
+/**
+ * Match activity rows to facilitator homes and build one marker per activity. An activity
+ * sits at its venue when the venue address was geocoded (venueLocations: { [venueQuery]:
+ * { lat, lng, address } or null }), otherwise at its first matched facilitator's home; every
+ * marker records its index in rows (rowIndex), its placement (ACTIVITY_PLACEMENT) and the homes
+ * of all matched facilitators (facilitatorHomes: [{ key, name, status, lat, lng }]) for leader
+ * lines.
+ * Participant rosters (participantRows) are joined by activity name, and by type and
+ * facilitators when the roster gives them: each marker lists the homes of its matched
+ * participants (participantHomes, same shape) and the names that matched no one
+ * (participantsNotFound). Roster activities that still match several activities are reported
+ * in ambiguousRosters ([{ activityName, activityType, facilitators, activityCount }]); their
+ * participants are attached to each of them.
+ * Facilitators and participants are matched by exact name first, then by remembered review
+ * decisions (confirmedMatches: { [normalized name]: normalized individual name, or null }), then
+ * fuzzily: a clear best candidate is accepted, ambiguous ones are returned for review.
+ * Activity types are resolved through the activityTypes registry; rows of other types are
+ * skipped and reported in unmappedTypes.
+ * Returns { markers, noFacilitators, facilitatorNotFound, typeCounts, matchReviews, autoMatches,
+ * unmappedTypes, ambiguousRosters } where typeCounts counts unique mapped activities (name + type + facilitators)
+ * per activity code.
+ */
+export function processActivities(
+  rows,
+  homes,
+  { confirmedMatches = {}, activityTypes = DEFAULT_ACTIVITY_TYPES, venueLocations = {}, participantRows = [] } = {}
+) {
+  const typeLookup = buildActivityTypeLookup(activityTypes);
+  const noFacilitators = [];
+  const facilitatorNotFound = [];
+  const homeLookup = {};
+  homes.forEach(h => {
+    const fullName = normalizeName(`${h.firstName || ''} ${h.lastName || ''}`);
+    if (fullName) homeLookup[fullName] = h;
+  });
+  const people = Object.entries(homeLookup).map(([key, h]) => ({ key, name: `${h.firstName || ''} ${h.lastName || ''}` }));
+  // Each distinct name is resolved once
+  const resolved = new Map();
+  const matchReviews = [];
+  const autoMatches = [];
+  const resolveName = (name, normName) => {
+    if (resolved.has(normName)) return resolved.get(normName);
+    let match = null;
+    if (homeLookup[normName]) {
+      match = { key: normName, status: FACILITATOR_MATCH.EXACT };
+    } else if (normName in confirmedMatches) {
+      const key = confirmedMatches[normName];
+      if (key && homeLookup[key]) match = { key, status: FACILITATOR_MATCH.CONFIRMED };
+    } else {
+      const candidates = findNameCandidates(name, people);
+      if (isAutoMatch(candidates)) {
+        match = { key: candidates[0].key, status: FACILITATOR_MATCH.AUTO };
+        autoMatches.push({ facilitator: name, key: normName, match: candidates[0] });
+      } else if (candidates.length) {
+        matchReviews.push({ facilitator: name, key: normName, candidates, activityCount: 0 });
+      }
+    }
+    resolved.set(normName, match);
+    return match;
+  };
+  // Roster entries by normalized activity name: [{ type (code, or null for any), facilitators
+  // (facilitatorSetKey, or '' for any), names }]. Entries describing the same roster activity
+  // share the set of activities (unique keys) they matched, to find ambiguous ones.
+  const rosters = new Map();
+  const rosterActivities = new Map();
+  participantRows.forEach(row => {
+    const activityName = String(getField(row, ROSTER_ACTIVITY_KEYS) || '').trim();
+    const activityKey = normalizeName(activityName);
+    const names = rosterParticipantNames(row);
+    if (!activityKey || !names.length) return;
+    const typeRaw = getField(row, ACTIVITY_TYPE_KEYS) || '';
+    const type = typeRaw ? typeLookup.get(normalizeActivityTypeName(typeRaw)) || null : null;
+    const facilitators = facilitatorSetKey(getField(row, FACILITATORS_KEYS));
+    const rosterKey = `${activityKey}|${type || ''}|${facilitators}`;
+    if (!rosterActivities.has(rosterKey)) {
+      rosterActivities.set(rosterKey, { activityName, activityType: type, facilitators, matched: new Set() });
+    }
+    if (!rosters.has(activityKey)) rosters.set(activityKey, []);
+    rosters.get(activityKey).push({ type, facilitators, names, matched: rosterActivities.get(rosterKey).matched });
+  });
+  const rosterEntriesOf = (activityName, activityType, facilitatorsRaw) => {
+    const facilitators = facilitatorSetKey(facilitatorsRaw);
+    return (rosters.get(normalizeName(activityName)) || [])
+      .filter(entry => (!entry.type || entry.type === activityType)
+        && (!entry.facilitators || entry.facilitators === facilitators));
+  };
+  const participantsOf = (entries) => {
+    const participantHomes = [];
+    const participantsNotFound = [];
+    entries.forEach(entry => entry.names.forEach(name => {
+      const normName = normalizeName(name);
+      const match = resolveName(name, normName);
+      if (!match) {
+        if (!participantsNotFound.includes(name)) participantsNotFound.push(name);
+        const review = matchReviews.find(r => r.key === normName);
+        if (review) review.activityCount++;
+      } else if (!participantHomes.some(p => p.key === match.key)) {
+        const home = homeLookup[match.key];
+        participantHomes.push({ key: match.key, name, status: match.status, lat: home.lat, lng: home.lng });
+      }
+    }));
+    return { participantHomes, participantsNotFound };
+  };
+  const markers = [];
+  const uniqueMappedActivities = {};
+  rows.forEach((row, rowIdx) => {
+    const activityTypeRaw = getField(row, ACTIVITY_TYPE_KEYS) || '';
+    const activityType = typeLookup.get(normalizeActivityTypeName(activityTypeRaw));
+    if (!activityType) return;
+    const facilitatorsRaw = getField(row, FACILITATORS_KEYS) || '';
+    const activityName = getField(row, ACTIVITY_NAME_KEYS) || '';
+    const venue = venueQuery(row);
+    const venueLocation = venue ? venueLocations[venue] : null;
+    if (!facilitatorsRaw.trim()) noFacilitators.push(row);
+    // Every matched facilitator once, in listed order
+    const facilitatorHomes = [];
+    facilitatorsRaw.split(';').forEach(name => {
+      const normName = normalizeName(name);
+      if (!normName) return;
+      const match = resolveName(name.trim(), normName);
+      if (match && !facilitatorHomes.some(f => f.key === match.key)) {
+        const home = homeLookup[match.key];
+        facilitatorHomes.push({ key: match.key, name: name.trim(), status: match.status, lat: home.lat, lng: home.lng });
+      } else if (!match) {
+        const review = matchReviews.find(r => r.key === normName);
+        if (review) review.activityCount++;
+      }
+    });
+    if (!facilitatorHomes.length && facilitatorsRaw.trim()) facilitatorNotFound.push(row);
+    // Count unique activity rows by name+type+facilitators
+    const uniqueKey = `${activityName}|${activityType}|${facilitatorsRaw}`;
+    // Roster matches are counted before placement, so an unplaced activity still makes a name ambiguous
+    const rosterEntries = rosterEntriesOf(activityName, activityType, facilitatorsRaw);
+    rosterEntries.forEach(entry => entry.matched.add(uniqueKey));
+    if (!facilitatorHomes.length && !venueLocation) return;
+    const lead = facilitatorHomes[0];
+    const firstListed = facilitatorsRaw.split(';').map(n => n.trim()).find(Boolean) || '';
+    const position = venueLocation || lead;
+    markers.push({
+      id: `act-${rowIdx}-${lead ? lead.key : 'venue'}-${activityName}`,
+      rowIndex: rowIdx,
+      lat: position.lat,
+      lng: position.lng,
+      activity: activityType,
+      activityTypeRaw,
+      facilitator: lead ? lead.name : firstListed,
+      facilitatorKey: lead ? lead.key : normalizeName(firstListed),
+      facilitatorMatch: lead ? lead.status : null,
+      facilitatorHomes,
+      address: venueLocation ? venueLocation.address || '' : homeLookup[lead.key].address || '',
+      activityName,
+      facilitators: facilitatorsRaw,
+      placement: venueLocation ? ACTIVITY_PLACEMENT.VENUE : ACTIVITY_PLACEMENT.FACILITATOR_HOME,
+      // Set on home-placed activities when the venue address could not be geocoded
+      venueQuery: venueLocation ? '' : venue,
+      ...participantsOf(rosterEntries),
+    });
+    if (!uniqueMappedActivities[activityType]) uniqueMappedActivities[activityType] = new Set();
+    uniqueMappedActivities[activityType].add(uniqueKey);
+  });
+  const typeCounts = emptyTypeCounts(activityTypes);
+  Object.entries(uniqueMappedActivities).forEach(([type, set]) => {
+    typeCounts[type] = set.size;
+  });
+  return {
+    markers,
+    noFacilitators,
+    facilitatorNotFound,
+    typeCounts,
+    matchReviews,
+    autoMatches,
+    unmappedTypes: findUnmappedActivityTypes(rows, activityTypes),
+    ambiguousRosters: [...rosterActivities.values()]
+      .filter(r => r.matched.size > 1)
+      .map(({ matched, ...r }) => ({ ...r, activityCount: matched.size })),
+  };
+}
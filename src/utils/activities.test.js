@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeName, processActivities, ACTIVITY_PLACEMENT } from './activities.js';
+
+const homes = [
+  { firstName: 'Alice', lastName: 'Smith', lat: 10, lng: 20, address: '1 Main St' },
+  { firstName: 'Bob', lastName: 'Jones', lat: 11, lng: 21, address: '2 Main St' },
+];
+
+describe('normalizeName', () => {
+  it('trims, collapses whitespace and lowercases', () => {
+    expect(normalizeName('  Alice   SMITH ')).toBe('alice smith');
+    expect(normalizeName(undefined)).toBe('');
+  });
+});
+
+describe('processActivities', () => {
+  it('places one marker per activity at the first facilitator home, listing every facilitator home', () => {
+    const rows = [{ 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Alice Smith; Bob Jones; alice smith' }];
+    const { markers, typeCounts } = processActivities(rows, homes);
+    expect(markers).toHaveLength(1);
+    expect(markers[0]).toMatchObject({
+      activity: 'CC',
+      lat: 10,
+      lng: 20,
+      facilitator: 'Alice Smith',
+      placement: ACTIVITY_PLACEMENT.FACILITATOR_HOME,
+    });
+    expect(markers[0].facilitatorHomes).toEqual([
+      { key: 'alice smith', name: 'Alice Smith', status: 'exact', lat: 10, lng: 20 },
+      { key: 'bob jones', name: 'Bob Jones', status: 'exact', lat: 11, lng: 21 },
+    ]);
+    expect(typeCounts).toEqual({ CC: 1, DM: 0, JY: 0, SC: 0 });
+  });
+
+  it('collects rows with no facilitators and with unknown facilitators', () => {
+    const rows = [
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: '' },
+      { 'Activity Type': 'Study Circle', Name: 'Book 1', Facilitators: 'Carol King' },
+    ];
+    const result = processActivities(rows, homes);
+    expect(result.markers).toHaveLength(0);
+    expect(result.noFacilitators).toEqual([rows[0]]);
+    expect(result.facilitatorNotFound).toEqual([rows[1]]);
+  });
+
+  it('skips rows with unrecognized activity types', () => {
+    const rows = [{ 'Activity Type': 'Picnic', Name: 'Fun', Facilitators: 'Alice Smith' }];
+    const result = processActivities(rows, homes);
+    expect(result.markers).toHaveLength(0);
+    expect(result.facilitatorNotFound).toHaveLength(0);
+  });
+
+  it('matches facilitator name variants and reports ambiguous ones for review', () => {
+    const people = [
+      ...homes,
+      { firstName: 'Alexander', lastName: 'Jones', lat: 12, lng: 22, address: '3 Main St' },
+      { firstName: 'Alexandra', lastName: 'Jones', lat: 13, lng: 23, address: '4 Main St' },
+    ];
+    const rows = [
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Smith, Alice' },
+      { 'Activity Type': 'Study Circle', Name: 'Book 1', Facilitators: 'Alex Jones' },
+    ];
+    const result = processActivities(rows, people);
+    expect(result.markers).toHaveLength(1);
+    expect(result.markers[0]).toMatchObject({ facilitator: 'Smith, Alice', facilitatorKey: 'alice smith', facilitatorMatch: 'auto' });
+    expect(result.autoMatches.map(m => m.key)).toEqual(['smith, alice']);
+    expect(result.matchReviews).toHaveLength(1);
+    expect(result.matchReviews[0]).toMatchObject({ facilitator: 'Alex Jones', key: 'alex jones', activityCount: 1 });
+    expect(result.matchReviews[0].candidates.map(c => c.key)).toEqual(['alexander jones', 'alexandra jones']);
+    expect(result.facilitatorNotFound).toEqual([rows[1]]);
+  });
+
+  it('applies remembered decisions', () => {
+    const rows = [
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Rob Jones' },
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Smith, Alice' },
+    ];
+    const result = processActivities(rows, homes, {
+      confirmedMatches: { 'rob jones': 'bob jones', 'smith, alice': null },
+    });
+    expect(result.markers).toHaveLength(1);
+    expect(result.markers[0]).toMatchObject({ facilitatorKey: 'bob jones', facilitatorMatch: 'confirmed' });
+    expect(result.autoMatches).toEqual([]);
+    expect(result.facilitatorNotFound).toEqual([rows[1]]);
+  });
+
+  it('places activities with a geocoded venue once, at the venue', () => {
+    const rows = [
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Alice Smith; Bob Jones', 'Venue Address': '5 Hall Rd', City: 'Toronto' },
+      { 'Activity Type': 'Devotional', Name: 'Evening', Facilitators: 'Alice Smith', 'Venue Address': 'Nowhere' },
+      { 'Activity Type': 'Study Circle', Name: 'Book 1', Facilitators: 'Bob Jones' },
+    ];
+    const result = processActivities(rows, homes, {
+      venueLocations: { '5 Hall Rd, Toronto': { lat: 50, lng: 60, address: '5 Hall Rd, Toronto, ON' }, Nowhere: null },
+    });
+    expect(result.markers).toHaveLength(3);
+    expect(result.markers[0]).toMatchObject({
+      lat: 50,
+      lng: 60,
+      address: '5 Hall Rd, Toronto, ON',
+      facilitatorKey: 'alice smith',
+      placement: ACTIVITY_PLACEMENT.VENUE,
+    });
+    expect(result.markers[1]).toMatchObject({
+      activityName: 'Evening',
+      placement: ACTIVITY_PLACEMENT.FACILITATOR_HOME,
+      venueQuery: 'Nowhere',
+    });
+    expect(result.markers[2]).toMatchObject({ placement: ACTIVITY_PLACEMENT.FACILITATOR_HOME, venueQuery: '' });
+    expect(result.typeCounts).toMatchObject({ DM: 2, SC: 1 });
+  });
+
+  it('attaches roster participants by activity name and type', () => {
+    const rows = [
+      { 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Alice Smith' },
+      { 'Activity Type': 'Devotional', Name: 'Class A', Facilitators: 'Alice Smith' },
+    ];
+    const participantRows = [
+      { 'Activity Name': 'class a', Participant: 'Bob Jones; Dana Scully' },
+      { 'Activity Name': 'Class A', 'Activity Type': "Children's Class", 'First Name': 'Alice', 'Last Name': 'Smith' },
+    ];
+    const { markers } = processActivities(rows, homes, { participantRows });
+    expect(markers[0].participantHomes.map(p => p.key)).toEqual(['bob jones', 'alice smith']);
+    expect(markers[0].participantsNotFound).toEqual(['Dana Scully']);
+    expect(markers[1].participantHomes).toEqual([{ key: 'bob jones', name: 'Bob Jones', status: 'exact', lat: 11, lng: 21 }]);
+  });
+
+  it('joins rosters on facilitators when given and reports roster activities matching several', () => {
+    const rows = [
+      { 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Alice Smith' },
+      { 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Bob Jones; Alice Smith' },
+      { 'Activity Type': 'Devotional', Name: 'Class A', Facilitators: 'Nobody Known' },
+    ];
+    const participantRows = [
+      { 'Activity Name': 'Class A', Facilitators: 'alice smith;bob jones', Participant: 'Bob Jones' },
+      { 'Activity Name': 'Class A', 'Activity Type': "Children's Class", Participant: 'Alice Smith' },
+    ];
+    const { markers, ambiguousRosters } = processActivities(rows, homes, { participantRows });
+    expect(markers[0].participantHomes.map(p => p.key)).toEqual(['alice smith']);
+    expect(markers[1].participantHomes.map(p => p.key)).toEqual(['bob jones', 'alice smith']);
+    expect(ambiguousRosters).toEqual([
+      { activityName: 'Class A', activityType: 'CC', facilitators: '', activityCount: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+import { ICON_COLORS, ACTIVITY_LABELS, ICON_BASE_URL, ACTIVITY_TYPE_PALETTE } from "../constants";
+import { getField, ACTIVITY_TYPE_KEYS } from "./parsing";
+import { circleIconUrl } from "./mapUtils";
+import { createJsonSetting } from "./storage";
+
+/**
+ * An activity type is { code, label, color, icon, aliases }: rows whose activity type matches the
+ * label or one of the aliases (case-insensitively) get the code. icon is an image URL, or empty
+ * for a colored dot.
+ */
+const defaultType = (code, aliases) => ({
+  code,
+  label: ACTIVITY_LABELS[code],
+  color: ICON_COLORS[code],
+  icon: `${ICON_BASE_URL}/${code.toLowerCase()}.png`,
+  aliases,
+});
+
+export const DEFAULT_ACTIVITY_TYPES = [
+  defaultType("CC", ["children's class"]),
+  defaultType("DM", ["devotional"]),
+  defaultType("JY", ["junior youth group"]),
+  defaultType("SC", ["study circle"]),
+];
+
+export const normalizeActivityTypeName = (raw) => String(raw ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Map of normalized label/alias to type code. Earlier types win when spellings collide.
+ */
+export function buildActivityTypeLookup(types) {
+  const lookup = new Map();
+  types.forEach(t => [t.label, ...t.aliases].forEach(name => {
+    const key = normalizeActivityTypeName(name);
+    if (key && !lookup.has(key)) lookup.set(key, t.code);
+  }));
+  return lookup;
+}
+
+export const activityTypesByCode = (types) => new Map(types.map(t => [t.code, t]));
+
+export const activityTypeIcon = (type) => type?.icon || circleIconUrl(type?.color || "#6B7280");
+
+export const emptyTypeCounts = (types) => Object.fromEntries(types.map(t => [t.code, 0]));
+
+/**
+ * Raw activity types in the rows that no registry entry maps, most frequent first:
+ * [{ raw, count }].
+ */
+export function findUnmappedActivityTypes(rows, types) {
+  const lookup = buildActivityTypeLookup(types);
+  const counts = new Map();
+  rows.forEach(row => {
+    const raw = String(getField(row, ACTIVITY_TYPE_KEYS) || "").trim();
+    if (!raw || lookup.has(normalizeActivityTypeName(raw))) return;
+    const key = normalizeActivityTypeName(raw);
+    const entry = counts.get(key) || { raw, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.raw.localeCompare(b.raw));
+}
+
+/**
+ * Unused short code for a new type, from the label's initials ("Youth gathering" -> "YG").
+ */
+export function suggestTypeCode(label, types) {
+  const taken = new Set(types.map(t => t.code));
+  const words = String(label).toUpperCase().replace(/[^A-Z0-9 ]/g, "").split(" ").filter(Boolean);
+  const base = (words.length > 1 ? words.map(w => w[0]).join("") : (words[0] || "T").slice(0, 2)).slice(0, 4);
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}${n}`)) n++;
+  return `${base}${n}`;
+}
+
+export const nextTypeColor = (types) => ACTIVITY_TYPE_PALETTE[types.length % ACTIVITY_TYPE_PALETTE.length];
+
+/**
+ * Validate an activity type config (array, or { activityTypes: [...] }; object or JSON string)
+ * and return it normalized. Throws a user-facing Error for invalid configs.
+ */
+export function parseActivityTypesConfig(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Could not read the activity type config. Make sure it is valid JSON.");
+    }
+  }
+  const list = Array.isArray(data) ? data : data?.activityTypes;
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error("The activity type config must contain a list of activity types.");
+  }
+  const seen = new Set();
+  return list.map((t, i) => {
+    const code = String(t?.code ?? "").trim().toUpperCase();
+    const label = String(t?.label ?? "").trim();
+    if (!code || !label) throw new Error(`Activity type ${i + 1} needs a code and a label.`);
+    if (seen.has(code)) throw new Error(`Activity type code "${code}" is used more than once.`);
+    seen.add(code);
+    return {
+      code,
+      label,
+      color: /^#[0-9a-f]{6}$/i.test(t.color) ? t.color : ACTIVITY_TYPE_PALETTE[i % ACTIVITY_TYPE_PALETTE.length],
+      icon: typeof t.icon === "string" ? t.icon.trim() : "",
+      aliases: Array.isArray(t.aliases) ? t.aliases.map(a => String(a).trim()).filter(Boolean) : [],
+    };
+  });
+}
+
+export const activityTypesToConfig = (types) => ({ activityTypes: types });
+
+const TYPES_KEY = "activity-types";
+
+/**
+ * The edited registry, saved as a setting; load() returns null when nothing was saved.
+ */
+export function createActivityTypeStore(store) {
+  return createJsonSetting(TYPES_KEY, { store, parse: parseActivityTypesConfig, label: "the activity types" });
+}
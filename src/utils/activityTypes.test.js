@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ACTIVITY_TYPES,
+  buildActivityTypeLookup,
+  activityTypeIcon,
+  emptyTypeCounts,
+  findUnmappedActivityTypes,
+  suggestTypeCode,
+  parseActivityTypesConfig,
+  createActivityTypeStore,
+} from './activityTypes.js';
+import { processActivities } from './activities.js';
+import { createMemoryStore } from './storage.js';
+
+const youth = { code: 'YG', label: 'Youth Gathering', color: '#FF9800', icon: '', aliases: ['youth gatherings', 'Rassemblement des jeunes'] };
+
+describe('buildActivityTypeLookup', () => {
+  it('maps labels and aliases case-insensitively to codes', () => {
+    const lookup = buildActivityTypeLookup([...DEFAULT_ACTIVITY_TYPES, youth]);
+    expect(lookup.get("children's class")).toBe('CC');
+    expect(lookup.get('junior youth group')).toBe('JY');
+    expect(lookup.get('rassemblement des jeunes')).toBe('YG');
+  });
+});
+
+describe('activityTypeIcon / emptyTypeCounts', () => {
+  it('uses the icon URL or falls back to a colored dot', () => {
+    expect(activityTypeIcon(DEFAULT_ACTIVITY_TYPES[0])).toMatch(/cc\.png$/);
+    expect(activityTypeIcon(youth)).toMatch(/^data:image\/svg\+xml/);
+  });
+
+  it('starts every registered code at zero', () => {
+    expect(emptyTypeCounts(DEFAULT_ACTIVITY_TYPES)).toEqual({ CC: 0, DM: 0, JY: 0, SC: 0 });
+  });
+});
+
+describe('findUnmappedActivityTypes', () => {
+  it('counts raw types that nothing maps, most frequent first', () => {
+    const rows = [
+      { 'Activity Type': 'Devotional' },
+      { 'Activity Type': 'Youth Gathering' },
+      { 'Activity Type': 'Community Service' },
+      { 'Activity Type': 'youth gathering ' },
+      { 'Activity Type': '' },
+    ];
+    expect(findUnmappedActivityTypes(rows, DEFAULT_ACTIVITY_TYPES)).toEqual([
+      { raw: 'Youth Gathering', count: 2 },
+      { raw: 'Community Service', count: 1 },
+    ]);
+  });
+});
+
+describe('suggestTypeCode', () => {
+  it('uses initials and avoids taken codes', () => {
+    expect(suggestTypeCode('Youth gathering', DEFAULT_ACTIVITY_TYPES)).toBe('YG');
+    expect(suggestTypeCode('Service', DEFAULT_ACTIVITY_TYPES)).toBe('SE');
+    expect(suggestTypeCode('Study Course', DEFAULT_ACTIVITY_TYPES)).toBe('SC2');
+  });
+});
+
+describe('parseActivityTypesConfig', () => {
+  it('accepts an array or { activityTypes } and normalizes entries', () => {
+    const types = parseActivityTypesConfig(JSON.stringify({ activityTypes: [{ code: 'yg', label: ' Youth Gathering ', aliases: ['a', ''] }] }));
+    expect(types).toEqual([{ code: 'YG', label: 'Youth Gathering', color: '#FF9800', icon: '', aliases: ['a'] }]);
+    expect(parseActivityTypesConfig(DEFAULT_ACTIVITY_TYPES)).toEqual(DEFAULT_ACTIVITY_TYPES);
+  });
+
+  it('rejects invalid configs', () => {
+    expect(() => parseActivityTypesConfig('{')).toThrow('valid JSON');
+    expect(() => parseActivityTypesConfig({})).toThrow('list of activity types');
+    expect(() => parseActivityTypesConfig([{ code: 'A' }])).toThrow('needs a code and a label');
+    expect(() => parseActivityTypesConfig([{ code: 'A', label: 'x' }, { code: 'a', label: 'y' }])).toThrow('more than once');
+  });
+});
+
+describe('processActivities with a custom registry', () => {
+  it('maps new types and aliases and reports unmapped ones', () => {
+    const homes = [{ firstName: 'Alice', lastName: 'Smith', lat: 10, lng: 20, address: '1 Main St' }];
+    const rows = [
+      { 'Activity Type': 'Youth gatherings', Name: 'Friday', Facilitators: 'Alice Smith' },
+      { 'Activity Type': 'Picnic', Name: 'Fun', Facilitators: 'Alice Smith' },
+    ];
+    const result = processActivities(rows, homes, { activityTypes: [...DEFAULT_ACTIVITY_TYPES, youth] });
+    expect(result.markers.map(m => m.activity)).toEqual(['YG']);
+    expect(result.typeCounts).toEqual({ CC: 0, DM: 0, JY: 0, SC: 0, YG: 1 });
+    expect(result.unmappedTypes).toEqual([{ raw: 'Picnic', count: 1 }]);
+  });
+});
+
+describe('createActivityTypeStore', () => {
+  it('saves and loads the registry', async () => {
+    const store = createActivityTypeStore(createMemoryStore());
+    expect(await store.load()).toBeNull();
+    await store.save([youth]);
+    expect(await store.load()).toEqual([youth]);
+  });
+});
@@ -0,0 +1,139 @@
+import { pointInRing } from "./boundaries";
+import { activityFacilitatorKey } from "./activities";
+import { DEFAULT_ACTIVITY_TYPES, activityTypesByCode } from "./activityTypes";
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const AREA_SHAPES = {
+  POLYGON: "polygon",
+  RECTANGLE: "rectangle",
+  CIRCLE: "circle",
+};
+
+// Clicks needed to finish each shape; polygons are finished explicitly
+const POINTS_TO_COMPLETE = {
+  [AREA_SHAPES.RECTANGLE]: 2,
+  [AREA_SHAPES.CIRCLE]: 2,
+};
+
+/**
+ * Great-circle distance in metres between two { lat, lng } points (haversine).
+ */
+export function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * True once enough points were clicked to finish a rectangle or circle.
+ */
+export function isDraftComplete(type, points) {
+  return POINTS_TO_COMPLETE[type] != null && points.length >= POINTS_TO_COMPLETE[type];
+}
+
+/**
+ * Build a selection shape from clicked { lat, lng } points, or null when there are too few:
+ * - polygon: { type, path } from 3+ vertices
+ * - rectangle: { type, bounds: { north, south, east, west } } from two opposite corners
+ * - circle: { type, center, radius } from the centre and a point on the edge (radius in metres)
+ */
+export function shapeFromPoints(type, points) {
+  if (type === AREA_SHAPES.POLYGON) {
+    return points.length >= 3 ? { type, path: points } : null;
+  }
+  if (points.length < 2) return null;
+  const [a, b] = points;
+  if (type === AREA_SHAPES.RECTANGLE) {
+    return {
+      type,
+      bounds: {
+        north: Math.max(a.lat, b.lat),
+        south: Math.min(a.lat, b.lat),
+        east: Math.max(a.lng, b.lng),
+        west: Math.min(a.lng, b.lng),
+      },
+    };
+  }
+  if (type === AREA_SHAPES.CIRCLE) {
+    return { type, center: a, radius: distanceMeters(a, b) };
+  }
+  return null;
+}
+
+/**
+ * True when the point lies inside the selection shape.
+ */
+export function shapeContains(shape, lat, lng) {
+  if (shape.type === AREA_SHAPES.POLYGON) {
+    return pointInRing(lng, lat, shape.path.map(p => [p.lng, p.lat]));
+  }
+  if (shape.type === AREA_SHAPES.RECTANGLE) {
+    const { north, south, east, west } = shape.bounds;
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+  }
+  if (shape.type === AREA_SHAPES.CIRCLE) {
+    return distanceMeters(shape.center, { lat, lng }) <= shape.radius;
+  }
+  return false;
+}
+
+const personName = (home) => `${home.firstName || ""} ${home.lastName || ""}`.trim();
+const byName = (a, b) => a.localeCompare(b);
+
+/**
+ * Counts by activity type plus sorted individuals and facilitators for the homes and
+ * activities inside a selection.
+ */
+export function summarizeSelection(homes, activities) {
+  const typeCounts = {};
+  const facilitators = new Set();
+  activities.forEach(a => {
+    typeCounts[a.activity] = (typeCounts[a.activity] || 0) + 1;
+    const names = a.facilitatorHomes?.length ? a.facilitatorHomes.map(h => h.name) : [a.facilitator];
+    names.filter(Boolean).forEach(name => facilitators.add(name));
+  });
+  return {
+    homeCount: homes.length,
+    activityCount: activities.length,
+    typeCounts,
+    individuals: homes.map(h => personName(h) || h.address || "").sort(byName),
+    facilitators: Array.from(facilitators).sort(byName),
+  };
+}
+
+/**
+ * Flat rows (one per home, then one per activity) for exporting a selection as CSV/XLSX.
+ * Activities take the neighborhood of their facilitator's home.
+ */
+export function selectionToRows(
+  homes,
+  activities,
+  { neighborhoodOf = () => "", facilitatorNeighborhood = {}, activityTypes = DEFAULT_ACTIVITY_TYPES } = {}
+) {
+  const typesByCode = activityTypesByCode(activityTypes);
+  return [
+    ...homes.map(h => ({
+      Kind: "Individual",
+      Name: personName(h),
+      "Activity Type": "",
+      Facilitators: "",
+      Neighborhood: neighborhoodOf(h),
+      Address: h.address || "",
+      Latitude: h.lat,
+      Longitude: h.lng,
+    })),
+    ...activities.map(a => ({
+      Kind: "Activity",
+      Name: a.activityName || "",
+      "Activity Type": typesByCode.get(a.activity)?.label || a.activityTypeRaw || "",
+      Facilitators: a.facilitators || a.facilitator || "",
+      Neighborhood: facilitatorNeighborhood[activityFacilitatorKey(a)] || "",
+      Address: a.address || "",
+      Latitude: a.lat,
+      Longitude: a.lng,
+    })),
+  ];
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AREA_SHAPES,
+  distanceMeters,
+  isDraftComplete,
+  shapeFromPoints,
+  shapeContains,
+  summarizeSelection,
+  selectionToRows,
+} from './areaSelection.js';
+
+const homes = [
+  { id: 'h1', firstName: 'Bob', lastName: 'Jones', address: '1 Main St', lat: 43.65, lng: -79.38, Neighbourhood: 'Downtown' },
+  { id: 'h2', firstName: 'Alice', lastName: 'Smith', address: '2 Main St', lat: 43.66, lng: -79.39, Neighbourhood: 'Downtown' },
+];
+const activities = [
+  { id: 'a1', activity: 'CC', activityName: 'Class A', facilitator: 'Alice Smith', facilitators: 'Alice Smith', address: '2 Main St', lat: 43.66, lng: -79.39 },
+  { id: 'a2', activity: 'CC', activityName: 'Class B', facilitator: 'Bob Jones', facilitators: 'Bob Jones', address: '1 Main St', lat: 43.65, lng: -79.38 },
+  { id: 'a3', activity: 'DM', activityName: 'Prayers', facilitator: 'Alice Smith', facilitators: 'Alice Smith', address: '2 Main St', lat: 43.66, lng: -79.39 },
+];
+
+describe('distanceMeters', () => {
+  it('measures one degree of latitude as about 111 km', () => {
+    expect(distanceMeters({ lat: 0, lng: 0 }, { lat: 1, lng: 0 })).toBeCloseTo(111195, -2);
+  });
+});
+
+describe('isDraftComplete / shapeFromPoints', () => {
+  const a = { lat: 1, lng: 1 };
+  const b = { lat: 0, lng: 2 };
+
+  it('completes rectangles and circles after two clicks but never polygons', () => {
+    expect(isDraftComplete(AREA_SHAPES.RECTANGLE, [a])).toBe(false);
+    expect(isDraftComplete(AREA_SHAPES.RECTANGLE, [a, b])).toBe(true);
+    expect(isDraftComplete(AREA_SHAPES.CIRCLE, [a, b])).toBe(true);
+    expect(isDraftComplete(AREA_SHAPES.POLYGON, [a, b, a, b])).toBe(false);
+  });
+
+  it('builds normalized rectangle bounds from any two corners', () => {
+    expect(shapeFromPoints(AREA_SHAPES.RECTANGLE, [a, b]).bounds).toEqual({ north: 1, south: 0, east: 2, west: 1 });
+  });
+
+  it('builds a circle from its centre and an edge point', () => {
+    const circle = shapeFromPoints(AREA_SHAPES.CIRCLE, [a, b]);
+    expect(circle.center).toBe(a);
+    expect(circle.radius).toBeCloseTo(distanceMeters(a, b));
+  });
+
+  it('needs three vertices for a polygon', () => {
+    expect(shapeFromPoints(AREA_SHAPES.POLYGON, [a, b])).toBeNull();
+    expect(shapeFromPoints(AREA_SHAPES.POLYGON, [a, b, { lat: 0, lng: 0 }]).path).toHaveLength(3);
+  });
+});
+
+describe('shapeContains', () => {
+  it('tests polygons', () => {
+    const triangle = shapeFromPoints(AREA_SHAPES.POLYGON, [{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }, { lat: 10, lng: 0 }]);
+    expect(shapeContains(triangle, 1, 1)).toBe(true);
+    expect(shapeContains(triangle, 9, 9)).toBe(false);
+  });
+
+  it('tests rectangles', () => {
+    const rect = shapeFromPoints(AREA_SHAPES.RECTANGLE, [{ lat: 0, lng: 0 }, { lat: 2, lng: 2 }]);
+    expect(shapeContains(rect, 1, 1)).toBe(true);
+    expect(shapeContains(rect, 3, 1)).toBe(false);
+  });
+
+  it('tests circles by distance', () => {
+    const circle = { type: AREA_SHAPES.CIRCLE, center: { lat: 43.65, lng: -79.38 }, radius: 1000 };
+    expect(shapeContains(circle, 43.655, -79.38)).toBe(true);
+    expect(shapeContains(circle, 43.67, -79.38)).toBe(false);
+  });
+});
+
+describe('summarizeSelection', () => {
+  it('counts activities by type and sorts individuals and facilitators', () => {
+    expect(summarizeSelection(homes, activities)).toEqual({
+      homeCount: 2,
+      activityCount: 3,
+      typeCounts: { CC: 2, DM: 1 },
+      individuals: ['Alice Smith', 'Bob Jones'],
+      facilitators: ['Alice Smith', 'Bob Jones'],
+    });
+  });
+
+  it('lists every facilitator of a co-facilitated activity', () => {
+    const shared = {
+      ...activities[0],
+      facilitators: 'Carol King; Alice Smith',
+      facilitator: 'Carol King',
+      facilitatorHomes: [{ key: 'carol king', name: 'Carol King' }, { key: 'alice smith', name: 'Alice Smith' }],
+    };
+    expect(summarizeSelection([], [shared]).facilitators).toEqual(['Alice Smith', 'Carol King']);
+  });
+});
+
+describe('selectionToRows', () => {
+  it('lists individuals then activities with neighborhoods', () => {
+    const rows = selectionToRows([homes[0]], [activities[0]], {
+      neighborhoodOf: h => h.Neighbourhood,
+      facilitatorNeighborhood: { 'alice smith': 'Downtown' },
+    });
+    expect(rows).toEqual([
+      {
+        Kind: 'Individual', Name: 'Bob Jones', 'Activity Type': '', Facilitators: '',
+        Neighborhood: 'Downtown', Address: '1 Main St', Latitude: 43.65, Longitude: -79.38,
+      },
+      {
+        Kind: 'Activity', Name: 'Class A', 'Activity Type': "Children's Class", Facilitators: 'Alice Smith',
+        Neighborhood: 'Downtown', Address: '2 Main St', Latitude: 43.66, Longitude: -79.39,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,163 @@
+import { getField, NEIGHBORHOOD_KEYS } from "./parsing";
+
+const NAME_PROPERTIES = ["name", "Name", "NAME", "neighbourhood", "neighborhood", "Neighbourhood", "Neighborhood", "cluster", "Cluster", "title"];
+
+/**
+ * A boundary is { name, polygons, bbox } where polygons is a list of polygons, each a list of
+ * rings ([outer, ...holes]) of [lng, lat] pairs, and bbox is [minLng, minLat, maxLng, maxLat].
+ */
+function makeBoundary(name, polygons) {
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+  polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }));
+  return { name, polygons, bbox: [minLng, minLat, maxLng, maxLat] };
+}
+
+function featureName(properties, index) {
+  for (const key of NAME_PROPERTIES) {
+    const v = properties?.[key];
+    if (v != null && String(v).trim()) return String(v).trim();
+  }
+  return `Boundary ${index + 1}`;
+}
+
+/**
+ * Extract named polygon boundaries from a GeoJSON FeatureCollection, Feature or geometry.
+ * Features with the same name are merged into one boundary.
+ */
+export function parseGeoJSONBoundaries(data) {
+  const features = data?.type === "FeatureCollection" ? data.features
+    : data?.type === "Feature" ? [data]
+    : data?.type ? [{ type: "Feature", geometry: data, properties: {} }]
+    : [];
+  const byName = new Map();
+  (features || []).forEach((f, i) => {
+    const g = f?.geometry;
+    let polygons = [];
+    if (g?.type === "Polygon") polygons = [g.coordinates];
+    else if (g?.type === "MultiPolygon") polygons = g.coordinates;
+    polygons = polygons.filter(rings => Array.isArray(rings?.[0]) && rings[0].length >= 3);
+    if (!polygons.length) return;
+    const name = featureName(f.properties, i);
+    byName.set(name, [...(byName.get(name) || []), ...polygons]);
+  });
+  return Array.from(byName, ([name, polygons]) => makeBoundary(name, polygons));
+}
+
+function parseKmlCoordinates(text) {
+  return text.trim().split(/\s+/).map(tuple => {
+    const [lng, lat] = tuple.split(",").map(Number);
+    return [lng, lat];
+  }).filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+const stripCdata = (s) => s.replace(/^\s*<!\[CDATA\[/, "").replace(/\]\]>\s*$/, "").trim();
+
+function unescapeXml(s) {
+  return s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+/**
+ * Extract named polygon boundaries from KML text (e.g. a Google My Maps export).
+ * Each Placemark's Polygons become one boundary named after the Placemark.
+ */
+export function parseKmlBoundaries(text) {
+  const byName = new Map();
+  const placemarks = String(text).match(/<Placemark\b[\s\S]*?<\/Placemark>/g) || [];
+  placemarks.forEach((pm, i) => {
+    const polygons = (pm.match(/<Polygon\b[\s\S]*?<\/Polygon>/g) || []).map(poly => {
+      const outer = poly.match(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/);
+      const holes = poly.match(/<innerBoundaryIs>[\s\S]*?<\/innerBoundaryIs>/g) || [];
+      if (!outer) return null;
+      return [
+        parseKmlCoordinates(outer[1]),
+        ...holes.map(h => parseKmlCoordinates((h.match(/<coordinates>([\s\S]*?)<\/coordinates>/) || [])[1] || "")),
+      ];
+    }).filter(rings => rings && rings[0].length >= 3);
+    if (!polygons.length) return;
+    const nameMatch = pm.match(/<name>([\s\S]*?)<\/name>/);
+    const name = nameMatch && stripCdata(unescapeXml(nameMatch[1])) ? stripCdata(unescapeXml(nameMatch[1])) : `Boundary ${i + 1}`;
+    byName.set(name, [...(byName.get(name) || []), ...polygons]);
+  });
+  return Array.from(byName, ([name, polygons]) => makeBoundary(name, polygons));
+}
+
+/**
+ * Parse a boundary file's text as GeoJSON or KML (by extension, falling back to content sniffing).
+ * Throws a user-facing Error when no polygons are found.
+ */
+export function parseBoundaryFile(fileName, text) {
+  const isKml = /\.kml$/i.test(fileName) || /^\s*(<\?xml|<kml)/.test(text);
+  let boundaries;
+  if (isKml) {
+    boundaries = parseKmlBoundaries(text);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("Could not read the boundary file. Use GeoJSON (.geojson/.json) or KML (.kml).");
+    }
+    boundaries = parseGeoJSONBoundaries(data);
+  }
+  if (!boundaries.length) throw new Error("The boundary file does not contain any polygons.");
+  return boundaries;
+}
+
+/**
+ * Ray-casting point-in-ring test. ring is a list of [lng, lat] pairs.
+ */
+export function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * True when the point lies inside any polygon of the boundary (and outside its holes).
+ */
+export function pointInBoundary(lat, lng, boundary) {
+  const [minLng, minLat, maxLng, maxLat] = boundary.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+  return boundary.polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Map each home id to the name of the first boundary containing it (homes outside every
+ * boundary are left out).
+ */
+export function assignBoundaries(homes, boundaries) {
+  const assignment = new Map();
+  homes.forEach(h => {
+    const match = boundaries.find(b => pointInBoundary(h.lat, h.lng, b));
+    if (match) assignment.set(h.id, match.name);
+  });
+  return assignment;
+}
+
+/**
+ * Homes whose spreadsheet neighborhood disagrees with the boundary they fall in.
+ * Homes without a spreadsheet neighborhood are not reported.
+ * Returns [{ home, sheetNeighborhood, boundaryNeighborhood }] (boundaryNeighborhood null = outside all).
+ */
+export function findNeighborhoodMismatches(homes, assignment) {
+  const mismatches = [];
+  homes.forEach(home => {
+    const sheetNeighborhood = (getField(home, NEIGHBORHOOD_KEYS) || "").trim();
+    if (!sheetNeighborhood) return;
+    const boundaryNeighborhood = assignment.get(home.id) || null;
+    if (boundaryNeighborhood && boundaryNeighborhood.toLowerCase() === sheetNeighborhood.toLowerCase()) return;
+    mismatches.push({ home, sheetNeighborhood, boundaryNeighborhood });
+  });
+  return mismatches;
+}
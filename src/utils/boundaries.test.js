@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseGeoJSONBoundaries,
+  parseKmlBoundaries,
+  parseBoundaryFile,
+  pointInRing,
+  pointInBoundary,
+  assignBoundaries,
+  findNeighborhoodMismatches,
+} from './boundaries.js';
+
+// Unit square 0..10 with a 4..6 hole, and a neighbouring square 10..20
+const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+const east = [[10, 0], [20, 0], [20, 10], [10, 10], [10, 0]];
+
+const geojson = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Downtown' }, geometry: { type: 'Polygon', coordinates: [square, hole] } },
+    { type: 'Feature', properties: { Neighbourhood: 'East End' }, geometry: { type: 'MultiPolygon', coordinates: [[east]] } },
+    { type: 'Feature', properties: { name: 'Point' }, geometry: { type: 'Point', coordinates: [1, 1] } },
+  ],
+};
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name><![CDATA[Downtown]]></name>
+    <Polygon>
+      <outerBoundaryIs><LinearRing><coordinates>0,0,0 10,0,0 10,10,0 0,10,0 0,0,0</coordinates></LinearRing></outerBoundaryIs>
+      <innerBoundaryIs><LinearRing><coordinates>4,4 6,4 6,6 4,6 4,4</coordinates></LinearRing></innerBoundaryIs>
+    </Polygon>
+  </Placemark>
+  <Placemark><name>East &amp; Co</name>
+    <Polygon><outerBoundaryIs><LinearRing><coordinates>
+      10,0 20,0 20,10 10,10 10,0
+    </coordinates></LinearRing></outerBoundaryIs></Polygon>
+  </Placemark>
+  <Placemark><name>Pin</name><Point><coordinates>1,1</coordinates></Point></Placemark>
+</Document></kml>`;
+
+describe('parseGeoJSONBoundaries', () => {
+  it('extracts named Polygon and MultiPolygon features and skips other geometries', () => {
+    const boundaries = parseGeoJSONBoundaries(geojson);
+    expect(boundaries.map(b => b.name)).toEqual(['Downtown', 'East End']);
+    expect(boundaries[0].polygons).toEqual([[square, hole]]);
+    expect(boundaries[0].bbox).toEqual([0, 0, 10, 10]);
+  });
+
+  it('accepts a bare geometry and names it by position', () => {
+    const [b] = parseGeoJSONBoundaries({ type: 'Polygon', coordinates: [square] });
+    expect(b.name).toBe('Boundary 1');
+  });
+});
+
+describe('parseKmlBoundaries', () => {
+  it('extracts placemark polygons with holes, CDATA and escaped names', () => {
+    const boundaries = parseKmlBoundaries(kml);
+    expect(boundaries.map(b => b.name)).toEqual(['Downtown', 'East & Co']);
+    expect(boundaries[0].polygons[0][0]).toEqual(square);
+    expect(boundaries[0].polygons[0][1]).toEqual(hole);
+  });
+});
+
+describe('parseBoundaryFile', () => {
+  it('detects KML by extension or content', () => {
+    expect(parseBoundaryFile('areas.kml', kml)).toHaveLength(2);
+    expect(parseBoundaryFile('areas.txt', kml)).toHaveLength(2);
+  });
+
+  it('parses GeoJSON', () => {
+    expect(parseBoundaryFile('areas.geojson', JSON.stringify(geojson))).toHaveLength(2);
+  });
+
+  it('rejects unreadable files and files without polygons', () => {
+    expect(() => parseBoundaryFile('areas.json', '{')).toThrow('Could not read the boundary file');
+    expect(() => parseBoundaryFile('areas.json', '{"type":"FeatureCollection","features":[]}'))
+      .toThrow('does not contain any polygons');
+  });
+});
+
+describe('pointInRing / pointInBoundary', () => {
+  const [downtown] = parseGeoJSONBoundaries(geojson);
+
+  it('detects points inside and outside a ring', () => {
+    expect(pointInRing(1, 1, square)).toBe(true);
+    expect(pointInRing(11, 1, square)).toBe(false);
+  });
+
+  it('excludes holes', () => {
+    expect(pointInBoundary(1, 1, downtown)).toBe(true);
+    expect(pointInBoundary(5, 5, downtown)).toBe(false);
+  });
+
+  it('rejects points outside the bounding box', () => {
+    expect(pointInBoundary(50, 50, downtown)).toBe(false);
+  });
+});
+
+describe('assignBoundaries / findNeighborhoodMismatches', () => {
+  const boundaries = parseGeoJSONBoundaries(geojson);
+  const homes = [
+    { id: 'a', lat: 1, lng: 1, Neighbourhood: 'downtown' },
+    { id: 'b', lat: 1, lng: 15, Neighbourhood: 'Downtown' },
+    { id: 'c', lat: 50, lng: 50, Neighbourhood: 'Uptown' },
+    { id: 'd', lat: 1, lng: 15, Neighbourhood: '' },
+  ];
+
+  it('assigns homes to the boundary containing them', () => {
+    const assignment = assignBoundaries(homes, boundaries);
+    expect(assignment.get('a')).toBe('Downtown');
+    expect(assignment.get('b')).toBe('East End');
+    expect(assignment.has('c')).toBe(false);
+  });
+
+  it('reports disagreeing and out-of-boundary rows, ignoring blank and case-only differences', () => {
+    const mismatches = findNeighborhoodMismatches(homes, assignBoundaries(homes, boundaries));
+    expect(mismatches.map(m => [m.home.id, m.sheetNeighborhood, m.boundaryNeighborhood])).toEqual([
+      ['b', 'Downtown', 'East End'],
+      ['c', 'Uptown', null],
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { distanceMeters } from "./areaSelection";
+
+/**
+ * Convex hull of { lat, lng } points (monotone chain on lng/lat, fine at neighborhood scale),
+ * counter-clockwise without repeating the first point. Fewer than three distinct points are
+ * returned as they are.
+ */
+export function convexHull(points) {
+  const sorted = points
+    .filter((p, i) => points.findIndex(q => q.lat === p.lat && q.lng === p.lng) === i)
+    .sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+  const half = (pts) => {
+    const chain = [];
+    pts.forEach(p => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) chain.pop();
+      chain.push(p);
+    });
+    chain.pop();
+    return chain;
+  };
+  return [...half(sorted), ...half(sorted.slice().reverse())];
+}
+
+/**
+ * How far an activity's participants travel: { participantCount, mappedCount, averageMeters,
+ * maxMeters }, measured from where the activity is placed to each matched participant's home.
+ * Distances are null when no participant could be placed.
+ */
+export function catchmentStats(activity) {
+  const homes = activity.participantHomes || [];
+  const distances = homes.map(h => distanceMeters(activity, h));
+  return {
+    participantCount: homes.length + (activity.participantsNotFound || []).length,
+    mappedCount: homes.length,
+    averageMeters: distances.length ? distances.reduce((sum, d) => sum + d, 0) / distances.length : null,
+    maxMeters: distances.length ? Math.max(...distances) : null,
+  };
+}
+
+/**
+ * Short distance label: metres under a kilometre, otherwise kilometres to one decimal.
+ */
+export const formatDistance = (meters) =>
+  (meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`);
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { convexHull, catchmentStats, formatDistance } from './catchment.js';
+
+describe('convexHull', () => {
+  it('drops interior and duplicate points', () => {
+    const hull = convexHull([
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 2 },
+      { lat: 2, lng: 2 },
+      { lat: 1, lng: 1 },
+      { lat: 2, lng: 0 },
+      { lat: 0, lng: 0 },
+    ]);
+    expect(hull).toEqual([
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 2 },
+      { lat: 2, lng: 2 },
+      { lat: 2, lng: 0 },
+    ]);
+  });
+
+  it('returns fewer than three points unchanged', () => {
+    expect(convexHull([{ lat: 1, lng: 1 }, { lat: 1, lng: 1 }])).toEqual([{ lat: 1, lng: 1 }]);
+  });
+});
+
+describe('catchmentStats', () => {
+  it('measures distances from the activity to participant homes', () => {
+    const stats = catchmentStats({
+      lat: 0,
+      lng: 0,
+      participantHomes: [{ lat: 0, lng: 0.01 }, { lat: 0, lng: 0.03 }],
+      participantsNotFound: ['Dana Scully'],
+    });
+    expect(stats.participantCount).toBe(3);
+    expect(stats.mappedCount).toBe(2);
+    expect(stats.averageMeters).toBeCloseTo(2224, 0);
+    expect(stats.maxMeters).toBeCloseTo(3336, 0);
+  });
+
+  it('has no distances without placed participants', () => {
+    expect(catchmentStats({ lat: 0, lng: 0 })).toEqual({
+      participantCount: 0, mappedCount: 0, averageMeters: null, maxMeters: null,
+    });
+  });
+});
+
+describe('formatDistance', () => {
+  it('uses metres below a kilometre', () => {
+    expect(formatDistance(849.6)).toBe('850 m');
+    expect(formatDistance(1249)).toBe('1.2 km');
+  });
+});
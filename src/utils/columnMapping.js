@@ -0,0 +1,161 @@
+import {
+  normalizeHeaderCell,
+  SOURCE_ROW_KEY,
+  ADDRESS_KEYS,
+  ADDRESS_LINE1_KEYS,
+  ADDRESS_LINE2_KEYS,
+  NEIGHBORHOOD_KEYS,
+  POSTAL_KEYS,
+  LOCALITY_KEYS,
+  REGION_KEYS,
+  NATIONAL_COMMUNITY_KEYS,
+  FIRST_NAME_KEYS,
+  LAST_NAME_KEYS,
+  ACTIVITY_TYPE_KEYS,
+  ACTIVITY_NAME_KEYS,
+  FACILITATORS_KEYS,
+  VENUE_KEYS,
+  ROSTER_ACTIVITY_KEYS,
+  PARTICIPANT_KEYS,
+} from "./parsing";
+import { createJsonSetting } from "./storage";
+
+/**
+ * A mapping schema lists the fields a file kind uses. Each field is written back under
+ * keys[0], which every getField lookup accepts. required lists groups of field ids of which
+ * at least one must be mapped.
+ */
+const field = (id, label, keys) => ({ id, label, keys });
+
+export const COLUMN_SCHEMAS = {
+  individuals: {
+    fields: [
+      field("firstName", "First name", FIRST_NAME_KEYS),
+      field("lastName", "Last name", LAST_NAME_KEYS),
+      field("address", "Address", ADDRESS_KEYS),
+      field("addressLine1", "Address line 1", ADDRESS_LINE1_KEYS),
+      field("addressLine2", "Address line 2", ADDRESS_LINE2_KEYS),
+      field("neighborhood", "Neighborhood", NEIGHBORHOOD_KEYS),
+      field("postal", "Postal code", POSTAL_KEYS),
+      field("locality", "Locality / city", LOCALITY_KEYS),
+      field("region", "Region / state", REGION_KEYS),
+      field("nationalCommunity", "Country", NATIONAL_COMMUNITY_KEYS),
+    ],
+    required: [["firstName"], ["lastName"], ["address", "addressLine1"]],
+  },
+  activities: {
+    fields: [
+      field("activityType", "Activity type", ACTIVITY_TYPE_KEYS),
+      field("activityName", "Activity name", ACTIVITY_NAME_KEYS),
+      field("facilitators", "Facilitators", FACILITATORS_KEYS),
+      field("venue", "Venue address", VENUE_KEYS),
+      field("venuePostal", "Venue postal code", POSTAL_KEYS),
+      field("venueLocality", "Venue locality / city", LOCALITY_KEYS),
+      field("venueRegion", "Venue region / state", REGION_KEYS),
+      field("venueCountry", "Venue country", NATIONAL_COMMUNITY_KEYS),
+    ],
+    required: [["activityType"], ["facilitators"]],
+  },
+  participants: {
+    fields: [
+      field("activityName", "Activity name", ROSTER_ACTIVITY_KEYS),
+      field("activityType", "Activity type", ACTIVITY_TYPE_KEYS),
+      field("facilitators", "Facilitators", FACILITATORS_KEYS),
+      field("participant", "Participant name(s)", PARTICIPANT_KEYS),
+      field("firstName", "Participant first name", FIRST_NAME_KEYS),
+      field("lastName", "Participant last name", LAST_NAME_KEYS),
+    ],
+    required: [["activityName"], ["participant", "firstName"]],
+  },
+};
+
+/**
+ * Column names of parsed rows, in first-seen order.
+ */
+export function collectColumns(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(k => columns.add(k)));
+  columns.delete(SOURCE_ROW_KEY);
+  return Array.from(columns);
+}
+
+/**
+ * Guess { [field id]: column name or null } from the known header aliases.
+ */
+export function autoDetectMapping(columns, schema) {
+  const mapping = {};
+  schema.fields.forEach(f => {
+    const aliases = f.keys.map(normalizeHeaderCell);
+    mapping[f.id] = aliases.map(a => columns.find(c => normalizeHeaderCell(c) === a)).find(Boolean) || null;
+  });
+  return mapping;
+}
+
+/**
+ * Labels of the required field groups with no mapped column ("Address or Address line 1").
+ */
+export function missingRequiredFields(mapping, schema) {
+  const labels = new Map(schema.fields.map(f => [f.id, f.label]));
+  return schema.required
+    .filter(group => !group.some(id => mapping[id]))
+    .map(group => group.map(id => labels.get(id)).join(" or "));
+}
+
+/**
+ * Rename mapped columns to their field's canonical header. Other columns are kept unless
+ * their header is an alias of a field, so an unmapped "Address" column cannot shadow the
+ * column chosen for the address.
+ */
+export function applyColumnMapping(rows, mapping, schema) {
+  const reserved = new Set(schema.fields.flatMap(f => f.keys.map(normalizeHeaderCell)));
+  const mapped = new Set(Object.values(mapping).filter(Boolean));
+  return rows.map(row => {
+    const out = {};
+    schema.fields.forEach(f => {
+      if (mapping[f.id]) out[f.keys[0]] = row[mapping[f.id]] ?? "";
+    });
+    Object.keys(row).forEach(k => {
+      if (!mapped.has(k) && !reserved.has(normalizeHeaderCell(k))) out[k] = row[k];
+    });
+    return out;
+  });
+}
+
+/**
+ * Identifies a spreadsheet layout by its set of column headers.
+ */
+export const layoutSignature = (columns) => columns.map(normalizeHeaderCell).filter(Boolean).sort().join("|");
+
+/**
+ * The saved preset for this file kind and layout, if any. A preset only applies when all
+ * the columns it maps are present.
+ */
+export function findPresetForColumns(presets, kind, columns) {
+  const signature = layoutSignature(columns);
+  return presets.find(p =>
+    p.kind === kind
+    && p.signature === signature
+    && Object.values(p.mapping).every(c => !c || columns.includes(c))
+  ) || null;
+}
+
+/**
+ * Add or replace (by name and kind) a preset in the list.
+ */
+export function upsertPreset(presets, preset) {
+  return [...presets.filter(p => !(p.kind === preset.kind && p.name === preset.name)), preset];
+}
+
+const PRESETS_KEY = "column-presets";
+
+/**
+ * Named column-mapping presets ({ name, kind, signature, mapping }), saved as a setting.
+ */
+export function createPresetStore(store) {
+  return createJsonSetting(PRESETS_KEY, {
+    store,
+    fallback: [],
+    parse: saved => (Array.isArray(saved) ? saved : []),
+    label: "column presets",
+  });
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  COLUMN_SCHEMAS,
+  collectColumns,
+  autoDetectMapping,
+  missingRequiredFields,
+  applyColumnMapping,
+  layoutSignature,
+  findPresetForColumns,
+  upsertPreset,
+  createPresetStore,
+} from './columnMapping.js';
+import { SOURCE_ROW_KEY } from './parsing.js';
+import { getField, ADDRESS_KEYS, FIRST_NAME_KEYS, NEIGHBORHOOD_KEYS } from './parsing.js';
+import { createMemoryStore } from './storage.js';
+
+const individuals = COLUMN_SCHEMAS.individuals;
+
+describe('collectColumns', () => {
+  it('lists columns in first-seen order across rows', () => {
+    expect(collectColumns([{ A: 1, B: 2 }, { B: 3, C: 4 }])).toEqual(['A', 'B', 'C']);
+  });
+
+  it('leaves out the source row number', () => {
+    expect(collectColumns([{ A: 1, [SOURCE_ROW_KEY]: 2 }])).toEqual(['A']);
+  });
+});
+
+describe('autoDetectMapping / missingRequiredFields', () => {
+  it('detects known headers and flags required fields that are missing', () => {
+    const mapping = autoDetectMapping(['first_name', 'Family Name', 'Street', 'Zip'], individuals);
+    expect(mapping).toMatchObject({ firstName: 'first_name', lastName: 'Family Name', postal: 'Zip', address: null });
+    expect(missingRequiredFields(mapping, individuals)).toEqual(['Address or Address line 1']);
+    expect(missingRequiredFields({ ...mapping, addressLine1: 'Street' }, individuals)).toEqual([]);
+  });
+});
+
+describe('applyColumnMapping', () => {
+  it('renames mapped columns to canonical headers and keeps unrelated ones', () => {
+    const rows = [{ Given: 'Alice', Surname: 'Smith', Street: '1 Main St', Address: 'old', Area: 'Downtown', Notes: 'x' }];
+    const mapping = { firstName: 'Given', lastName: 'Surname', address: 'Street', neighborhood: 'Area' };
+    const [row] = applyColumnMapping(rows, mapping, individuals);
+    expect(getField(row, FIRST_NAME_KEYS)).toBe('Alice');
+    expect(getField(row, ADDRESS_KEYS)).toBe('1 Main St');
+    expect(getField(row, NEIGHBORHOOD_KEYS)).toBe('Downtown');
+    expect(row.Notes).toBe('x');
+    expect(row.Street).toBeUndefined();
+  });
+});
+
+describe('presets', () => {
+  const columns = ['Given', 'Surname', 'Street'];
+  const preset = {
+    name: 'Cluster export',
+    kind: 'individuals',
+    signature: layoutSignature(columns),
+    mapping: { firstName: 'Given', lastName: 'Surname', address: 'Street' },
+  };
+
+  it('matches the same layout regardless of column order or case', () => {
+    expect(layoutSignature(['B', 'a'])).toBe(layoutSignature(['A', 'b']));
+    expect(findPresetForColumns([preset], 'individuals', ['Street', 'Surname', 'Given'])).toBe(preset);
+    expect(findPresetForColumns([preset], 'activities', columns)).toBeNull();
+    expect(findPresetForColumns([preset], 'individuals', ['Given', 'Surname'])).toBeNull();
+  });
+
+  it('replaces presets with the same name and kind', () => {
+    const updated = { ...preset, mapping: {} };
+    expect(upsertPreset([preset], updated)).toEqual([updated]);
+    expect(upsertPreset([preset], { ...preset, kind: 'activities' })).toHaveLength(2);
+  });
+
+  it('saves and loads presets', async () => {
+    const store = createPresetStore(createMemoryStore());
+    expect(await store.load()).toEqual([]);
+    await store.save([preset]);
+    expect(await store.load()).toEqual([preset]);
+  });
+});
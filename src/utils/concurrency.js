@@ -0,0 +1,22 @@
+/**
+ * Run worker(item, index) over items with at most `limit` calls in flight.
+ * Resolves with an allSettled-style array in input order. When `signal` aborts, no new
+ * items are started and unstarted entries are left undefined; in-flight calls are awaited.
+ */
+export async function mapWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runNext = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      try {
+        results[index] = { status: "fulfilled", value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, runNext));
+  return results;
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from './concurrency.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('mapWithConcurrency', () => {
+  it('returns settled results in input order', async () => {
+    const results = await mapWithConcurrency([3, 1, 2], 2, async (n) => {
+      await new Promise(r => setTimeout(r, n));
+      if (n === 2) throw new Error('two');
+      return n * 10;
+    });
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 30 });
+    expect(results[1]).toEqual({ status: 'fulfilled', value: 10 });
+    expect(results[2].status).toBe('rejected');
+    expect(results[2].reason.message).toBe('two');
+  });
+
+  it('never exceeds the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await tick();
+      inFlight--;
+    });
+    expect(maxInFlight).toBe(3);
+  });
+
+  it('stops starting new items once the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = [];
+    const results = await mapWithConcurrency([0, 1, 2, 3, 4], 1, async (n) => {
+      started.push(n);
+      if (n === 1) controller.abort();
+      await tick();
+      return n;
+    }, { signal: controller.signal });
+    expect(started).toEqual([0, 1]);
+    expect(results[1]).toEqual({ status: 'fulfilled', value: 1 });
+    expect(results[2]).toBeUndefined();
+  });
+
+  it('handles an empty list', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { CONNECTION_MIN_WEIGHT, CONNECTION_MAX_WEIGHT } from "../constants";
+
+const byCountThenName = (a, b) => b.count - a.count || a.names.join(", ").localeCompare(b.names.join(", "));
+
+/**
+ * The co-facilitation network behind a set of activity markers, from each activity's matched
+ * facilitator homes (the `;`-separated facilitators column):
+ * - pairs: [{ id, keys, names, from, to, count, activities }], one per two facilitators who
+ *   serve together, with their homes and how many activities they share
+ * - teams: [{ id, keys, names, count }], each distinct group of three or more facilitators
+ * - isolated: [{ key, name, count }], facilitators who never share an activity
+ * Lists are sorted by count (most first), then by name.
+ */
+export function buildConnections(activities) {
+  const people = new Map();
+  const pairs = new Map();
+  const teams = new Map();
+  activities.forEach(a => {
+    const homes = (a.facilitatorHomes || []).slice().sort((x, y) => x.key.localeCompare(y.key));
+    homes.forEach(h => {
+      if (!people.has(h.key)) people.set(h.key, { key: h.key, name: h.name, lat: h.lat, lng: h.lng, count: 0, shared: 0 });
+      const person = people.get(h.key);
+      person.count += 1;
+      if (homes.length > 1) person.shared += 1;
+    });
+    homes.forEach((h1, i) => homes.slice(i + 1).forEach(h2 => {
+      const id = `${h1.key}|${h2.key}`;
+      if (!pairs.has(id)) pairs.set(id, { id, keys: [h1.key, h2.key], count: 0, activities: [] });
+      const pair = pairs.get(id);
+      pair.count += 1;
+      if (a.activityName) pair.activities.push(a.activityName);
+    }));
+    if (homes.length > 2) {
+      const id = homes.map(h => h.key).join("|");
+      if (!teams.has(id)) teams.set(id, { id, keys: homes.map(h => h.key), count: 0 });
+      teams.get(id).count += 1;
+    }
+  });
+  const nameOf = key => people.get(key).name;
+  const homeOf = key => ({ lat: people.get(key).lat, lng: people.get(key).lng });
+  return {
+    pairs: Array.from(pairs.values())
+      .map(p => ({ ...p, names: p.keys.map(nameOf), from: homeOf(p.keys[0]), to: homeOf(p.keys[1]) }))
+      .sort(byCountThenName),
+    teams: Array.from(teams.values())
+      .map(t => ({ ...t, names: t.keys.map(nameOf) }))
+      .sort(byCountThenName),
+    isolated: Array.from(people.values())
+      .filter(p => p.shared === 0)
+      .map(({ key, name, count }) => ({ key, name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Line weight for a pair sharing `count` activities, scaled so the strongest pair on the map
+ * gets CONNECTION_MAX_WEIGHT.
+ */
+export function connectionWeight(count, maxCount) {
+  if (maxCount <= 1) return CONNECTION_MIN_WEIGHT;
+  const t = (Math.min(count, maxCount) - 1) / (maxCount - 1);
+  return CONNECTION_MIN_WEIGHT + t * (CONNECTION_MAX_WEIGHT - CONNECTION_MIN_WEIGHT);
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { buildConnections, connectionWeight } from './connections.js';
+import { CONNECTION_MIN_WEIGHT, CONNECTION_MAX_WEIGHT } from '../constants.js';
+
+const homes = {
+  alice: { key: 'alice smith', name: 'Alice Smith', lat: 1, lng: 1 },
+  bob: { key: 'bob jones', name: 'Bob Jones', lat: 2, lng: 2 },
+  carol: { key: 'carol king', name: 'Carol King', lat: 3, lng: 3 },
+  dan: { key: 'dan brown', name: 'Dan Brown', lat: 4, lng: 4 },
+};
+const activity = (activityName, ...people) => ({ activityName, facilitatorHomes: people.map(p => homes[p]) });
+
+describe('buildConnections', () => {
+  const { pairs, teams, isolated } = buildConnections([
+    activity('Class A', 'alice', 'bob'),
+    activity('Class B', 'bob', 'alice'),
+    activity('Study Circle', 'alice', 'bob', 'carol'),
+    activity('Prayers', 'dan'),
+    activity('Devotional', 'dan'),
+  ]);
+
+  it('counts shared activities per pair, strongest first', () => {
+    expect(pairs.map(p => [p.names, p.count])).toEqual([
+      [['Alice Smith', 'Bob Jones'], 3],
+      [['Alice Smith', 'Carol King'], 1],
+      [['Bob Jones', 'Carol King'], 1],
+    ]);
+    expect(pairs[0]).toMatchObject({
+      from: { lat: 1, lng: 1 },
+      to: { lat: 2, lng: 2 },
+      activities: ['Class A', 'Class B', 'Study Circle'],
+    });
+  });
+
+  it('lists teams of three or more', () => {
+    expect(teams).toEqual([{
+      id: 'alice smith|bob jones|carol king',
+      keys: ['alice smith', 'bob jones', 'carol king'],
+      names: ['Alice Smith', 'Bob Jones', 'Carol King'],
+      count: 1,
+    }]);
+  });
+
+  it('lists facilitators who never serve with anyone', () => {
+    expect(isolated).toEqual([{ key: 'dan brown', name: 'Dan Brown', count: 2 }]);
+  });
+});
+
+describe('connectionWeight', () => {
+  it('scales from the minimum to the maximum weight', () => {
+    expect(connectionWeight(1, 5)).toBe(CONNECTION_MIN_WEIGHT);
+    expect(connectionWeight(5, 5)).toBe(CONNECTION_MAX_WEIGHT);
+    expect(connectionWeight(3, 1)).toBe(CONNECTION_MIN_WEIGHT);
+  });
+});
@@ -0,0 +1,153 @@
+import {
+  getField,
+  sourceRowNumber,
+  streetAddress,
+  FIRST_NAME_KEYS,
+  LAST_NAME_KEYS,
+  POSTAL_KEYS,
+  ACTIVITY_TYPE_KEYS,
+  ACTIVITY_NAME_KEYS,
+  FACILITATORS_KEYS,
+} from "./parsing";
+import { normalizeName } from "./activities";
+import { DEFAULT_ACTIVITY_TYPES, buildActivityTypeLookup, normalizeActivityTypeName } from "./activityTypes";
+
+export const DATA_ISSUE = {
+  DUPLICATE_INDIVIDUAL: "duplicate-individual",
+  MISSING_ADDRESS: "missing-address",
+  SHARED_NAME: "shared-name",
+  DUPLICATE_ACTIVITY: "duplicate-activity",
+  UNRECOGNIZED_TYPE: "unrecognized-type",
+};
+
+export const DATA_ISSUE_LABELS = {
+  [DATA_ISSUE.DUPLICATE_INDIVIDUAL]: "Duplicate individual",
+  [DATA_ISSUE.MISSING_ADDRESS]: "No usable address",
+  [DATA_ISSUE.SHARED_NAME]: "Ambiguous facilitator",
+  [DATA_ISSUE.DUPLICATE_ACTIVITY]: "Duplicate activity",
+  [DATA_ISSUE.UNRECOGNIZED_TYPE]: "Unrecognized activity type",
+};
+
+export const DATA_SOURCE = {
+  INDIVIDUALS: "Individuals",
+  ACTIVITIES: "Activities",
+};
+
+const collapse = (value) => String(value ?? "").trim().replace(/\s+/g, " ");
+const personName = (row) => collapse(`${getField(row, FIRST_NAME_KEYS) || ""} ${getField(row, LAST_NAME_KEYS) || ""}`);
+const addressLabel = (row) => [streetAddress(row), getField(row, POSTAL_KEYS)].map(collapse).filter(Boolean).join(", ");
+
+// Append row to the list stored under key
+function pushGrouped(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+function individualIssues(rows) {
+  const issues = [];
+  const byName = new Map();
+  rows.forEach(row => {
+    const name = personName(row);
+    if (!addressLabel(row)) {
+      issues.push({
+        type: DATA_ISSUE.MISSING_ADDRESS,
+        source: DATA_SOURCE.INDIVIDUALS,
+        rows: [sourceRowNumber(row)],
+        subject: name,
+        detail: "No street address or postal code",
+      });
+    }
+    if (name) pushGrouped(byName, normalizeName(name), row);
+  });
+  byName.forEach(group => {
+    const addresses = [...new Set(group.map(addressLabel).filter(Boolean))];
+    if (addresses.length < 2) return;
+    issues.push({
+      type: DATA_ISSUE.DUPLICATE_INDIVIDUAL,
+      source: DATA_SOURCE.INDIVIDUALS,
+      rows: group.map(sourceRowNumber),
+      subject: personName(group[0]),
+      detail: `Listed at ${addresses.length} addresses: ${addresses.join("; ")}`,
+    });
+  });
+  return { issues, byName };
+}
+
+function activityIssues(rows, individualsByName, activityTypes) {
+  const issues = [];
+  const typeLookup = buildActivityTypeLookup(activityTypes);
+  const byActivity = new Map();
+  // Activity rows naming each facilitator that matches several individuals
+  const sharedNames = new Map();
+  rows.forEach(row => {
+    const typeRaw = collapse(getField(row, ACTIVITY_TYPE_KEYS));
+    const name = collapse(getField(row, ACTIVITY_NAME_KEYS));
+    const facilitators = String(getField(row, FACILITATORS_KEYS) || "").split(";").map(collapse).filter(Boolean);
+    if (!typeLookup.has(normalizeActivityTypeName(typeRaw))) {
+      issues.push({
+        type: DATA_ISSUE.UNRECOGNIZED_TYPE,
+        source: DATA_SOURCE.ACTIVITIES,
+        rows: [sourceRowNumber(row)],
+        subject: name,
+        detail: typeRaw ? `"${typeRaw}" is not in the activity type registry` : "No activity type",
+      });
+    }
+    const typeKey = typeLookup.get(normalizeActivityTypeName(typeRaw)) || normalizeActivityTypeName(typeRaw);
+    const facilitatorKey = facilitators.map(normalizeName).sort().join(";");
+    if (name || facilitatorKey) pushGrouped(byActivity, `${typeKey}|${normalizeName(name)}|${facilitatorKey}`, row);
+    facilitators.forEach(facilitator => {
+      const matches = individualsByName.get(normalizeName(facilitator)) || [];
+      if (matches.length > 1) pushGrouped(sharedNames, normalizeName(facilitator), row);
+    });
+  });
+  byActivity.forEach(group => {
+    if (group.length < 2) return;
+    issues.push({
+      type: DATA_ISSUE.DUPLICATE_ACTIVITY,
+      source: DATA_SOURCE.ACTIVITIES,
+      rows: group.map(sourceRowNumber),
+      subject: collapse(getField(group[0], ACTIVITY_NAME_KEYS)),
+      detail: `Listed ${group.length} times with the same type and facilitators`,
+    });
+  });
+  sharedNames.forEach((activityRows, key) => {
+    const individuals = individualsByName.get(key);
+    const individualRowList = individuals.map(sourceRowNumber).filter(n => n != null).join(", ");
+    issues.push({
+      type: DATA_ISSUE.SHARED_NAME,
+      source: DATA_SOURCE.ACTIVITIES,
+      rows: activityRows.map(sourceRowNumber),
+      subject: personName(individuals[0]),
+      detail: `${individuals.length} individuals share this name${individualRowList ? ` (individuals rows ${individualRowList})` : ""}`,
+    });
+  });
+  return issues;
+}
+
+/**
+ * Data problems worth fixing in the source spreadsheets: individuals with the same name at
+ * different addresses or with no street address or postal code, facilitators whose name
+ * matches several individuals, activities listed more than once and activities whose type
+ * is not in the registry.
+ * Returns [{ type, source, rows, subject, detail }] where rows are source row numbers
+ * (null for rows parsed before row numbers were recorded), ordered by the DATA_ISSUE order.
+ */
+export function findDataIssues({ individualRows = [], activityRows = [], activityTypes = DEFAULT_ACTIVITY_TYPES } = {}) {
+  const { issues, byName } = individualIssues(individualRows || []);
+  const all = [...issues, ...activityIssues(activityRows || [], byName, activityTypes)];
+  const order = Object.values(DATA_ISSUE);
+  return all.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+/**
+ * One export row per affected source row, for fixing the issues in the source database.
+ */
+export function dataIssuesToRows(issues) {
+  return issues.flatMap(issue => issue.rows.map(row => ({
+    Issue: DATA_ISSUE_LABELS[issue.type],
+    File: issue.source,
+    Row: row ?? "",
+    Name: issue.subject,
+    Details: issue.detail,
+  })));
+}
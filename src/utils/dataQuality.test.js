@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { findDataIssues, dataIssuesToRows, DATA_ISSUE, DATA_SOURCE } from './dataQuality.js';
+import { SOURCE_ROW_KEY } from './parsing.js';
+
+const person = (row, first, last, address, extra = {}) => ({
+  'First Name': first,
+  'Last Name': last,
+  Address: address,
+  ...extra,
+  [SOURCE_ROW_KEY]: row,
+});
+const activity = (row, type, name, facilitators) => ({
+  'Activity Type': type,
+  Name: name,
+  Facilitators: facilitators,
+  [SOURCE_ROW_KEY]: row,
+});
+
+describe('findDataIssues', () => {
+  it('flags individuals with the same name at different addresses', () => {
+    const issues = findDataIssues({
+      individualRows: [
+        person(2, 'Alice', 'Smith', '1 Main St'),
+        person(3, ' alice ', 'SMITH', '9 Oak Ave'),
+        person(4, 'Bob', 'Jones', '2 Main St'),
+        person(5, 'Bob', 'Jones', '2  Main St'),
+      ],
+    });
+    expect(issues).toEqual([{
+      type: DATA_ISSUE.DUPLICATE_INDIVIDUAL,
+      source: DATA_SOURCE.INDIVIDUALS,
+      rows: [2, 3],
+      subject: 'Alice Smith',
+      detail: 'Listed at 2 addresses: 1 Main St; 9 Oak Ave',
+    }]);
+  });
+
+  it('flags individuals with no street address or postal code', () => {
+    const issues = findDataIssues({
+      individualRows: [
+        person(2, 'Alice', 'Smith', '', { City: 'Toronto' }),
+        person(3, 'Bob', 'Jones', '', { 'Postal Code': 'M5V 1A1' }),
+      ],
+    });
+    expect(issues.map(i => [i.type, i.rows])).toEqual([[DATA_ISSUE.MISSING_ADDRESS, [2]]]);
+  });
+
+  it('flags facilitators matching several individuals, duplicate activities and unknown types', () => {
+    const issues = findDataIssues({
+      individualRows: [person(2, 'Alice', 'Smith', '1 Main St'), person(3, 'Alice', 'Smith', '9 Oak Ave')],
+      activityRows: [
+        activity(2, 'Devotional', 'Prayers', 'Alice Smith'),
+        activity(3, 'devotional', 'prayers', ' alice smith '),
+        activity(4, 'Picnic', 'Fun', 'Bob Jones'),
+        activity(5, '', 'Mystery', 'Bob Jones'),
+      ],
+    });
+    expect(issues.map(i => [i.type, i.rows])).toEqual([
+      [DATA_ISSUE.DUPLICATE_INDIVIDUAL, [2, 3]],
+      [DATA_ISSUE.SHARED_NAME, [2, 3]],
+      [DATA_ISSUE.DUPLICATE_ACTIVITY, [2, 3]],
+      [DATA_ISSUE.UNRECOGNIZED_TYPE, [4]],
+      [DATA_ISSUE.UNRECOGNIZED_TYPE, [5]],
+    ]);
+    expect(issues[1].detail).toBe('2 individuals share this name (individuals rows 2, 3)');
+    expect(issues[4].detail).toBe('No activity type');
+  });
+
+  it('uses the given activity type registry', () => {
+    const activityTypes = [{ code: 'YG', label: 'Youth Gathering', color: '#000', icon: '', aliases: ['Picnic'] }];
+    const issues = findDataIssues({ activityRows: [activity(2, 'Picnic', 'Fun', 'Bob Jones')], activityTypes });
+    expect(issues).toEqual([]);
+  });
+});
+
+describe('dataIssuesToRows', () => {
+  it('writes one row per affected source row', () => {
+    const rows = dataIssuesToRows([{
+      type: DATA_ISSUE.DUPLICATE_ACTIVITY,
+      source: DATA_SOURCE.ACTIVITIES,
+      rows: [2, null],
+      subject: 'Prayers',
+      detail: 'Listed 2 times with the same type and facilitators',
+    }]);
+    expect(rows).toEqual([
+      { Issue: 'Duplicate activity', File: 'Activities', Row: 2, Name: 'Prayers', Details: 'Listed 2 times with the same type and facilitators' },
+      { Issue: 'Duplicate activity', File: 'Activities', Row: '', Name: 'Prayers', Details: 'Listed 2 times with the same type and facilitators' },
+    ]);
+  });
+});
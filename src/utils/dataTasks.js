@@ -0,0 +1,76 @@
+import { parseFile, readWorkbook, workbookSheets, sheetRows } from "./parseFile";
+import { findIndividualsHeaderRow, findActivitiesHeaderRow, findParticipantsHeaderRow, classifySheets } from "./parsing";
+import { processActivities } from "./activities";
+import { findDataIssues } from "./dataQuality";
+
+const HEADER_FINDERS = {
+  individuals: findIndividualsHeaderRow,
+  activities: findActivitiesHeaderRow,
+  participants: findParticipantsHeaderRow,
+};
+
+/**
+ * The parsing and processing work handed off to the data worker, keyed by task name.
+ * Each task takes (args, { onProgress }) and returns structured-cloneable data (or a Promise of it).
+ * A workbook stays open between openWorkbook and closeWorkbook so its sheets can be picked in between.
+ */
+export function createDataTasks() {
+  const workbooks = new Map();
+  let nextWorkbookId = 1;
+  return {
+    parseFile: ({ file, kind }, { onProgress } = {}) => parseFile(file, HEADER_FINDERS[kind], { onProgress }),
+    openWorkbook: async ({ file }) => {
+      const wb = await readWorkbook(file);
+      const id = nextWorkbookId++;
+      workbooks.set(id, wb);
+      return { id, sheetNames: wb.SheetNames, classification: classifySheets(workbookSheets(wb)) };
+    },
+    sheetRows: ({ id, sheetName, kind }) => sheetRows(workbooks.get(id), sheetName, HEADER_FINDERS[kind]),
+    closeWorkbook: ({ id }) => {
+      workbooks.delete(id);
+    },
+    processActivities: ({ rows, homes, options }) => processActivities(rows, homes, options),
+    findDataIssues: (args) => findDataIssues(args),
+  };
+}
+
+/**
+ * Run data tasks off the main thread in a web worker, or in-thread where workers are
+ * unavailable (tests, very old browsers).
+ * run(task, args, { onProgress }) resolves with the task's result or rejects with its error.
+ */
+export function createDataWorker() {
+  if (typeof Worker === 'undefined') {
+    const tasks = createDataTasks();
+    return {
+      run: async (task, args, { onProgress } = {}) => tasks[task](args, { onProgress }),
+      terminate: () => {},
+    };
+  }
+  const worker = new Worker(new URL('../workers/dataWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if ('progress' in data) {
+      request.onProgress?.(data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if ('error' in data) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+  worker.onerror = (ev) => {
+    pending.forEach(request => request.reject(new Error(ev.message || 'The data worker stopped unexpectedly.')));
+    pending.clear();
+  };
+  return {
+    run: (task, args, { onProgress } = {}) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, task, args });
+    }),
+    terminate: () => worker.terminate(),
+  };
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from '@e965/xlsx';
+import { createDataTasks, createDataWorker } from './dataTasks.js';
+import { SOURCE_ROW_KEY } from './parsing.js';
+import { DATA_ISSUE } from './dataQuality.js';
+
+function workbookFile(sheets, name = 'book.xlsx') {
+  const wb = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  });
+  return new File([new Uint8Array(XLSX.write(wb, { type: 'array', bookType: 'xlsx' }))], name);
+}
+
+describe('createDataTasks', () => {
+  it('streams a CSV file into rows with progress', async () => {
+    const progress = [];
+    const file = new File(['First Name;Last Name\nAlice;Smith\n'], 'people.csv');
+    const rows = await createDataTasks().parseFile(
+      { file, kind: 'individuals' },
+      { onProgress: p => progress.push(p) }
+    );
+    expect(rows).toEqual([{ 'First Name': 'Alice', 'Last Name': 'Smith', [SOURCE_ROW_KEY]: 2 }]);
+    expect(progress.at(-1)).toBe(1);
+  });
+
+  it('keeps a workbook open until it is closed', async () => {
+    const tasks = createDataTasks();
+    const file = workbookFile({
+      People: [['First Name', 'Last Name', 'Address'], ['Alice', 'Smith', '1 Main St']],
+      Activities: [['Activity Type', 'Name', 'Facilitators'], ['Devotional', 'Prayers', 'Alice Smith']],
+    });
+    const { id, sheetNames, classification } = await tasks.openWorkbook({ file });
+    expect(sheetNames).toEqual(['People', 'Activities']);
+    expect(classification).toMatchObject({ individuals: 'People', activities: 'Activities' });
+    expect(tasks.sheetRows({ id, sheetName: 'Activities', kind: 'activities' })).toEqual([
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Alice Smith', [SOURCE_ROW_KEY]: 2 },
+    ]);
+    tasks.closeWorkbook({ id });
+    expect(() => tasks.sheetRows({ id, sheetName: 'People', kind: 'individuals' })).toThrow();
+  });
+});
+
+describe('createDataWorker', () => {
+  it('runs tasks in-thread when web workers are unavailable', async () => {
+    const worker = createDataWorker();
+    const homes = [{ firstName: 'Alice', lastName: 'Smith', lat: 10, lng: 20 }];
+    const rows = [{ 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Alice Smith' }];
+    const { markers } = await worker.run('processActivities', { rows, homes, options: {} });
+    expect(markers).toHaveLength(1);
+    const issues = await worker.run('findDataIssues', { individualRows: [], activityRows: [...rows, ...rows] });
+    expect(issues.map(i => i.type)).toEqual([DATA_ISSUE.DUPLICATE_ACTIVITY]);
+    await expect(worker.run('parseFile', { file: null, kind: 'individuals' })).rejects.toThrow();
+  });
+});
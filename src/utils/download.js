@@ -0,0 +1,21 @@
+/**
+ * Trigger a browser download of text or binary content.
+ */
+export function downloadFile(content, filename, mimeType = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Today's date as YYYY-MM-DD, for download file names.
+ */
+export function dateStamp(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
@@ -0,0 +1,200 @@
+import Papa from "papaparse";
+import * as XLSX from "@e965/xlsx";
+import { HOME_ICON_URL } from "../constants";
+import { getField, NEIGHBORHOOD_KEYS, SOURCE_ROW_KEY, withoutSourceRow } from "./parsing";
+import { activityFacilitatorKey } from "./activities";
+import { DEFAULT_ACTIVITY_TYPES, activityTypesByCode } from "./activityTypes";
+
+// Tinted by the type color in KML styles for activity types without an icon image
+const KML_BLANK_ICON_URL = "https://maps.google.com/mapfiles/kml/paddle/wht-blank.png";
+
+// Fields the app adds to individuals rows when building home markers
+const HOME_INTERNAL_KEYS = new Set([
+  "id", "lat", "lng", "address", "quality", "confidence", "matchType", "lowConfidence",
+  "firstName", "lastName", "rowIndex", SOURCE_ROW_KEY,
+]);
+
+export const GEOCODE_STATUS = {
+  GEOCODED: "geocoded",
+  APPROXIMATE: "approximate",
+  MANUAL: "manual",
+  FAILED: "failed",
+  REMOVED: "removed",
+};
+
+/**
+ * The original spreadsheet columns of a home marker, without the fields the app adds.
+ */
+export function sourceFields(home) {
+  const out = {};
+  Object.keys(home).forEach(k => {
+    if (!HOME_INTERNAL_KEYS.has(k)) out[k] = home[k];
+  });
+  return out;
+}
+
+const homeNeighborhood = (home) => (getField(home, NEIGHBORHOOD_KEYS) || "").trim() || "Other";
+
+function homeProperties(home, neighborhoodOf = homeNeighborhood) {
+  return {
+    ...sourceFields(home),
+    name: `${home.firstName || ""} ${home.lastName || ""}`.trim(),
+    address: home.address || "",
+    neighborhood: neighborhoodOf(home),
+    geocodeQuality: home.quality || "",
+  };
+}
+
+function activityProperties(activity, facilitatorNeighborhood, typesByCode) {
+  return {
+    activityType: activity.activity,
+    activityLabel: typesByCode.get(activity.activity)?.label || activity.activityTypeRaw || "",
+    activityTypeRaw: activity.activityTypeRaw || "",
+    activityName: activity.activityName || "",
+    facilitator: activity.facilitator || "",
+    facilitators: activity.facilitators || "",
+    neighborhood: facilitatorNeighborhood[activityFacilitatorKey(activity)] || "Other",
+  };
+}
+
+const pointFeature = (lat, lng, properties) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [lng, lat] },
+  properties,
+});
+
+/**
+ * GeoJSON FeatureCollection of home markers with their spreadsheet columns. neighborhoodOf
+ * overrides the spreadsheet neighborhood (e.g. with the boundary a home falls in).
+ */
+export function homesToGeoJSON(homes, neighborhoodOf = homeNeighborhood) {
+  return {
+    type: "FeatureCollection",
+    features: homes.map(h => pointFeature(h.lat, h.lng, homeProperties(h, neighborhoodOf))),
+  };
+}
+
+/**
+ * GeoJSON FeatureCollection of activity markers. facilitatorNeighborhood maps a
+ * normalized facilitator name to their home neighborhood; labels come from activityTypes.
+ */
+export function activitiesToGeoJSON(activities, facilitatorNeighborhood = {}, activityTypes = DEFAULT_ACTIVITY_TYPES) {
+  const typesByCode = activityTypesByCode(activityTypes);
+  return {
+    type: "FeatureCollection",
+    features: activities.map(a => pointFeature(a.lat, a.lng, activityProperties(a, facilitatorNeighborhood, typesByCode))),
+  };
+}
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function kmlPlacemark(name, styleId, lat, lng, properties) {
+  const data = Object.entries(properties)
+    .map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`)
+    .join("");
+  return `<Placemark><name>${escapeXml(name)}</name><styleUrl>#${styleId}</styleUrl>`
+    + `<ExtendedData>${data}</ExtendedData>`
+    + `<Point><coordinates>${lng},${lat},0</coordinates></Point></Placemark>`;
+}
+
+// KML colors are aabbggrr
+const kmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`.toLowerCase();
+
+function kmlIconStyle(id, href, color) {
+  const tint = color ? `<color>${kmlColor(color)}</color>` : "";
+  return `<Style id="${id}"><IconStyle>${tint}<Icon><href>${escapeXml(href)}</href></Icon></IconStyle></Style>`;
+}
+
+function kmlActivityStyle(code, type) {
+  if (type?.icon) return kmlIconStyle(`activity-${code}`, type.icon);
+  return kmlIconStyle(`activity-${code}`, KML_BLANK_ICON_URL, type?.color || "#6B7280");
+}
+
+/**
+ * KML document with "Homes" and "Activities" folders (imported as separate layers by
+ * Google My Maps and QGIS), styled with the app's marker icons.
+ */
+export function toKml({
+  homes = [],
+  activities = [],
+  facilitatorNeighborhood = {},
+  neighborhoodOf = homeNeighborhood,
+  activityTypes = DEFAULT_ACTIVITY_TYPES,
+  name = "Activity Mapper",
+}) {
+  const typesByCode = activityTypesByCode(activityTypes);
+  const activityCodes = Array.from(new Set(activities.map(a => a.activity)));
+  const styles = [
+    kmlIconStyle("home", HOME_ICON_URL),
+    ...activityCodes.map(code => kmlActivityStyle(code, typesByCode.get(code))),
+  ].join("");
+  const homePlacemarks = homes.map(h => {
+    const props = homeProperties(h, neighborhoodOf);
+    return kmlPlacemark(props.name || props.address, "home", h.lat, h.lng, props);
+  }).join("");
+  const activityPlacemarks = activities.map(a => {
+    const props = activityProperties(a, facilitatorNeighborhood, typesByCode);
+    return kmlPlacemark(props.activityName || props.activityLabel, `activity-${a.activity}`, a.lat, a.lng, props);
+  }).join("");
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+    + `<name>${escapeXml(name)}</name>${styles}`
+    + `<Folder><name>Homes</name>${homePlacemarks}</Folder>`
+    + `<Folder><name>Activities</name>${activityPlacemarks}</Folder>`
+    + "</Document></kml>";
+}
+
+/**
+ * The original individuals rows, in order, with Latitude, Longitude, Geocode Status,
+ * Geocode Quality and Geocode Note columns appended. Rows are matched to homes and
+ * failures by rowIndex; rows with neither were removed from the map.
+ */
+export function buildEnrichedRows(individualRows, homes, failedGeocodes = []) {
+  const homeByRow = new Map(homes.filter(h => h.rowIndex != null).map(h => [h.rowIndex, h]));
+  const failedByRow = new Map(failedGeocodes.map(f => [f.index, f]));
+  return individualRows.map((row, idx) => {
+    const home = homeByRow.get(idx);
+    if (home) {
+      let status = GEOCODE_STATUS.GEOCODED;
+      if (home.quality === "manual") status = GEOCODE_STATUS.MANUAL;
+      else if (home.lowConfidence) status = GEOCODE_STATUS.APPROXIMATE;
+      return {
+        ...withoutSourceRow(row),
+        Latitude: home.lat,
+        Longitude: home.lng,
+        "Geocode Status": status,
+        "Geocode Quality": home.quality || "",
+        "Geocode Note": "",
+      };
+    }
+    const failed = failedByRow.get(idx);
+    return {
+      ...withoutSourceRow(row),
+      Latitude: "",
+      Longitude: "",
+      "Geocode Status": failed ? GEOCODE_STATUS.FAILED : GEOCODE_STATUS.REMOVED,
+      "Geocode Quality": "",
+      "Geocode Note": failed ? failed.reason || "" : "Removed from the map",
+    };
+  });
+}
+
+export function rowsToCsv(rows) {
+  return Papa.unparse(rows);
+}
+
+/**
+ * Single-sheet XLSX workbook as a byte array.
+ */
+export function rowsToXlsx(rows, sheetName = "Sheet1") {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), sheetName);
+  return new Uint8Array(XLSX.write(wb, { type: "array", bookType: "xlsx" }));
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from '@e965/xlsx';
+import {
+  sourceFields,
+  homesToGeoJSON,
+  activitiesToGeoJSON,
+  toKml,
+  escapeXml,
+  buildEnrichedRows,
+  rowsToCsv,
+  rowsToXlsx,
+  GEOCODE_STATUS,
+} from './exporters.js';
+
+const row0 = { 'First Name': 'Alice', 'Last Name': 'Smith', Neighbourhood: 'Downtown', Address: '1 Main St' };
+const row1 = { 'First Name': 'Bob', 'Last Name': 'Jones', Neighbourhood: '', Address: 'Nowhere' };
+const row2 = { 'First Name': 'Carol', 'Last Name': 'King', Neighbourhood: '', Address: '3 Main St' };
+const home = {
+  ...row0,
+  id: 'home-1',
+  lat: 43.6,
+  lng: -79.4,
+  address: '1 Main St, Downtown',
+  quality: 'rooftop',
+  lowConfidence: false,
+  firstName: 'Alice',
+  lastName: 'Smith',
+  rowIndex: 0,
+};
+const activity = {
+  id: 'act-1',
+  lat: 43.6005,
+  lng: -79.4,
+  activity: 'CC',
+  activityTypeRaw: "Children's Class",
+  activityName: 'Class A, Grade 1',
+  facilitator: 'Alice Smith',
+  facilitators: 'Alice Smith; Bob Jones',
+};
+
+describe('sourceFields', () => {
+  it('drops fields added by the app', () => {
+    expect(sourceFields(home)).toEqual(row0);
+  });
+});
+
+describe('homesToGeoJSON', () => {
+  it('builds point features with lng/lat order and properties', () => {
+    const fc = homesToGeoJSON([home]);
+    expect(fc.type).toBe('FeatureCollection');
+    expect(fc.features[0].geometry).toEqual({ type: 'Point', coordinates: [-79.4, 43.6] });
+    expect(fc.features[0].properties).toMatchObject({
+      name: 'Alice Smith',
+      neighborhood: 'Downtown',
+      geocodeQuality: 'rooftop',
+      'First Name': 'Alice',
+    });
+    expect(fc.features[0].properties.id).toBeUndefined();
+  });
+
+  it('uses the given neighborhood function', () => {
+    const fc = homesToGeoJSON([home], () => 'East End');
+    expect(fc.features[0].properties.neighborhood).toBe('East End');
+  });
+});
+
+describe('activitiesToGeoJSON', () => {
+  it('includes type, facilitators and facilitator neighborhood', () => {
+    const fc = activitiesToGeoJSON([activity], { 'alice smith': 'Downtown' });
+    expect(fc.features[0].properties).toEqual({
+      activityType: 'CC',
+      activityLabel: "Children's Class",
+      activityTypeRaw: "Children's Class",
+      activityName: 'Class A, Grade 1',
+      facilitator: 'Alice Smith',
+      facilitators: 'Alice Smith; Bob Jones',
+      neighborhood: 'Downtown',
+    });
+  });
+
+  it('falls back to Other when the facilitator neighborhood is unknown', () => {
+    expect(activitiesToGeoJSON([activity]).features[0].properties.neighborhood).toBe('Other');
+  });
+});
+
+describe('toKml', () => {
+  it('puts homes and activities in separate folders', () => {
+    const kml = toKml({ homes: [home], activities: [activity] });
+    expect(kml).toContain('<Folder><name>Homes</name><Placemark><name>Alice Smith</name>');
+    expect(kml).toContain('<Folder><name>Activities</name><Placemark><name>Class A, Grade 1</name><styleUrl>#activity-CC</styleUrl>');
+    expect(kml).toContain('<coordinates>-79.4,43.6,0</coordinates>');
+    expect(kml).toContain('<Style id="activity-CC">');
+  });
+
+  it('tints a generic icon for activity types without an icon image', () => {
+    const kml = toKml({
+      activities: [{ ...activity, activity: 'YG' }],
+      activityTypes: [{ code: 'YG', label: 'Youth Gathering', color: '#FF9800', icon: '', aliases: [] }],
+    });
+    expect(kml).toContain('<Style id="activity-YG"><IconStyle><color>ff0098ff</color>');
+    expect(kml).toContain('<Data name="activityLabel"><value>Youth Gathering</value></Data>');
+  });
+
+  it('escapes XML special characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  });
+});
+
+describe('buildEnrichedRows', () => {
+  it('appends coordinates and status to every source row in order', () => {
+    const failed = [{ index: 1, reason: 'No match found' }];
+    const rows = buildEnrichedRows([row0, row1, row2], [home], failed);
+    expect(rows[0]).toEqual({
+      ...row0,
+      Latitude: 43.6,
+      Longitude: -79.4,
+      'Geocode Status': GEOCODE_STATUS.GEOCODED,
+      'Geocode Quality': 'rooftop',
+      'Geocode Note': '',
+    });
+    expect(rows[1]['Geocode Status']).toBe(GEOCODE_STATUS.FAILED);
+    expect(rows[1]['Geocode Note']).toBe('No match found');
+    expect(rows[2]['Geocode Status']).toBe(GEOCODE_STATUS.REMOVED);
+  });
+
+  it('leaves out the source row number', () => {
+    const rows = buildEnrichedRows([{ ...row1, __sourceRow: 3 }], []);
+    expect(rows[0]).not.toHaveProperty('__sourceRow');
+  });
+
+  it('marks approximate and manual locations', () => {
+    const rows = buildEnrichedRows(
+      [row0, row2],
+      [
+        { ...home, quality: 'postal', lowConfidence: true },
+        { ...home, rowIndex: 1, quality: 'manual' },
+      ]
+    );
+    expect(rows.map(r => r['Geocode Status'])).toEqual([GEOCODE_STATUS.APPROXIMATE, GEOCODE_STATUS.MANUAL]);
+  });
+});
+
+describe('rowsToCsv / rowsToXlsx', () => {
+  const rows = [{ Name: 'Alice', Latitude: 1 }, { Name: 'Bob, Jr.', Latitude: 2 }];
+
+  it('writes CSV with a header row and quoting', () => {
+    expect(rowsToCsv(rows)).toBe('Name,Latitude\r\nAlice,1\r\n"Bob, Jr.",2');
+  });
+
+  it('writes an XLSX workbook that reads back', () => {
+    const wb = XLSX.read(rowsToXlsx(rows), { type: 'array' });
+    expect(XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]])).toEqual(rows);
+  });
+});
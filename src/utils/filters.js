@@ -0,0 +1,155 @@
+import { getField, LOCALITY_KEYS, REGION_KEYS } from "./parsing";
+import { normalizeName, activityFacilitatorKeys } from "./activities";
+import { emptyTypeCounts } from "./activityTypes";
+
+// Which homes to show by whether the individual facilitates any shown activity
+export const HOME_ACTIVITY_FILTER = {
+  ALL: "all",
+  WITH: "with",
+  WITHOUT: "without",
+};
+
+// Locality/region of homes that leave the column blank
+export const UNKNOWN_PLACE = "Unknown";
+
+/**
+ * Map filters on top of the neighborhood selection. hiddenTypes lists activity codes toggled off
+ * in the legend; localities and regions are null when every value is shown.
+ */
+export const DEFAULT_FILTERS = {
+  hiddenTypes: [],
+  homeActivity: HOME_ACTIVITY_FILTER.ALL,
+  facilitator: "",
+  localities: null,
+  regions: null,
+};
+
+export const homeKey = (home) => normalizeName(`${home.firstName || ""} ${home.lastName || ""}`);
+export const localityOf = (home) => String(getField(home, LOCALITY_KEYS) || "").trim() || UNKNOWN_PLACE;
+export const regionOf = (home) => String(getField(home, REGION_KEYS) || "").trim() || UNKNOWN_PLACE;
+
+/**
+ * Sorted unique values of placeOf over the homes, with UNKNOWN_PLACE last.
+ */
+export function collectPlaces(homes, placeOf) {
+  const values = new Set(homes.map(placeOf));
+  const known = Array.from(values).filter(v => v !== UNKNOWN_PLACE).sort((a, b) => a.localeCompare(b));
+  return values.has(UNKNOWN_PLACE) ? [...known, UNKNOWN_PLACE] : known;
+}
+
+export const isFiltering = (filters) =>
+  filters.hiddenTypes.length > 0
+  || filters.homeActivity !== HOME_ACTIVITY_FILTER.ALL
+  || filters.facilitator.trim() !== ""
+  || filters.localities !== null
+  || filters.regions !== null;
+
+const inPlaces = (places, value) => places === null || places.includes(value);
+
+// Listed facilitator names plus the names of the individuals they were matched to
+const facilitatorNames = (activity) => [
+  ...String(activity.facilitators || activity.facilitator || "").split(";"),
+  ...(activity.facilitatorHomes || []).map(f => f.key),
+].map(normalizeName).filter(Boolean);
+
+/**
+ * Keys of the individuals who facilitate at least one activity of a shown type.
+ */
+export function activeFacilitatorKeys(activities, hiddenTypes = []) {
+  const keys = new Set();
+  activities
+    .filter(a => !hiddenTypes.includes(a.activity))
+    .forEach(a => (a.facilitatorHomes || []).forEach(f => keys.add(f.key)));
+  return keys;
+}
+
+/**
+ * Whether an activity passes the filters. Locality and region come from its facilitators'
+ * homes (homesByKey: Map of homeKey to home), as neighborhoods do; any one facilitator passing
+ * is enough. ignoreTypes skips the legend toggles, for counting hidden types.
+ */
+export function activityMatchesFilters(activity, filters, homesByKey, { ignoreTypes = false } = {}) {
+  if (!ignoreTypes && filters.hiddenTypes.includes(activity.activity)) return false;
+  const query = normalizeName(filters.facilitator);
+  if (query && !facilitatorNames(activity).some(name => name.includes(query))) return false;
+  if (filters.localities === null && filters.regions === null) return true;
+  return activityFacilitatorKeys(activity).some(key => {
+    const home = homesByKey.get(key);
+    return inPlaces(filters.localities, home ? localityOf(home) : UNKNOWN_PLACE)
+      && inPlaces(filters.regions, home ? regionOf(home) : UNKNOWN_PLACE);
+  });
+}
+
+/**
+ * Whether a home passes the filters. The facilitator search keeps the homes of matching names;
+ * the activity filter uses the keys from activeFacilitatorKeys.
+ */
+export function homeMatchesFilters(home, filters, facilitatorKeys) {
+  if (!inPlaces(filters.localities, localityOf(home)) || !inPlaces(filters.regions, regionOf(home))) return false;
+  const query = normalizeName(filters.facilitator);
+  if (query && !homeKey(home).includes(query)) return false;
+  if (filters.homeActivity === HOME_ACTIVITY_FILTER.WITH) return facilitatorKeys.has(homeKey(home));
+  if (filters.homeActivity === HOME_ACTIVITY_FILTER.WITHOUT) return !facilitatorKeys.has(homeKey(home));
+  return true;
+}
+
+/**
+ * Unique activities (name + type + facilitators) per activity code, as processActivities counts them.
+ */
+export function countActivitiesByType(activities, activityTypes) {
+  const counts = emptyTypeCounts(activityTypes);
+  const seen = new Set();
+  activities.forEach(a => {
+    const key = `${a.activityName}|${a.activity}|${a.facilitators}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    counts[a.activity] = (counts[a.activity] || 0) + 1;
+  });
+  return counts;
+}
+
+// A selection of no values is written as one empty parameter, to tell it apart from "all"
+const setList = (params, name, values) => {
+  if (values === null || values === undefined) return;
+  if (!values.length) params.append(name, "");
+  else values.forEach(v => params.append(name, v));
+};
+const getList = (params, name) => {
+  if (!params.has(name)) return null;
+  return params.getAll(name).filter(Boolean);
+};
+
+/**
+ * Query string for the filters and neighborhood selection (null = all), leaving defaults out.
+ */
+export function filtersToSearch(filters, neighborhoods) {
+  const params = new URLSearchParams();
+  // One parameter per type, since a custom type's code may contain a comma
+  if (filters.hiddenTypes.length) setList(params, "hide", filters.hiddenTypes);
+  if (filters.homeActivity !== HOME_ACTIVITY_FILTER.ALL) params.set("homes", filters.homeActivity);
+  if (filters.facilitator.trim()) params.set("facilitator", filters.facilitator.trim());
+  setList(params, "locality", filters.localities);
+  setList(params, "region", filters.regions);
+  setList(params, "neighborhood", neighborhoods);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * Filters and neighborhood selection from a query string. neighborhoods is undefined when the
+ * URL does not mention them, so a restored session's selection can stand.
+ */
+export function parseFilterSearch(search) {
+  const params = new URLSearchParams(search);
+  const homes = params.get("homes");
+  return {
+    filters: {
+      hiddenTypes: getList(params, "hide") || [],
+      homeActivity: Object.values(HOME_ACTIVITY_FILTER).includes(homes) ? homes : HOME_ACTIVITY_FILTER.ALL,
+      facilitator: params.get("facilitator") || "",
+      localities: getList(params, "locality"),
+      regions: getList(params, "region"),
+    },
+    neighborhoods: params.has("neighborhood") ? getList(params, "neighborhood") : undefined,
+  };
+}
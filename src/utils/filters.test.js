@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FILTERS,
+  HOME_ACTIVITY_FILTER,
+  UNKNOWN_PLACE,
+  homeKey,
+  collectPlaces,
+  localityOf,
+  isFiltering,
+  activeFacilitatorKeys,
+  activityMatchesFilters,
+  homeMatchesFilters,
+  countActivitiesByType,
+  filtersToSearch,
+  parseFilterSearch,
+} from './filters.js';
+import { DEFAULT_ACTIVITY_TYPES } from './activityTypes.js';
+
+const alice = { firstName: 'Alice', lastName: 'Smith', City: 'Toronto', Province: 'ON' };
+const bob = { firstName: 'Bob', lastName: 'Jones', City: 'Ottawa', Province: 'ON' };
+const carol = { firstName: 'Carol', lastName: 'King' };
+const homesByKey = new Map([alice, bob, carol].map(h => [homeKey(h), h]));
+const facilitatedBy = (...homes) => homes.map(h => ({ key: homeKey(h), name: `${h.firstName} ${h.lastName}` }));
+
+const classA = { activity: 'CC', activityName: 'Class A', facilitators: 'Alice Smith', facilitatorHomes: facilitatedBy(alice) };
+const prayers = { activity: 'DM', activityName: 'Prayers', facilitators: 'Bob Jones; Ali Smith', facilitatorHomes: facilitatedBy(bob) };
+const filters = (changes) => ({ ...DEFAULT_FILTERS, ...changes });
+
+describe('collectPlaces', () => {
+  it('sorts values with the unknown place last', () => {
+    expect(collectPlaces([carol, bob, alice], localityOf)).toEqual(['Ottawa', 'Toronto', UNKNOWN_PLACE]);
+  });
+});
+
+describe('activityMatchesFilters', () => {
+  it('hides toggled-off types unless asked to ignore them', () => {
+    const f = filters({ hiddenTypes: ['CC'] });
+    expect(activityMatchesFilters(classA, f, homesByKey)).toBe(false);
+    expect(activityMatchesFilters(classA, f, homesByKey, { ignoreTypes: true })).toBe(true);
+  });
+
+  it('searches listed and matched facilitator names', () => {
+    expect(activityMatchesFilters(prayers, filters({ facilitator: ' ali ' }), homesByKey)).toBe(true);
+    expect(activityMatchesFilters(classA, filters({ facilitator: 'bob' }), homesByKey)).toBe(false);
+  });
+
+  it('uses the locality and region of the facilitators’ homes', () => {
+    expect(activityMatchesFilters(classA, filters({ localities: ['Toronto'] }), homesByKey)).toBe(true);
+    expect(activityMatchesFilters(prayers, filters({ localities: ['Toronto'] }), homesByKey)).toBe(false);
+    expect(activityMatchesFilters(prayers, filters({ regions: ['ON'], localities: ['Ottawa'] }), homesByKey)).toBe(true);
+  });
+});
+
+describe('homeMatchesFilters', () => {
+  const keys = activeFacilitatorKeys([classA, prayers], ['DM']);
+
+  it('splits homes by whether they facilitate a shown activity', () => {
+    expect(Array.from(keys)).toEqual(['alice smith']);
+    const withActivities = filters({ homeActivity: HOME_ACTIVITY_FILTER.WITH });
+    const without = filters({ homeActivity: HOME_ACTIVITY_FILTER.WITHOUT });
+    expect([alice, bob, carol].filter(h => homeMatchesFilters(h, withActivities, keys))).toEqual([alice]);
+    expect([alice, bob, carol].filter(h => homeMatchesFilters(h, without, keys))).toEqual([bob, carol]);
+  });
+
+  it('combines place and name filters', () => {
+    expect(homeMatchesFilters(carol, filters({ localities: [UNKNOWN_PLACE] }), keys)).toBe(true);
+    expect(homeMatchesFilters(alice, filters({ regions: ['ON'], facilitator: 'smith' }), keys)).toBe(true);
+    expect(homeMatchesFilters(bob, filters({ regions: ['ON'], facilitator: 'smith' }), keys)).toBe(false);
+  });
+});
+
+describe('countActivitiesByType', () => {
+  it('counts unique activities per type', () => {
+    expect(countActivitiesByType([classA, { ...classA }, prayers], DEFAULT_ACTIVITY_TYPES))
+      .toEqual({ CC: 1, DM: 1, JY: 0, SC: 0 });
+  });
+});
+
+describe('filtersToSearch / parseFilterSearch', () => {
+  it('leaves defaults out of the URL', () => {
+    expect(filtersToSearch(DEFAULT_FILTERS, null)).toBe('');
+    expect(isFiltering(DEFAULT_FILTERS)).toBe(false);
+    expect(parseFilterSearch('')).toEqual({ filters: DEFAULT_FILTERS, neighborhoods: undefined });
+  });
+
+  it('round-trips every filter, including empty selections', () => {
+    const f = filters({
+      hiddenTypes: ['CC', 'Youth, junior'],
+      homeActivity: HOME_ACTIVITY_FILTER.WITHOUT,
+      facilitator: 'Alice',
+      localities: ['Toronto', 'North York'],
+      regions: [],
+    });
+    const search = filtersToSearch(f, ['Downtown']);
+    expect(search).toBe('?hide=CC&hide=Youth%2C+junior&homes=without&facilitator=Alice&locality=Toronto&locality=North+York&region=&neighborhood=Downtown');
+    expect(parseFilterSearch(search)).toEqual({ filters: f, neighborhoods: ['Downtown'] });
+    expect(isFiltering(f)).toBe(true);
+  });
+
+  it('ignores unknown values', () => {
+    expect(parseFilterSearch('?homes=some').filters.homeActivity).toBe(HOME_ACTIVITY_FILTER.ALL);
+  });
+});
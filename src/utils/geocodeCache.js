@@ -0,0 +1,60 @@
+import { GEOCODE_CACHE_DB_NAME, GEOCODE_CACHE_TTL_MS } from "../constants";
+import { createIndexedDbStore, createMemoryStore } from "./storage";
+
+const STORE_NAME = "geocodes";
+
+/**
+ * Normalize an assembled address query so trivial differences (case, spacing,
+ * comma spacing) map to the same cache entry.
+ */
+export function normalizeGeocodeQuery(query) {
+  return String(query ?? "")
+    .normalize("NFC")
+    .trim()
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * True when a cache entry exists and was stored less than ttlMs ago.
+ */
+export function isCacheEntryFresh(entry, now = Date.now(), ttlMs = GEOCODE_CACHE_TTL_MS) {
+  if (!entry || typeof entry.storedAt !== "number" || !entry.result) return false;
+  return now - entry.storedAt < ttlMs;
+}
+
+/**
+ * Persistent geocode cache keyed by normalized address query.
+ * Expired entries are treated as misses and removed on read. Storage errors are
+ * swallowed so a broken cache never blocks geocoding.
+ */
+export function createGeocodeCache({
+  store = typeof indexedDB !== "undefined" ? createIndexedDbStore(GEOCODE_CACHE_DB_NAME, STORE_NAME) : createMemoryStore(),
+  ttlMs = GEOCODE_CACHE_TTL_MS,
+  now = () => Date.now(),
+} = {}) {
+  return {
+    async get(query) {
+      const key = normalizeGeocodeQuery(query);
+      try {
+        const entry = await store.get(key);
+        if (isCacheEntryFresh(entry, now(), ttlMs)) return entry.result;
+        if (entry) await store.delete(key);
+      } catch (err) {
+        console.warn("Geocode cache read failed", err);
+      }
+      return null;
+    },
+    async set(query, result) {
+      try {
+        await store.set(normalizeGeocodeQuery(query), { result, storedAt: now() });
+      } catch (err) {
+        console.warn("Geocode cache write failed", err);
+      }
+    },
+    async clear() {
+      await store.clear();
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeGeocodeQuery,
+  isCacheEntryFresh,
+  createGeocodeCache,
+} from './geocodeCache.js';
+import { createMemoryStore } from './storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('normalizeGeocodeQuery', () => {
+  it('lowercases, trims and collapses whitespace', () => {
+    expect(normalizeGeocodeQuery('  123 Main St ,  Toronto  ')).toBe('123 main st, toronto');
+  });
+
+  it('maps equivalent queries to the same key', () => {
+    expect(normalizeGeocodeQuery('123 Main St,Toronto,ON'))
+      .toBe(normalizeGeocodeQuery('123 MAIN ST, Toronto, ON'));
+  });
+
+  it('handles null and undefined', () => {
+    expect(normalizeGeocodeQuery(null)).toBe('');
+    expect(normalizeGeocodeQuery(undefined)).toBe('');
+  });
+});
+
+describe('isCacheEntryFresh', () => {
+  const result = { lat: 1, lng: 2, address: 'x' };
+
+  it('is fresh within the TTL', () => {
+    expect(isCacheEntryFresh({ result, storedAt: 1000 }, 1000 + DAY, 2 * DAY)).toBe(true);
+  });
+
+  it('is stale once the TTL has elapsed', () => {
+    expect(isCacheEntryFresh({ result, storedAt: 1000 }, 1000 + 2 * DAY, 2 * DAY)).toBe(false);
+  });
+
+  it('rejects missing or malformed entries', () => {
+    expect(isCacheEntryFresh(undefined)).toBe(false);
+    expect(isCacheEntryFresh({ result })).toBe(false);
+    expect(isCacheEntryFresh({ storedAt: 0 })).toBe(false);
+  });
+});
+
+describe('createGeocodeCache', () => {
+  const result = { lat: 43.6, lng: -79.4, address: '123 Main St, Toronto' };
+
+  it('returns null on a miss and the stored result on a hit', async () => {
+    const cache = createGeocodeCache({ store: createMemoryStore() });
+    expect(await cache.get('123 Main St, Toronto')).toBeNull();
+    await cache.set('123 Main St, Toronto', result);
+    expect(await cache.get('123 main st,toronto')).toEqual(result);
+  });
+
+  it('expires entries older than the TTL and removes them', async () => {
+    let now = 0;
+    const store = createMemoryStore();
+    const cache = createGeocodeCache({ store, ttlMs: DAY, now: () => now });
+    await cache.set('a', result);
+    now = DAY + 1;
+    expect(await cache.get('a')).toBeNull();
+    expect(await store.get('a')).toBeUndefined();
+  });
+
+  it('clears all entries', async () => {
+    const cache = createGeocodeCache({ store: createMemoryStore() });
+    await cache.set('a', result);
+    await cache.clear();
+    expect(await cache.get('a')).toBeNull();
+  });
+
+  it('treats storage errors as misses', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = createMemoryStore();
+    store.get = async () => { throw new Error('boom'); };
+    const cache = createGeocodeCache({ store });
+    expect(await cache.get('a')).toBeNull();
+    warn.mockRestore();
+  });
+});
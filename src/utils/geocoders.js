@@ -0,0 +1,323 @@
+import { LOW_CONFIDENCE_THRESHOLD } from "../constants";
+import { normalizeGeocodeQuery } from "./geocodeCache";
+import { parseRetryAfter } from "./retry";
+
+/**
+ * Match precision reported by every provider, from most to least precise.
+ * Providers map their own result types onto these levels.
+ */
+export const GEOCODE_QUALITY = {
+  ROOFTOP: "rooftop",
+  STREET: "street",
+  NEIGHBORHOOD: "neighborhood",
+  POSTAL: "postal",
+  LOCALITY: "locality",
+  REGION: "region",
+  COUNTRY: "country",
+  UNKNOWN: "unknown",
+  // Pin placed by hand on the map rather than by a provider
+  MANUAL: "manual",
+};
+
+// Match levels precise enough to place a home on the right street
+const PRECISE_QUALITIES = new Set([GEOCODE_QUALITY.ROOFTOP, GEOCODE_QUALITY.STREET, GEOCODE_QUALITY.MANUAL]);
+
+const MAPBOX_CONFIDENCE = { exact: 1, high: 0.9, medium: 0.6, low: 0.3 };
+
+const MAPBOX_FEATURE_QUALITY = {
+  address: GEOCODE_QUALITY.ROOFTOP,
+  secondary_address: GEOCODE_QUALITY.ROOFTOP,
+  street: GEOCODE_QUALITY.STREET,
+  block: GEOCODE_QUALITY.STREET,
+  neighborhood: GEOCODE_QUALITY.NEIGHBORHOOD,
+  postcode: GEOCODE_QUALITY.POSTAL,
+  locality: GEOCODE_QUALITY.LOCALITY,
+  place: GEOCODE_QUALITY.LOCALITY,
+  district: GEOCODE_QUALITY.REGION,
+  region: GEOCODE_QUALITY.REGION,
+  country: GEOCODE_QUALITY.COUNTRY,
+};
+
+const GOOGLE_LOCATION_TYPE_QUALITY = {
+  ROOFTOP: GEOCODE_QUALITY.ROOFTOP,
+  RANGE_INTERPOLATED: GEOCODE_QUALITY.STREET,
+};
+
+const GOOGLE_TYPE_QUALITY = [
+  ["route", GEOCODE_QUALITY.STREET],
+  ["neighborhood", GEOCODE_QUALITY.NEIGHBORHOOD],
+  ["sublocality", GEOCODE_QUALITY.NEIGHBORHOOD],
+  ["postal_code", GEOCODE_QUALITY.POSTAL],
+  ["locality", GEOCODE_QUALITY.LOCALITY],
+  ["administrative_area_level_2", GEOCODE_QUALITY.REGION],
+  ["administrative_area_level_1", GEOCODE_QUALITY.REGION],
+  ["country", GEOCODE_QUALITY.COUNTRY],
+];
+
+const NOMINATIM_TYPE_QUALITY = {
+  house: GEOCODE_QUALITY.ROOFTOP,
+  building: GEOCODE_QUALITY.ROOFTOP,
+  road: GEOCODE_QUALITY.STREET,
+  neighbourhood: GEOCODE_QUALITY.NEIGHBORHOOD,
+  suburb: GEOCODE_QUALITY.NEIGHBORHOOD,
+  quarter: GEOCODE_QUALITY.NEIGHBORHOOD,
+  postcode: GEOCODE_QUALITY.POSTAL,
+  village: GEOCODE_QUALITY.LOCALITY,
+  town: GEOCODE_QUALITY.LOCALITY,
+  city: GEOCODE_QUALITY.LOCALITY,
+  municipality: GEOCODE_QUALITY.LOCALITY,
+  county: GEOCODE_QUALITY.REGION,
+  state: GEOCODE_QUALITY.REGION,
+  country: GEOCODE_QUALITY.COUNTRY,
+};
+
+const PELIAS_LAYER_QUALITY = {
+  venue: GEOCODE_QUALITY.ROOFTOP,
+  address: GEOCODE_QUALITY.ROOFTOP,
+  street: GEOCODE_QUALITY.STREET,
+  neighbourhood: GEOCODE_QUALITY.NEIGHBORHOOD,
+  borough: GEOCODE_QUALITY.NEIGHBORHOOD,
+  postalcode: GEOCODE_QUALITY.POSTAL,
+  locality: GEOCODE_QUALITY.LOCALITY,
+  localadmin: GEOCODE_QUALITY.LOCALITY,
+  county: GEOCODE_QUALITY.REGION,
+  region: GEOCODE_QUALITY.REGION,
+  country: GEOCODE_QUALITY.COUNTRY,
+};
+
+/**
+ * A geocoder request that failed, as opposed to one that found no match (null result).
+ * `transient` errors (rate limits, 5xx, network) are worth retrying; `retryAfterMs`
+ * carries the server's Retry-After hint when present.
+ */
+export class GeocodeRequestError extends Error {
+  constructor(message, { status = null, transient = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "GeocodeRequestError";
+    this.status = status;
+    this.transient = transient;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Build a GeocodeRequestError for a non-OK HTTP response.
+ */
+export function httpGeocodeError(status, retryAfterHeader = null) {
+  if (status === 429) {
+    return new GeocodeRequestError(`Rate limited by geocoder (HTTP ${status})`, {
+      status, transient: true, retryAfterMs: parseRetryAfter(retryAfterHeader),
+    });
+  }
+  if (status >= 500) {
+    return new GeocodeRequestError(`Geocoder unavailable (HTTP ${status})`, {
+      status, transient: true, retryAfterMs: parseRetryAfter(retryAfterHeader),
+    });
+  }
+  return new GeocodeRequestError(`Geocoder rejected the request (HTTP ${status})`, { status });
+}
+
+async function fetchJson(url, { signal, headers } = {}) {
+  let res;
+  try {
+    res = await fetch(url, { signal, headers });
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new GeocodeRequestError("Network error while contacting the geocoder", { transient: true });
+  }
+  if (!res.ok) throw httpGeocodeError(res.status, res.headers?.get("Retry-After"));
+  return res.json();
+}
+
+/**
+ * Mapbox Geocoding API v6 (forward search).
+ */
+export function createMapboxGeocoder({ accessToken }) {
+  return {
+    name: "mapbox",
+    async geocode(query, { signal } = {}) {
+      const url = `https://api.mapbox.com/search/geocode/v6/forward?q=${encodeURIComponent(query)}&proximity=ip&access_token=${accessToken}`;
+      const data = await fetchJson(url, { signal });
+      const feature = data?.features?.[0];
+      if (!feature) return null;
+      const [lng, lat] = feature.geometry.coordinates;
+      const type = feature.properties?.feature_type;
+      return {
+        lat,
+        lng,
+        address: query,
+        quality: MAPBOX_FEATURE_QUALITY[type] || GEOCODE_QUALITY.UNKNOWN,
+        confidence: MAPBOX_CONFIDENCE[feature.properties?.match_code?.confidence] ?? null,
+        matchType: type || null,
+      };
+    },
+  };
+}
+
+/**
+ * Google Maps JS API Geocoder. Requires the Maps JS API to be loaded (useJsApiLoader).
+ */
+export function createGoogleGeocoder() {
+  let geocoder = null;
+  return {
+    name: "google",
+    geocode(query) {
+      if (!geocoder) geocoder = new window.google.maps.Geocoder();
+      return new Promise((resolve, reject) => {
+        geocoder.geocode({ address: query }, (results, status) => {
+          if (status === "OVER_QUERY_LIMIT" || status === "UNKNOWN_ERROR") {
+            return reject(new GeocodeRequestError(`Google geocoder error: ${status}`, { transient: true }));
+          }
+          if (status === "REQUEST_DENIED" || status === "INVALID_REQUEST") {
+            return reject(new GeocodeRequestError(`Google geocoder error: ${status}`));
+          }
+          const result = status === "OK" && results?.[0];
+          if (!result) return resolve(null);
+          const location = result.geometry.location;
+          const byType = GOOGLE_TYPE_QUALITY.find(([t]) => (result.types || []).includes(t));
+          const quality = GOOGLE_LOCATION_TYPE_QUALITY[result.geometry.location_type]
+            || byType?.[1]
+            || GEOCODE_QUALITY.UNKNOWN;
+          resolve({
+            lat: location.lat(),
+            lng: location.lng(),
+            address: query,
+            quality,
+            confidence: result.partial_match ? 0.5 : null,
+            matchType: result.geometry.location_type || null,
+          });
+        });
+      });
+    },
+  };
+}
+
+/**
+ * OpenStreetMap Nominatim search. baseUrl can point at a self-hosted instance.
+ */
+export function createNominatimGeocoder({ baseUrl = "https://nominatim.openstreetmap.org" } = {}) {
+  return {
+    name: "nominatim",
+    async geocode(query, { signal } = {}) {
+      const url = `${baseUrl.replace(/\/$/, "")}/search?format=jsonv2&limit=1&q=${encodeURIComponent(query)}`;
+      const data = await fetchJson(url, { signal });
+      const place = Array.isArray(data) ? data[0] : null;
+      if (!place) return null;
+      const type = place.addresstype || place.type;
+      return {
+        lat: Number(place.lat),
+        lng: Number(place.lon),
+        address: query,
+        quality: NOMINATIM_TYPE_QUALITY[type] || GEOCODE_QUALITY.UNKNOWN,
+        confidence: null,
+        matchType: type || null,
+      };
+    },
+  };
+}
+
+/**
+ * Pelias search API (self-hosted or geocode.earth).
+ */
+export function createPeliasGeocoder({ baseUrl, apiKey } = {}) {
+  if (!baseUrl) throw new Error("Pelias geocoder requires a base URL.");
+  return {
+    name: "pelias",
+    async geocode(query, { signal } = {}) {
+      const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : "";
+      const url = `${baseUrl.replace(/\/$/, "")}/v1/search?size=1&text=${encodeURIComponent(query)}${keyParam}`;
+      const data = await fetchJson(url, { signal });
+      const feature = data?.features?.[0];
+      if (!feature) return null;
+      const [lng, lat] = feature.geometry.coordinates;
+      return {
+        lat,
+        lng,
+        address: query,
+        quality: PELIAS_LAYER_QUALITY[feature.properties?.layer] || GEOCODE_QUALITY.UNKNOWN,
+        confidence: typeof feature.properties?.confidence === "number" ? feature.properties.confidence : null,
+        matchType: feature.properties?.layer || null,
+      };
+    },
+  };
+}
+
+/**
+ * Offline provider that answers from a fixture map of query → { lat, lng, quality? }.
+ * Queries are matched after normalizeGeocodeQuery, so spacing and case don't matter.
+ */
+export function createFixtureGeocoder({ fixtures = {} } = {}) {
+  const lookup = new Map(
+    Object.entries(fixtures).map(([query, result]) => [normalizeGeocodeQuery(query), result])
+  );
+  return {
+    name: "fixture",
+    async geocode(query) {
+      const hit = lookup.get(normalizeGeocodeQuery(query));
+      if (!hit) return null;
+      return {
+        lat: hit.lat,
+        lng: hit.lng,
+        address: query,
+        quality: hit.quality || GEOCODE_QUALITY.ROOFTOP,
+        confidence: hit.confidence ?? null,
+        matchType: "fixture",
+      };
+    },
+  };
+}
+
+/**
+ * True when a geocode result is coarser than street level (postal code, city centroid…)
+ * or the provider reported a confidence below LOW_CONFIDENCE_THRESHOLD.
+ */
+export function isLowConfidence(result, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  if (!result) return false;
+  if (!PRECISE_QUALITIES.has(result.quality)) return true;
+  return typeof result.confidence === "number" && result.confidence < threshold;
+}
+
+const PROVIDERS = {
+  mapbox: createMapboxGeocoder,
+  google: createGoogleGeocoder,
+  nominatim: createNominatimGeocoder,
+  pelias: createPeliasGeocoder,
+  fixture: createFixtureGeocoder,
+};
+
+export const GEOCODER_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Create a geocoder by provider name. Every provider exposes
+ * `geocode(query, { signal }) → Promise<{ lat, lng, address, quality } | null>`,
+ * resolving null for "no match" and rejecting with GeocodeRequestError when the request fails.
+ */
+export function createGeocoder(provider = "mapbox", options = {}) {
+  const factory = PROVIDERS[String(provider).trim().toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown geocoder provider "${provider}". Expected one of: ${GEOCODER_PROVIDERS.join(", ")}.`);
+  }
+  return factory(options);
+}
+
+/**
+ * Create the geocoder selected by Vite env configuration:
+ * VITE_GEOCODER_PROVIDER (default "mapbox"), VITE_MAPBOX_API_KEY, VITE_GEOCODER_URL,
+ * VITE_GEOCODER_API_KEY and VITE_GEOCODER_FIXTURES (JSON, fixture provider only).
+ */
+export function createGeocoderFromEnv(env = {}) {
+  let fixtures = {};
+  if (env.VITE_GEOCODER_FIXTURES) {
+    try {
+      fixtures = JSON.parse(env.VITE_GEOCODER_FIXTURES);
+    } catch {
+      throw new Error("VITE_GEOCODER_FIXTURES is not valid JSON.");
+    }
+  }
+  return createGeocoder(env.VITE_GEOCODER_PROVIDER || "mapbox", {
+    accessToken: env.VITE_MAPBOX_API_KEY,
+    baseUrl: env.VITE_GEOCODER_URL || undefined,
+    apiKey: env.VITE_GEOCODER_API_KEY,
+    fixtures,
+  });
+}
@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  GEOCODE_QUALITY,
+  createGeocoder,
+  createGeocoderFromEnv,
+  createMapboxGeocoder,
+  createGoogleGeocoder,
+  createNominatimGeocoder,
+  createPeliasGeocoder,
+  createFixtureGeocoder,
+  isLowConfidence,
+  httpGeocodeError,
+  GeocodeRequestError,
+} from './geocoders.js';
+
+function stubFetch(body, { ok = true, status = 200, headers = {} } = {}) {
+  const fetchMock = vi.fn(async () => ({
+    ok,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body,
+  }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createMapboxGeocoder', () => {
+  it('normalizes the first feature', async () => {
+    const fetchMock = stubFetch({
+      features: [{
+        geometry: { coordinates: [-79.4, 43.6] },
+        properties: { feature_type: 'address', match_code: { confidence: 'high' } },
+      }],
+    });
+    const result = await createMapboxGeocoder({ accessToken: 'tok' }).geocode('1 Main St');
+    expect(result).toEqual({
+      lat: 43.6, lng: -79.4, address: '1 Main St', quality: GEOCODE_QUALITY.ROOFTOP, confidence: 0.9, matchType: 'address',
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain('search/geocode/v6/forward?q=1%20Main%20St');
+    expect(fetchMock.mock.calls[0][0]).toContain('access_token=tok');
+  });
+
+  it('maps postcode matches to postal quality', async () => {
+    stubFetch({ features: [{ geometry: { coordinates: [0, 0] }, properties: { feature_type: 'postcode' } }] });
+    const result = await createMapboxGeocoder({ accessToken: 'tok' }).geocode('M5V');
+    expect(result.quality).toBe(GEOCODE_QUALITY.POSTAL);
+  });
+
+  it('returns null when there are no features', async () => {
+    stubFetch({ features: [] });
+    expect(await createMapboxGeocoder({}).geocode('x')).toBeNull();
+  });
+
+  it('rejects with a transient error on 429 carrying Retry-After', async () => {
+    stubFetch({}, { ok: false, status: 429, headers: { 'Retry-After': '2' } });
+    const err = await createMapboxGeocoder({}).geocode('x').catch(e => e);
+    expect(err).toBeInstanceOf(GeocodeRequestError);
+    expect(err.transient).toBe(true);
+    expect(err.retryAfterMs).toBe(2000);
+  });
+
+  it('rejects with a permanent error on 401', async () => {
+    stubFetch({}, { ok: false, status: 401 });
+    const err = await createMapboxGeocoder({}).geocode('x').catch(e => e);
+    expect(err.transient).toBe(false);
+    expect(err.status).toBe(401);
+  });
+
+  it('treats network failures as transient', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    const err = await createMapboxGeocoder({}).geocode('x').catch(e => e);
+    expect(err.transient).toBe(true);
+    expect(err.message).toMatch(/Network error/);
+  });
+});
+
+describe('createGoogleGeocoder', () => {
+  function stubGoogle(results, status = 'OK') {
+    const geocode = vi.fn((req, cb) => cb(results, status));
+    vi.stubGlobal('window', { google: { maps: { Geocoder: class { geocode = geocode; } } } });
+    return geocode;
+  }
+
+  it('normalizes the first result', async () => {
+    const geocode = stubGoogle([{
+      types: ['street_address'],
+      geometry: { location: { lat: () => 1, lng: () => 2 }, location_type: 'ROOFTOP' },
+    }]);
+    const result = await createGoogleGeocoder().geocode('1 Main St');
+    expect(geocode).toHaveBeenCalledWith({ address: '1 Main St' }, expect.any(Function));
+    expect(result).toEqual({
+      lat: 1, lng: 2, address: '1 Main St', quality: GEOCODE_QUALITY.ROOFTOP, confidence: null, matchType: 'ROOFTOP',
+    });
+  });
+
+  it('falls back to result types for approximate matches', async () => {
+    stubGoogle([{
+      types: ['locality', 'political'],
+      geometry: { location: { lat: () => 1, lng: () => 2 }, location_type: 'APPROXIMATE' },
+    }]);
+    expect((await createGoogleGeocoder().geocode('Toronto')).quality).toBe(GEOCODE_QUALITY.LOCALITY);
+  });
+
+  it('returns null when there are no results', async () => {
+    stubGoogle(null, 'ZERO_RESULTS');
+    expect(await createGoogleGeocoder().geocode('nowhere')).toBeNull();
+  });
+
+  it('rejects with a transient error over the query limit', async () => {
+    stubGoogle(null, 'OVER_QUERY_LIMIT');
+    const err = await createGoogleGeocoder().geocode('x').catch(e => e);
+    expect(err.transient).toBe(true);
+  });
+});
+
+describe('createNominatimGeocoder', () => {
+  it('parses string coordinates and address type', async () => {
+    const fetchMock = stubFetch([{ lat: '43.6', lon: '-79.4', addresstype: 'road' }]);
+    const result = await createNominatimGeocoder({ baseUrl: 'https://osm.example/' }).geocode('Main St');
+    expect(result).toEqual({
+      lat: 43.6, lng: -79.4, address: 'Main St', quality: GEOCODE_QUALITY.STREET, confidence: null, matchType: 'road',
+    });
+    expect(fetchMock.mock.calls[0][0]).toMatch(/^https:\/\/osm\.example\/search\?/);
+  });
+
+  it('returns null for an empty result list', async () => {
+    stubFetch([]);
+    expect(await createNominatimGeocoder().geocode('x')).toBeNull();
+  });
+});
+
+describe('createPeliasGeocoder', () => {
+  it('requires a base URL', () => {
+    expect(() => createPeliasGeocoder({})).toThrow('base URL');
+  });
+
+  it('normalizes the first feature and passes the api key', async () => {
+    const fetchMock = stubFetch({
+      features: [{ geometry: { coordinates: [2, 1] }, properties: { layer: 'locality', confidence: 0.8 } }],
+    });
+    const result = await createPeliasGeocoder({ baseUrl: 'https://pelias.example', apiKey: 'k' }).geocode('Paris');
+    expect(result).toEqual({
+      lat: 1, lng: 2, address: 'Paris', quality: GEOCODE_QUALITY.LOCALITY, confidence: 0.8, matchType: 'locality',
+    });
+    expect(fetchMock.mock.calls[0][0]).toBe('https://pelias.example/v1/search?size=1&text=Paris&api_key=k');
+  });
+});
+
+describe('createFixtureGeocoder', () => {
+  const geocoder = createFixtureGeocoder({
+    fixtures: {
+      '1 Main St, Toronto': { lat: 43.6, lng: -79.4 },
+      'M5V': { lat: 43.64, lng: -79.39, quality: 'postal' },
+    },
+  });
+
+  it('answers normalized queries from fixtures', async () => {
+    expect(await geocoder.geocode('1 main st,toronto')).toEqual({
+      lat: 43.6, lng: -79.4, address: '1 main st,toronto', quality: GEOCODE_QUALITY.ROOFTOP,
+      confidence: null, matchType: 'fixture',
+    });
+    expect((await geocoder.geocode('M5V')).quality).toBe('postal');
+  });
+
+  it('returns null for unknown queries', async () => {
+    expect(await geocoder.geocode('elsewhere')).toBeNull();
+  });
+});
+
+describe('httpGeocodeError', () => {
+  it('classifies 5xx as transient and 4xx as permanent', () => {
+    expect(httpGeocodeError(503).transient).toBe(true);
+    expect(httpGeocodeError(422).transient).toBe(false);
+  });
+});
+
+describe('isLowConfidence', () => {
+  it('flags matches coarser than street level', () => {
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.POSTAL })).toBe(true);
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.LOCALITY })).toBe(true);
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.UNKNOWN })).toBe(true);
+  });
+
+  it('accepts rooftop, street and manual matches', () => {
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.ROOFTOP, confidence: 0.9 })).toBe(false);
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.STREET })).toBe(false);
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.MANUAL })).toBe(false);
+  });
+
+  it('flags precise matches with low provider confidence', () => {
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.ROOFTOP, confidence: 0.3 })).toBe(true);
+    expect(isLowConfidence({ quality: GEOCODE_QUALITY.ROOFTOP, confidence: 0.3 }, 0.2)).toBe(false);
+  });
+
+  it('returns false for missing results', () => {
+    expect(isLowConfidence(null)).toBe(false);
+  });
+});
+
+describe('createGeocoder', () => {
+  it('selects providers by name, case-insensitively', () => {
+    expect(createGeocoder('Nominatim').name).toBe('nominatim');
+    expect(createGeocoder().name).toBe('mapbox');
+  });
+
+  it('throws for an unknown provider', () => {
+    expect(() => createGeocoder('bing')).toThrow('Unknown geocoder provider "bing"');
+  });
+});
+
+describe('createGeocoderFromEnv', () => {
+  it('defaults to mapbox', () => {
+    expect(createGeocoderFromEnv({}).name).toBe('mapbox');
+  });
+
+  it('builds a fixture geocoder from JSON config', async () => {
+    const geocoder = createGeocoderFromEnv({
+      VITE_GEOCODER_PROVIDER: 'fixture',
+      VITE_GEOCODER_FIXTURES: JSON.stringify({ a: { lat: 1, lng: 2 } }),
+    });
+    expect((await geocoder.geocode('A')).lat).toBe(1);
+  });
+
+  it('reports invalid fixture JSON', () => {
+    expect(() => createGeocoderFromEnv({ VITE_GEOCODER_PROVIDER: 'fixture', VITE_GEOCODER_FIXTURES: '{' }))
+      .toThrow('not valid JSON');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Color gradients for the density layers, as [position 0–1, [r, g, b, a]] stops.
+ * Homes use a warm ramp and activities a cool one so both layers can be shown together.
+ */
+export const HEATMAP_GRADIENTS = {
+  homes: [
+    [0, [255, 255, 0, 0]],
+    [0.25, [255, 214, 0, 160]],
+    [0.6, [255, 120, 0, 200]],
+    [1, [220, 0, 0, 230]],
+  ],
+  activities: [
+    [0, [0, 255, 255, 0]],
+    [0.25, [0, 200, 255, 160]],
+    [0.6, [0, 90, 255, 200]],
+    [1, [110, 0, 200, 230]],
+  ],
+};
+
+/**
+ * Linearly interpolate a gradient at t (0–1). Returns [r, g, b, a].
+ */
+export function interpolateGradient(stops, t) {
+  const x = Math.min(1, Math.max(0, t));
+  for (let i = 1; i < stops.length; i++) {
+    const [p1, c1] = stops[i];
+    if (x <= p1) {
+      const [p0, c0] = stops[i - 1];
+      const f = p1 === p0 ? 1 : (x - p0) / (p1 - p0);
+      return c0.map((v, k) => Math.round(v + (c1[k] - v) * f));
+    }
+  }
+  return stops[stops.length - 1][1].slice();
+}
+
+/**
+ * 256-entry RGBA lookup table for a gradient, indexed by density (alpha) value.
+ */
+export function buildColorRamp(stops) {
+  const ramp = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    ramp.set(interpolateGradient(stops, i / 255), i * 4);
+  }
+  return ramp;
+}
+
+/**
+ * Replace each pixel of a grayscale density image (density in the alpha channel) with its
+ * ramp color, in place. `pixels` is ImageData.data; `opacity` scales the output alpha.
+ */
+export function colorizeDensity(pixels, ramp, opacity = 1) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const density = pixels[i + 3];
+    if (!density) continue;
+    const j = density * 4;
+    pixels[i] = ramp[j];
+    pixels[i + 1] = ramp[j + 1];
+    pixels[i + 2] = ramp[j + 2];
+    pixels[i + 3] = ramp[j + 3] * opacity;
+  }
+  return pixels;
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { interpolateGradient, buildColorRamp, colorizeDensity, HEATMAP_GRADIENTS } from './heatmap.js';
+
+const stops = [
+  [0, [0, 0, 0, 0]],
+  [0.5, [100, 0, 0, 100]],
+  [1, [200, 100, 0, 200]],
+];
+
+describe('interpolateGradient', () => {
+  it('returns the stop colors at stop positions', () => {
+    expect(interpolateGradient(stops, 0)).toEqual([0, 0, 0, 0]);
+    expect(interpolateGradient(stops, 0.5)).toEqual([100, 0, 0, 100]);
+    expect(interpolateGradient(stops, 1)).toEqual([200, 100, 0, 200]);
+  });
+
+  it('interpolates between stops', () => {
+    expect(interpolateGradient(stops, 0.75)).toEqual([150, 50, 0, 150]);
+  });
+
+  it('clamps t to 0–1', () => {
+    expect(interpolateGradient(stops, -1)).toEqual([0, 0, 0, 0]);
+    expect(interpolateGradient(stops, 2)).toEqual([200, 100, 0, 200]);
+  });
+});
+
+describe('buildColorRamp', () => {
+  it('has 256 RGBA entries spanning the gradient', () => {
+    const ramp = buildColorRamp(stops);
+    expect(ramp).toHaveLength(1024);
+    expect(Array.from(ramp.slice(0, 4))).toEqual([0, 0, 0, 0]);
+    expect(Array.from(ramp.slice(255 * 4))).toEqual([200, 100, 0, 200]);
+  });
+
+  it('builds ramps for the built-in gradients', () => {
+    expect(buildColorRamp(HEATMAP_GRADIENTS.homes)[255 * 4 + 3]).toBe(230);
+  });
+});
+
+describe('colorizeDensity', () => {
+  it('maps density to ramp colors and leaves empty pixels transparent', () => {
+    const ramp = buildColorRamp(stops);
+    const pixels = new Uint8ClampedArray([0, 0, 0, 0, 0, 0, 0, 255]);
+    colorizeDensity(pixels, ramp, 0.5);
+    expect(Array.from(pixels)).toEqual([0, 0, 0, 0, 200, 100, 0, 100]);
+  });
+});
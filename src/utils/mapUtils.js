@@ -15,3 +15,61 @@ export function getPixelPosition(map, lat, lng) {
   const top = (point.y - nw.y) * scale;
   return { left, top };
 }
+
+/**
+ * Marker-clusterer styles for a colored circle badge, one size per count magnitude
+ * (the default calculator picks the style index from the number of digits).
+ */
+export function clusterStyles(color, sizes = [30, 38, 46, 54]) {
+  return sizes.map(size => {
+    const r = size / 2;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">`
+      + `<circle cx="${r}" cy="${r}" r="${r - 1}" fill="${color}" fill-opacity="0.85" stroke="#fff" stroke-width="2"/></svg>`;
+    return {
+      url: `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`,
+      width: size,
+      height: size,
+      textColor: "#fff",
+      textSize: size < 40 ? 12 : 14,
+    };
+  });
+}
+
+/**
+ * Data-URL SVG of a colored dot with a white ring, for activity types without an icon image.
+ */
+export function circleIconUrl(color, size = 24) {
+  const r = size / 2;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">`
+    + `<circle cx="${r}" cy="${r}" r="${r - 2}" fill="${color}" stroke="#fff" stroke-width="2"/></svg>`;
+  return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Data-URL SVG of a pie-chart badge for a group of markers ([{ color, count }] slices),
+ * drawn as a plain circle when there is a single slice.
+ */
+export function pieBadgeIconUrl(slices, size = 32) {
+  const r = size / 2;
+  const inner = r - 1;
+  const total = slices.reduce((sum, s) => sum + s.count, 0);
+  let shapes;
+  if (slices.length === 1) {
+    shapes = `<circle cx="${r}" cy="${r}" r="${inner}" fill="${slices[0].color}"/>`;
+  } else {
+    let angle = -Math.PI / 2;
+    shapes = slices.map(({ color, count }) => {
+      const sweep = (2 * Math.PI * count) / total;
+      const x1 = r + inner * Math.cos(angle);
+      const y1 = r + inner * Math.sin(angle);
+      angle += sweep;
+      const x2 = r + inner * Math.cos(angle);
+      const y2 = r + inner * Math.sin(angle);
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      return `<path d="M${r},${r} L${x1.toFixed(2)},${y1.toFixed(2)} A${inner},${inner} 0 ${largeArc} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${color}"/>`;
+    }).join("");
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">${shapes}`
+    + `<circle cx="${r}" cy="${r}" r="${inner}" fill="none" stroke="#fff" stroke-width="2"/></svg>`;
+  return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+}
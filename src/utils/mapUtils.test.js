@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { clusterStyles, pieBadgeIconUrl } from './mapUtils.js';
+
+describe('clusterStyles', () => {
+  it('returns one growing style per size with an SVG circle in the given color', () => {
+    const styles = clusterStyles('#4CAF50', [30, 40]);
+    expect(styles).toHaveLength(2);
+    expect(styles[0]).toMatchObject({ width: 30, height: 30, textColor: '#fff', textSize: 12 });
+    expect(styles[1]).toMatchObject({ width: 40, height: 40, textSize: 14 });
+    const svg = decodeURIComponent(styles[0].url.replace('data:image/svg+xml;charset=UTF-8,', ''));
+    expect(svg).toContain('fill="#4CAF50"');
+  });
+});
+
+describe('pieBadgeIconUrl', () => {
+  const decode = url => decodeURIComponent(url.replace('data:image/svg+xml;charset=UTF-8,', ''));
+
+  it('draws a plain circle for a single slice', () => {
+    const svg = decode(pieBadgeIconUrl([{ color: '#4CAF50', count: 3 }]));
+    expect(svg).toContain('<circle cx="16" cy="16" r="15" fill="#4CAF50"/>');
+    expect(svg).not.toContain('<path');
+  });
+
+  it('draws one wedge per slice, using the large arc for a majority', () => {
+    const svg = decode(pieBadgeIconUrl([{ color: '#111', count: 3 }, { color: '#222', count: 1 }]));
+    expect(svg.match(/<path/g)).toHaveLength(2);
+    expect(svg).toMatch(/A15,15 0 1 1 [^"]*" fill="#111"/);
+    expect(svg).toMatch(/A15,15 0 0 1 [^"]*" fill="#222"/);
+  });
+});
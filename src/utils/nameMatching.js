@@ -0,0 +1,154 @@
+import {
+  FACILITATOR_AUTO_MATCH_SCORE,
+  FACILITATOR_AUTO_MATCH_MARGIN,
+  FACILITATOR_REVIEW_MIN_SCORE,
+} from "../constants";
+import { createJsonSetting } from "./storage";
+
+// Common English given-name variants; each group is treated as one name
+const NICKNAME_GROUPS = [
+  ["robert", "bob", "bobby", "rob", "robbie", "bert"],
+  ["william", "bill", "billy", "will", "willie", "liam"],
+  ["richard", "rick", "ricky", "dick", "rich"],
+  ["james", "jim", "jimmy", "jamie"],
+  ["john", "jack", "johnny", "jon"],
+  ["joseph", "joe", "joey"],
+  ["michael", "mike", "mikey", "mick"],
+  ["thomas", "tom", "tommy"],
+  ["charles", "charlie", "chuck"],
+  ["christopher", "chris", "topher"],
+  ["daniel", "dan", "danny"],
+  ["david", "dave", "davey"],
+  ["edward", "ed", "eddie", "ted", "ned"],
+  ["anthony", "tony"],
+  ["andrew", "andy", "drew"],
+  ["matthew", "matt"],
+  ["nicholas", "nick", "nicky"],
+  ["steven", "stephen", "steve"],
+  ["benjamin", "ben", "benny"],
+  ["samuel", "sam", "sammy"],
+  ["alexander", "alex", "sandy"],
+  ["jonathan", "jon", "jonny"],
+  ["timothy", "tim", "timmy"],
+  ["gregory", "greg"],
+  ["patrick", "pat", "paddy"],
+  ["elizabeth", "liz", "beth", "betty", "eliza", "lisa", "libby"],
+  ["margaret", "maggie", "meg", "peggy", "marge"],
+  ["katherine", "catherine", "kathryn", "kate", "katie", "kathy", "cathy", "kat"],
+  ["jennifer", "jen", "jenny"],
+  ["susan", "sue", "susie"],
+  ["deborah", "debra", "deb", "debbie"],
+  ["rebecca", "becky", "becca"],
+  ["patricia", "pat", "patty", "trish"],
+  ["barbara", "barb", "babs"],
+  ["victoria", "vicky", "tori"],
+  ["jessica", "jess", "jessie"],
+  ["abigail", "abby"],
+  ["alexandra", "alex", "sasha"],
+  ["christine", "christina", "chris", "tina"],
+  ["samantha", "sam"],
+];
+
+const NICKNAMES = new Map();
+NICKNAME_GROUPS.forEach(group => group.forEach(name => {
+  if (!NICKNAMES.has(name)) NICKNAMES.set(name, new Set());
+  group.forEach(other => NICKNAMES.get(name).add(other));
+}));
+
+/**
+ * Lowercased name tokens without diacritics or punctuation, in "first … last" order
+ * ("Smith, Alice" becomes ["alice", "smith"]).
+ */
+export function nameTokens(name) {
+  let text = String(name ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  const comma = text.indexOf(",");
+  if (comma !== -1) text = `${text.slice(comma + 1)} ${text.slice(0, comma)}`;
+  return text.replace(/['’]/g, "").replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance: Levenshtein plus adjacent transpositions.
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Similarity (0–1) of two single name tokens
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (NICKNAMES.get(a)?.has(b)) return 0.95;
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.85;
+  return Math.max(0, 1 - editDistance(a, b) / Math.max(a.length, b.length));
+}
+
+// Compare first and last names; middle names/initials only cost a little when missing or different
+function orderedScore(q, c) {
+  const first = tokenSimilarity(q[0], c[0]);
+  const last = tokenSimilarity(q[q.length - 1], c[c.length - 1]);
+  const qMiddle = q.slice(1, -1);
+  const cMiddle = c.slice(1, -1);
+  let middle = 1;
+  if (qMiddle.length && cMiddle.length) {
+    middle = Math.max(...qMiddle.map(m => Math.max(...cMiddle.map(n => tokenSimilarity(m, n))))) >= 0.85 ? 1 : 0.9;
+  } else if (qMiddle.length || cMiddle.length) {
+    middle = 0.97;
+  }
+  return first * last * middle;
+}
+
+/**
+ * Similarity (0–1) between a facilitator name and an individual's name, tolerant of
+ * name order, diacritics, middle names/initials, nicknames and small typos.
+ */
+export function scoreNameMatch(a, b) {
+  const q = nameTokens(a);
+  const c = nameTokens(b);
+  if (!q.length || !c.length) return 0;
+  if (q.join(" ") === c.join(" ")) return 1;
+  if (q.length === 1 || c.length === 1) return 0;
+  // "Smith Alice" without a comma: try the reversed order with a small penalty
+  return Math.max(orderedScore(q, c), orderedScore([...q].reverse(), c) * 0.95);
+}
+
+/**
+ * Candidate individuals for a facilitator name, best first, above the review threshold.
+ * people is a list of { key, name }; returns [{ key, name, score }].
+ */
+export function findNameCandidates(name, people, { minScore = FACILITATOR_REVIEW_MIN_SCORE, limit = 5 } = {}) {
+  return people
+    .map(p => ({ ...p, score: scoreNameMatch(name, p.name) }))
+    .filter(p => p.score >= minScore)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+/**
+ * Decide whether the best candidate can be accepted without review: it must score at least
+ * the auto-match threshold and be clearly ahead of the runner-up.
+ */
+export function isAutoMatch(candidates, { minScore = FACILITATOR_AUTO_MATCH_SCORE, margin = FACILITATOR_AUTO_MATCH_MARGIN } = {}) {
+  const [best, second] = candidates;
+  if (!best || best.score < minScore) return false;
+  return !second || best.score - second.score >= margin;
+}
+
+const MATCHES_KEY = "facilitator-matches";
+
+/**
+ * Remembered review decisions: { [facilitator key]: individual key, or null for "not a match" }.
+ * Saved as a setting so confirmations carry over to the next upload.
+ */
+export function createMatchMemory(store) {
+  return createJsonSetting(MATCHES_KEY, { store, fallback: {}, label: "remembered facilitator matches" });
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  nameTokens,
+  editDistance,
+  scoreNameMatch,
+  findNameCandidates,
+  isAutoMatch,
+  createMatchMemory,
+} from './nameMatching.js';
+import { createMemoryStore } from './storage.js';
+
+describe('nameTokens', () => {
+  it('strips diacritics and punctuation and lowercases', () => {
+    expect(nameTokens('  José  Núñez-García ')).toEqual(['jose', 'nunez', 'garcia']);
+    expect(nameTokens("O'Brien")).toEqual(['obrien']);
+  });
+
+  it('reorders "Last, First"', () => {
+    expect(nameTokens('Smith, Alice')).toEqual(['alice', 'smith']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, substitutions and transpositions', () => {
+    expect(editDistance('smith', 'smith')).toBe(0);
+    expect(editDistance('smith', 'smyth')).toBe(1);
+    expect(editDistance('smith', 'smtih')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('scoreNameMatch', () => {
+  it('scores equivalent spellings as exact', () => {
+    expect(scoreNameMatch('Smith, Alice', 'alice smith')).toBe(1);
+    expect(scoreNameMatch('Zoë Hernández', 'Zoe Hernandez')).toBe(1);
+  });
+
+  it('tolerates nicknames, initials, middle names, swapped order and typos', () => {
+    expect(scoreNameMatch('Bob Smith', 'Robert Smith')).toBeGreaterThanOrEqual(0.9);
+    expect(scoreNameMatch('Alice M. Smith', 'Alice Smith')).toBeGreaterThanOrEqual(0.9);
+    expect(scoreNameMatch('A. Smith', 'Alice Smith')).toBeGreaterThanOrEqual(0.8);
+    expect(scoreNameMatch('Smith Alice', 'Alice Smith')).toBeGreaterThanOrEqual(0.9);
+    expect(scoreNameMatch('Alice Smtih', 'Alice Smith')).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it('scores different people low', () => {
+    expect(scoreNameMatch('Jane Smith', 'John Smith')).toBeLessThan(0.6);
+    expect(scoreNameMatch('Alice Jones', 'Alice Smith')).toBeLessThan(0.6);
+    expect(scoreNameMatch('Alice', 'Alice Smith')).toBe(0);
+  });
+});
+
+describe('findNameCandidates / isAutoMatch', () => {
+  const people = [
+    { key: 'robert smith', name: 'Robert Smith' },
+    { key: 'roberta smith', name: 'Roberta Smith' },
+    { key: 'carol king', name: 'Carol King' },
+  ];
+
+  it('returns candidates above the threshold, best first', () => {
+    const candidates = findNameCandidates('Bob Smith', people);
+    expect(candidates[0].key).toBe('robert smith');
+    expect(candidates.map(c => c.key)).not.toContain('carol king');
+  });
+
+  it('auto-accepts only a clear winner', () => {
+    expect(isAutoMatch(findNameCandidates('Bob Smith', people))).toBe(true);
+    expect(isAutoMatch([{ key: 'a', score: 0.92 }, { key: 'b', score: 0.9 }])).toBe(false);
+    expect(isAutoMatch([{ key: 'a', score: 0.8 }])).toBe(false);
+    expect(isAutoMatch([])).toBe(false);
+  });
+});
+
+describe('createMatchMemory', () => {
+  it('saves and loads decisions', async () => {
+    const memory = createMatchMemory(createMemoryStore());
+    expect(await memory.load()).toEqual({});
+    await memory.save({ 'bob smith': 'robert smith', 'al smith': null });
+    expect(await memory.load()).toEqual({ 'bob smith': 'robert smith', 'al smith': null });
+    await memory.clear();
+    expect(await memory.load()).toEqual({});
+  });
+});
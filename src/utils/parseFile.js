@@ -1,54 +1,222 @@
 import Papa from "papaparse";
 import * as XLSX from "@e965/xlsx";
+import { SOURCE_ROW_KEY } from "./parsing";
 
+const isBlankRow = (row) => row.every(cell => cell === '' || cell == null);
+
+// Raw rows keep blank lines so their index gives the source row number
 function buildRowsFromRaw(rawRows, findHeaderRow) {
-  const headerRowIndex = findHeaderRow(rawRows);
+  let headerRowIndex = findHeaderRow(rawRows);
+  while (headerRowIndex < rawRows.length - 1 && isBlankRow(rawRows[headerRowIndex])) headerRowIndex++;
   const headers = rawRows[headerRowIndex] || [];
-  return rawRows
-    .slice(headerRowIndex + 1)
-    .map((row) => {
-      const obj = {};
-      headers.forEach((h, i) => {
-        obj[String(h ?? '').trim() || `Column${i}`] = row[i] ?? '';
-      });
-      return obj;
-    })
-    .filter((obj) => Object.keys(obj).some((k) => obj[k] !== '' && obj[k] != null));
+  const rows = [];
+  for (let r = headerRowIndex + 1; r < rawRows.length; r++) {
+    const obj = {};
+    headers.forEach((h, i) => {
+      obj[String(h ?? '').trim() || `Column${i}`] = rawRows[r][i] ?? '';
+    });
+    if (isBlankRow(Object.values(obj))) continue;
+    obj[SOURCE_ROW_KEY] = r + 1;
+    rows.push(obj);
+  }
+  return rows;
+}
+
+// Spreadsheet formats read through SheetJS; everything else is treated as delimited text
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+export const isWorkbookFile = (file) => WORKBOOK_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
+// Encoding announced by a UTF-16 byte order mark (the decoder drops the mark itself)
+function bomEncoding(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+// Count delimiter occurrences in a line, ignoring any inside quoted fields
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) count++;
+  }
+  return count;
 }
 
 /**
- * Parse a CSV or XLSX file into an array of row objects.
- * Returns a Promise that resolves with the rows or rejects with a user-facing error.
+ * Guess the delimiter of CSV-like text from its first lines: the candidate that
+ * appears most consistently (same count on every line) wins, then the most frequent.
+ * Defaults to a comma.
  */
-export function parseFile(file, findHeaderRow) {
+export function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 20);
+  let best = { delimiter: ',', consistent: 0, total: 0 };
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    if (!total) continue;
+    // Metadata rows above the header can differ, so score against the most common count
+    const frequency = new Map();
+    counts.filter(n => n > 0).forEach(n => frequency.set(n, (frequency.get(n) || 0) + 1));
+    const consistent = Math.max(...frequency.values());
+    if (consistent > best.consistent || (consistent === best.consistent && total > best.total)) {
+      best = { delimiter, consistent, total };
+    }
+  }
+  return best.delimiter;
+}
+
+// Decode and parse byte chunks as one encoding; invalid UTF-8 throws a TypeError
+async function parseChunks(readChunks, fallbackEncoding, { delimiter, onProgress }) {
+  const rawRows = [];
+  let decoder = null;
+  let bytesRead = 0;
+  // Text after the last line break outside quotes, scanned up to `scanned` with quote state `quoted`
+  let pending = '';
+  let scanned = 0;
+  let quoted = false;
+
+  const parsePending = (final) => {
+    let cut = -1;
+    for (let i = scanned; i < pending.length; i++) {
+      const ch = pending[i];
+      if (ch === '"') quoted = !quoted;
+      else if (ch === '\n' && !quoted) cut = i;
+    }
+    const end = final ? pending.length : cut + 1;
+    scanned = pending.length - end;
+    if (end === 0) return;
+    const complete = pending.slice(0, end);
+    pending = pending.slice(end);
+    if (!delimiter) delimiter = detectDelimiter(complete);
+    const { data } = Papa.parse(complete, { header: false, delimiter });
+    // Text ending in a line break yields one extra empty row
+    if (/\n$/.test(complete) && data.length && isBlankRow(data[data.length - 1])) data.pop();
+    data.forEach(row => rawRows.push(row));
+  };
+
+  for await (const chunk of readChunks()) {
+    if (!decoder) {
+      const encoding = bomEncoding(chunk) || fallbackEncoding;
+      decoder = new TextDecoder(encoding, { fatal: encoding === 'utf-8' });
+    }
+    pending += decoder.decode(chunk, { stream: true });
+    bytesRead += chunk.length;
+    parsePending(false);
+    onProgress?.(bytesRead);
+  }
+  if (decoder) pending += decoder.decode();
+  parsePending(true);
+  return rawRows;
+}
+
+/**
+ * Parse delimited text from byte chunks, one complete line batch at a time, so large files
+ * are never decoded or parsed in one piece. readChunks() returns a fresh (async) iterable of
+ * Uint8Array chunks; it is called again if the text turns out not to be UTF-8.
+ * A byte order mark picks the encoding and is dropped; otherwise the bytes are read as
+ * UTF-8, falling back to Windows-1252 — the usual encoding of legacy Excel CSV exports.
+ * The delimiter is detected from the first lines unless given; onProgress receives the
+ * number of bytes read so far. Resolves with raw cell arrays.
+ */
+export async function parseDelimitedStream(readChunks, { delimiter, onProgress } = {}) {
+  try {
+    return await parseChunks(readChunks, 'utf-8', { delimiter, onProgress });
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+    return parseChunks(readChunks, 'windows-1252', { delimiter, onProgress });
+  }
+}
+
+async function* fileChunks(file) {
+  const reader = file.stream().getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Read a whole file as bytes (Blob.arrayBuffer where available, else FileReader)
+function readBytes(file) {
+  if (typeof file.arrayBuffer === 'function') {
+    return file.arrayBuffer().then(buffer => new Uint8Array(buffer), () => {
+      throw new Error('Failed to read file.');
+    });
+  }
   return new Promise((resolve, reject) => {
-    if (file.name.endsWith('.xlsx')) {
-      const reader = new FileReader();
-      reader.onload = (ev) => {
-        try {
-          const wb = XLSX.read(new Uint8Array(ev.target.result), { type: 'array' });
-          const sheet = wb.Sheets[wb.SheetNames[0]];
-          const rawRows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-          const headerRowIndex = findHeaderRow(rawRows);
-          resolve(XLSX.utils.sheet_to_json(sheet, { range: headerRowIndex }));
-        } catch {
-          reject(new Error('Could not read the XLSX file. Make sure it is a valid Excel file.'));
-        }
-      };
-      reader.onerror = () => reject(new Error('Failed to read file.'));
-      reader.readAsArrayBuffer(file);
+    const reader = new FileReader();
+    reader.onload = (ev) => resolve(new Uint8Array(ev.target.result || new ArrayBuffer(0)));
+    reader.onerror = () => reject(new Error('Failed to read file.'));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Read a spreadsheet file (XLSX, XLS or ODS) into a workbook.
+ * Returns a Promise that resolves with the workbook or rejects with a user-facing error.
+ */
+export async function readWorkbook(file) {
+  const bytes = await readBytes(file);
+  try {
+    return XLSX.read(bytes, { type: 'array' });
+  } catch {
+    throw new Error('Could not read the spreadsheet. Make sure it is a valid Excel or OpenDocument file.');
+  }
+}
+
+/**
+ * Every sheet of a workbook as raw cell arrays: [{ name, rawRows }].
+ */
+export function workbookSheets(wb) {
+  return wb.SheetNames.map(name => ({ name, rawRows: XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1 }) }));
+}
+
+/**
+ * Row objects of one workbook sheet, keyed by its detected header row.
+ */
+export function sheetRows(wb, sheetName, findHeaderRow) {
+  const sheet = wb.Sheets[sheetName];
+  const rawRows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+  // SheetJS numbers each row object (0-based) in a hidden __rowNum__ property
+  return XLSX.utils.sheet_to_json(sheet, { range: findHeaderRow(rawRows) })
+    .map(row => ({ ...row, [SOURCE_ROW_KEY]: row.__rowNum__ + 1 }));
+}
+
+/**
+ * Parse a delimited text file (CSV, TSV, semicolon-separated) or a spreadsheet
+ * (first sheet) into an array of row objects. Text files are parsed as a stream;
+ * onProgress receives the fraction (0–1) read so far.
+ * Returns a Promise that resolves with the rows or rejects with a user-facing error.
+ */
+export async function parseFile(file, findHeaderRow, { onProgress } = {}) {
+  if (isWorkbookFile(file)) {
+    const wb = await readWorkbook(file);
+    return sheetRows(wb, wb.SheetNames[0], findHeaderRow);
+  }
+  const delimiter = file.name.toLowerCase().endsWith('.tsv') ? '\t' : undefined;
+  let rawRows;
+  try {
+    if (typeof file.stream === 'function') {
+      rawRows = await parseDelimitedStream(() => fileChunks(file), {
+        delimiter,
+        onProgress: bytes => onProgress?.(file.size ? bytes / file.size : 1),
+      });
     } else {
-      const reader = new FileReader();
-      reader.onload = (ev) => {
-        Papa.parse(ev.target.result || '', {
-          header: false,
-          skipEmptyLines: true,
-          complete: ({ data: rawRows }) => resolve(buildRowsFromRaw(rawRows, findHeaderRow)),
-          error: (err) => reject(new Error(`Could not parse CSV: ${err.message}`)),
-        });
-      };
-      reader.onerror = () => reject(new Error('Failed to read file.'));
-      reader.readAsText(file);
+      const bytes = await readBytes(file);
+      rawRows = await parseDelimitedStream(() => [bytes], { delimiter });
+      onProgress?.(1);
     }
-  });
+  } catch (err) {
+    if (err.message === 'Failed to read file.') throw err;
+    throw new Error(`Could not parse CSV: ${err.message}`);
+  }
+  return buildRowsFromRaw(rawRows, findHeaderRow);
 }
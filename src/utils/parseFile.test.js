@@ -1,16 +1,18 @@
 import { describe, it, expect, vi } from 'vitest';
 import * as XLSX from '@e965/xlsx';
-import { parseFile } from './parseFile.js';
-import { findIndividualsHeaderRow, findActivitiesHeaderRow } from './parsing.js';
+import {
+  parseFile,
+  readWorkbook,
+  workbookSheets,
+  sheetRows,
+  isWorkbookFile,
+  parseDelimitedStream,
+  detectDelimiter,
+} from './parseFile.js';
+import { findIndividualsHeaderRow, findActivitiesHeaderRow, SOURCE_ROW_KEY } from './parsing.js';
 
 // FileReader is a browser API — stub it for the Node test environment.
 class MockFileReader {
-  readAsText(file) {
-    Promise.resolve().then(() => {
-      if (file.__readerError) this.onerror?.();
-      else this.onload?.({ target: { result: file.__text ?? '' } });
-    });
-  }
   readAsArrayBuffer(file) {
     Promise.resolve().then(() => {
       if (file.__readerError) this.onerror?.();
@@ -23,7 +25,11 @@ vi.stubGlobal('FileReader', MockFileReader);
 // ── Helpers ────────────────────────────────────────────────────────────────
 
 function csvFile(content, name = 'test.csv') {
-  return { name, __text: content };
+  return { name, __buffer: new TextEncoder().encode(content).buffer };
+}
+
+function bytesFile(bytes, name = 'test.csv') {
+  return { name, __buffer: new Uint8Array(bytes).buffer };
 }
 
 function xlsxFile(rows, name = 'test.xlsx') {
@@ -36,6 +42,15 @@ function xlsxFile(rows, name = 'test.xlsx') {
   return { name, __buffer: buffer };
 }
 
+function multiSheetFile(sheets, name = 'book.xlsx') {
+  const wb = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  });
+  const arr = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  return { name, __buffer: new Uint8Array(arr).buffer };
+}
+
 function readerErrorFile(name = 'test.csv') {
   return { name, __readerError: true };
 }
@@ -50,8 +65,8 @@ describe('parseFile — CSV', () => {
     const file = csvFile('First Name,Last Name,Postal Code\nAlice,Smith,M5V\nBob,Jones,K1A');
     const rows = await parseFile(file, headerAtRow0);
     expect(rows).toHaveLength(2);
-    expect(rows[0]).toEqual({ 'First Name': 'Alice', 'Last Name': 'Smith', 'Postal Code': 'M5V' });
-    expect(rows[1]).toEqual({ 'First Name': 'Bob', 'Last Name': 'Jones', 'Postal Code': 'K1A' });
+    expect(rows[0]).toEqual({ 'First Name': 'Alice', 'Last Name': 'Smith', 'Postal Code': 'M5V', [SOURCE_ROW_KEY]: 2 });
+    expect(rows[1]).toEqual({ 'First Name': 'Bob', 'Last Name': 'Jones', 'Postal Code': 'K1A', [SOURCE_ROW_KEY]: 3 });
   });
 
   it('skips metadata rows and finds the real header', async () => {
@@ -74,6 +89,13 @@ describe('parseFile — CSV', () => {
     expect(rows.map((r) => r['First Name'])).toEqual(['Alice', 'Bob']);
   });
 
+  it('numbers rows by their line in the file, counting blank lines', async () => {
+    const file = csvFile('\nFirst Name,Last Name\nAlice,Smith\n\nBob,Jones\n');
+    const rows = await parseFile(file, headerAtRow0);
+    expect(rows.map((r) => r[SOURCE_ROW_KEY])).toEqual([3, 5]);
+    expect(rows[0]['Last Name']).toBe('Smith');
+  });
+
   it('uses fallback column names for blank headers', async () => {
     const file = csvFile(',Last Name\nAlice,Smith');
     const rows = await parseFile(file, headerAtRow0);
@@ -89,6 +111,24 @@ describe('parseFile — CSV', () => {
     expect(rows[0]['Facilitators']).toBe('Alice Smith');
   });
 
+  it('detects semicolon and tab delimiters', async () => {
+    const semicolon = await parseFile(csvFile('Name;Address\nAlice;"1 Main St; Apt 2"'), headerAtRow0);
+    expect(semicolon).toEqual([{ Name: 'Alice', Address: '1 Main St; Apt 2', [SOURCE_ROW_KEY]: 2 }]);
+    const tab = await parseFile(csvFile('Name\tAddress\nAlice\t1 Main St, Apt 2', 'export.tsv'), headerAtRow0);
+    expect(tab).toEqual([{ Name: 'Alice', Address: '1 Main St, Apt 2', [SOURCE_ROW_KEY]: 2 }]);
+  });
+
+  it('strips a UTF-8 BOM from the first header', async () => {
+    const rows = await parseFile(bytesFile([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('Name\nAlice')]), headerAtRow0);
+    expect(rows).toEqual([{ Name: 'Alice', [SOURCE_ROW_KEY]: 2 }]);
+  });
+
+  it('reads Windows-1252 accented names', async () => {
+    // "Name\nRené" with é as the single byte 0xE9
+    const rows = await parseFile(bytesFile([0x4e, 0x61, 0x6d, 0x65, 0x0a, 0x52, 0x65, 0x6e, 0xe9]), headerAtRow0);
+    expect(rows).toEqual([{ Name: 'René', [SOURCE_ROW_KEY]: 2 }]);
+  });
+
   it('rejects with a friendly message when FileReader errors', async () => {
     await expect(parseFile(readerErrorFile('test.csv'), headerAtRow0))
       .rejects.toThrow('Failed to read file.');
@@ -137,3 +177,79 @@ describe('parseFile — XLSX', () => {
       .rejects.toThrow('Failed to read file.');
   });
 });
+
+describe('readWorkbook / workbookSheets / sheetRows', () => {
+  const file = () => multiSheetFile({
+    Cover: [['Community report'], ['Prepared 2024-01-01']],
+    People: [['First Name', 'Last Name', 'Address'], ['Alice', 'Smith', '1 Main St']],
+    Activities: [['Notes'], ['Activity Type', 'Name', 'Facilitators'], ['Devotional', 'Prayers', 'Alice Smith']],
+  });
+
+  it('lists every sheet with its raw rows', async () => {
+    const sheets = workbookSheets(await readWorkbook(file()));
+    expect(sheets.map(s => s.name)).toEqual(['Cover', 'People', 'Activities']);
+    expect(sheets[1].rawRows[1]).toEqual(['Alice', 'Smith', '1 Main St']);
+  });
+
+  it('reads rows from a named sheet using its detected header', async () => {
+    const wb = await readWorkbook(file());
+    expect(sheetRows(wb, 'Activities', findActivitiesHeaderRow)).toEqual([
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Alice Smith', [SOURCE_ROW_KEY]: 3 },
+    ]);
+  });
+});
+
+describe('isWorkbookFile', () => {
+  it('recognises Excel and OpenDocument spreadsheets', () => {
+    expect(['a.xlsx', 'b.XLS', 'c.ods', 'd.xlsm'].map(name => isWorkbookFile({ name }))).toEqual([true, true, true, true]);
+    expect(['a.csv', 'b.tsv', 'c.txt'].map(name => isWorkbookFile({ name }))).toEqual([false, false, false]);
+  });
+});
+
+describe('parseDelimitedStream', () => {
+  const encode = text => new TextEncoder().encode(text);
+  const chunked = (bytes, size) => () => {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) chunks.push(bytes.subarray(i, i + size));
+    return chunks;
+  };
+
+  it('keeps quoted line breaks and multi-byte characters split across chunks', async () => {
+    const bytes = encode('Name,Note\nZoë,"two\nlines"\nRené,plain\n');
+    expect(await parseDelimitedStream(chunked(bytes, 3))).toEqual([
+      ['Name', 'Note'],
+      ['Zoë', 'two\nlines'],
+      ['René', 'plain'],
+    ]);
+  });
+
+  it('decodes UTF-16 with a byte order mark', async () => {
+    const rows = await parseDelimitedStream(() => [new Uint8Array([0xff, 0xfe, 0x41, 0x00, 0xe9, 0x00])]);
+    expect(rows).toEqual([['Aé']]);
+  });
+
+  it('restarts as Windows-1252 when a later chunk is not UTF-8', async () => {
+    const bytes = new Uint8Array([...encode('Name\nAl\n'), 0x52, 0x65, 0x6e, 0xe9]);
+    expect(await parseDelimitedStream(chunked(bytes, 4))).toEqual([['Name'], ['Al'], ['René']]);
+  });
+
+  it('reports the bytes read', async () => {
+    const progress = [];
+    await parseDelimitedStream(chunked(encode('a,b\n1,2\n'), 4), { onProgress: n => progress.push(n) });
+    expect(progress).toEqual([4, 8]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('prefers the delimiter used consistently across lines', () => {
+    expect(detectDelimiter('Name;Address;City\nAlice;1 Main St, Apt 2;Toronto\nBob;2 Main St;Ottawa')).toBe(';');
+  });
+
+  it('ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('Name,Note\nAlice,"a; b; c"\nBob,"d; e; f"')).toBe(',');
+  });
+
+  it('defaults to a comma', () => {
+    expect(detectDelimiter('Name\nAlice')).toBe(',');
+  });
+});
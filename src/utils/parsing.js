@@ -27,6 +27,73 @@ export const LAST_NAME_KEYS = ["Last Name", "Family Name"];
 export const ACTIVITY_TYPE_KEYS = ["Activity Type", "Type"];
 export const ACTIVITY_NAME_KEYS = ["Name"];
 export const FACILITATORS_KEYS = ["Facilitators"];
+// Where an activity meets, when the activities file has it
+export const VENUE_KEYS = ["Venue Address", "Venue", "Location", "Meeting Place", "Address"];
+// Participant rosters: one row per participant, or a `;`-separated participants column
+export const ROSTER_ACTIVITY_KEYS = ["Activity Name", "Activity"];
+export const PARTICIPANT_KEYS = ["Participant", "Participants", "Participant Name"];
+
+// Each parsed row carries its 1-based row number in the source file, for data-quality reports
+export const SOURCE_ROW_KEY = "__sourceRow";
+
+export const sourceRowNumber = (row) => row[SOURCE_ROW_KEY] ?? null;
+
+/**
+ * A row's spreadsheet columns, without the source row number.
+ */
+export function withoutSourceRow(row) {
+  const { [SOURCE_ROW_KEY]: _sourceRow, ...fields } = row;
+  return fields;
+}
+
+/**
+ * Street part of an individual's address: the Address column, or Address Line 1 (without a
+ * "unit-" prefix) and Address Line 2.
+ */
+export function streetAddress(row) {
+  const addr = getField(row, ADDRESS_KEYS);
+  if (addr) return addr;
+  const line1 = String(getField(row, ADDRESS_LINE1_KEYS)).replace(/^\d+-/, "");
+  const line2 = String(getField(row, ADDRESS_LINE2_KEYS));
+  return [line1, line2].filter(Boolean).join(", ");
+}
+
+/**
+ * Address parts of a row in geocoding order: street, neighborhood, postal code, locality,
+ * region and country.
+ */
+export function addressParts(row, street = streetAddress(row)) {
+  const trimmed = (keys) => String(getField(row, keys) || "").trim();
+  return [
+    street,
+    trimmed(NEIGHBORHOOD_KEYS),
+    trimmed(POSTAL_KEYS),
+    trimmed(LOCALITY_KEYS),
+    trimmed(REGION_KEYS),
+    trimmed(NATIONAL_COMMUNITY_KEYS),
+  ];
+}
+
+export const addressQuery = (row, street) => addressParts(row, street).filter(Boolean).join(", ");
+
+/**
+ * Geocoding query for an activity's own venue, or "" when the row has no venue address.
+ */
+export function venueQuery(row) {
+  const venue = String(getField(row, VENUE_KEYS) || "").trim();
+  return venue ? addressQuery(row, venue) : "";
+}
+
+/**
+ * Participant names in a roster row: the participants column split on `;`, or else the
+ * row's first and last name.
+ */
+export function rosterParticipantNames(row) {
+  const listed = String(getField(row, PARTICIPANT_KEYS) || "");
+  if (listed.trim()) return listed.split(";").map(n => n.trim()).filter(Boolean);
+  const name = `${getField(row, FIRST_NAME_KEYS) || ""} ${getField(row, LAST_NAME_KEYS) || ""}`.trim();
+  return name ? [name] : [];
+}
 
 const INDIVIDUALS_HEADER_CANONICAL = new Set([
   "firstname", "lastname", "address", "addressline1", "addressline2",
@@ -38,23 +105,34 @@ const ACTIVITIES_HEADER_CANONICAL = new Set([
   "activitytype", "type", "name", "facilitators", "facilitator",
 ]);
 
+const PARTICIPANTS_HEADER_CANONICAL = new Set([
+  "activityname", "activity", "activitytype", "facilitators", "participant", "participants", "participantname",
+  "firstname", "lastname",
+]);
+
 export function normalizeHeaderCell(cell) {
   return String(cell ?? "").trim().replace(/\s|_/g, "").toLowerCase();
 }
 
+/**
+ * Number of cells in a row that are expected column names.
+ */
+export function countHeaderMatches(row, canonicalSet) {
+  if (!Array.isArray(row)) return 0;
+  let matches = 0;
+  for (const cell of row) {
+    const norm = normalizeHeaderCell(cell);
+    if (norm && canonicalSet.has(norm)) matches++;
+  }
+  return matches;
+}
+
 /**
  * Find the first row that looks like a header (contains at least minMatches expected column names).
  */
 export function findHeaderRow(rawRows, canonicalSet, minMatches = HEADER_MIN_MATCHES) {
   for (let i = 0; i < rawRows.length; i++) {
-    const row = rawRows[i];
-    if (!Array.isArray(row)) continue;
-    let matches = 0;
-    for (const cell of row) {
-      const norm = normalizeHeaderCell(cell);
-      if (norm && canonicalSet.has(norm)) matches++;
-    }
-    if (matches >= minMatches) return i;
+    if (countHeaderMatches(rawRows[i], canonicalSet) >= minMatches) return i;
   }
   return 0;
 }
@@ -66,3 +144,35 @@ export function findIndividualsHeaderRow(rawRows) {
 export function findActivitiesHeaderRow(rawRows) {
   return findHeaderRow(rawRows, ACTIVITIES_HEADER_CANONICAL);
 }
+
+export function findParticipantsHeaderRow(rawRows) {
+  return findHeaderRow(rawRows, PARTICIPANTS_HEADER_CANONICAL);
+}
+
+/**
+ * Score each workbook sheet ([{ name, rawRows }]) by how many expected column names its
+ * detected header row has, and pick the best individuals and activities sheets.
+ * A sheet counts for the kind it scores higher on (at least minMatches). ambiguous is set
+ * when no individuals sheet was found or two sheets tie for a kind.
+ * Returns { scores: [{ name, individuals, activities }], individuals, activities, ambiguous }.
+ */
+export function classifySheets(sheets, minMatches = HEADER_MIN_MATCHES) {
+  const scores = sheets.map(({ name, rawRows }) => ({
+    name,
+    individuals: countHeaderMatches(rawRows[findIndividualsHeaderRow(rawRows)], INDIVIDUALS_HEADER_CANONICAL),
+    activities: countHeaderMatches(rawRows[findActivitiesHeaderRow(rawRows)], ACTIVITIES_HEADER_CANONICAL),
+  }));
+  let ambiguous = false;
+  const pick = (kind, other) => {
+    const candidates = scores
+      .filter(s => s[kind] >= minMatches && s[kind] >= s[other])
+      .sort((a, b) => b[kind] - a[kind]);
+    if (candidates.some(s => s[kind] === s[other])) ambiguous = true;
+    if (candidates.length > 1 && candidates[0][kind] === candidates[1][kind]) ambiguous = true;
+    return candidates[0]?.name ?? null;
+  };
+  const individuals = pick("individuals", "activities");
+  const activities = pick("activities", "individuals");
+  if (!individuals) ambiguous = true;
+  return { scores, individuals, activities, ambiguous };
+}
@@ -5,6 +5,15 @@ import {
   findHeaderRow,
   findIndividualsHeaderRow,
   findActivitiesHeaderRow,
+  findParticipantsHeaderRow,
+  rosterParticipantNames,
+  countHeaderMatches,
+  classifySheets,
+  streetAddress,
+  addressQuery,
+  venueQuery,
+  withoutSourceRow,
+  SOURCE_ROW_KEY,
   INDIVIDUALS_HEADER_CANONICAL,
   ADDRESS_KEYS,
   FIRST_NAME_KEYS,
@@ -158,3 +167,82 @@ describe('findActivitiesHeaderRow', () => {
     expect(findActivitiesHeaderRow(rawRows)).toBe(1);
   });
 });
+
+describe('findParticipantsHeaderRow', () => {
+  it('finds a roster header after a title row', () => {
+    const rawRows = [
+      ['Participants by activity'],
+      ['Activity Name', 'First Name', 'Last Name'],
+    ];
+    expect(findParticipantsHeaderRow(rawRows)).toBe(1);
+  });
+});
+
+describe('countHeaderMatches', () => {
+  it('counts expected column names and tolerates non-array rows', () => {
+    expect(countHeaderMatches(['First Name', 'Shoe Size', 'Address'], INDIVIDUALS_SET)).toBe(2);
+    expect(countHeaderMatches(undefined, INDIVIDUALS_SET)).toBe(0);
+  });
+});
+
+describe('classifySheets', () => {
+  const cover = { name: 'Cover', rawRows: [['Community report']] };
+  const people = { name: 'People', rawRows: [['Report'], ['First Name', 'Last Name', 'Address']] };
+  const activities = { name: 'Activities', rawRows: [['Activity Type', 'Name', 'Facilitators']] };
+
+  it('assigns individuals and activities sheets past a cover sheet', () => {
+    const result = classifySheets([cover, people, activities]);
+    expect(result).toMatchObject({ individuals: 'People', activities: 'Activities', ambiguous: false });
+    expect(result.scores[0]).toEqual({ name: 'Cover', individuals: 0, activities: 0 });
+  });
+
+  it('is ambiguous when no individuals sheet is found', () => {
+    expect(classifySheets([cover, activities])).toMatchObject({ individuals: null, activities: 'Activities', ambiguous: true });
+  });
+
+  it('is ambiguous when two sheets tie', () => {
+    const result = classifySheets([people, { ...people, name: 'People 2' }, activities]);
+    expect(result.individuals).toBe('People');
+    expect(result.ambiguous).toBe(true);
+  });
+});
+
+describe('streetAddress', () => {
+  it('prefers the Address column', () => {
+    expect(streetAddress({ Address: '1 Main St', 'Address Line 1': 'ignored' })).toBe('1 Main St');
+  });
+
+  it('joins address lines without a unit prefix', () => {
+    expect(streetAddress({ 'Address Line 1': '4-12 Oak Ave', 'Address Line 2': 'Rear' })).toBe('12 Oak Ave, Rear');
+  });
+});
+
+describe('withoutSourceRow', () => {
+  it('drops only the source row number', () => {
+    expect(withoutSourceRow({ Name: 'Alice', [SOURCE_ROW_KEY]: 4 })).toEqual({ Name: 'Alice' });
+  });
+});
+
+describe('addressQuery / venueQuery', () => {
+  const row = { Address: '1 Main St', City: 'Toronto', 'Venue Address': 'Community Hall', Country: 'Canada' };
+
+  it('joins the non-empty address parts', () => {
+    expect(addressQuery(row)).toBe('1 Main St, Toronto, Canada');
+  });
+
+  it('uses the venue in place of the street', () => {
+    expect(venueQuery(row)).toBe('Community Hall, Toronto, Canada');
+    expect(venueQuery({ City: 'Toronto' })).toBe('');
+  });
+});
+
+describe('rosterParticipantNames', () => {
+  it('splits a participants column on semicolons', () => {
+    expect(rosterParticipantNames({ Participants: ' Alice Smith; ;Bob Jones ' })).toEqual(['Alice Smith', 'Bob Jones']);
+  });
+
+  it('falls back to first and last name columns', () => {
+    expect(rosterParticipantNames({ 'First Name': 'Alice', 'Last Name': 'Smith' })).toEqual(['Alice Smith']);
+    expect(rosterParticipantNames({ 'Activity Name': 'Class A' })).toEqual([]);
+  });
+});
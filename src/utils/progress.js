@@ -0,0 +1,21 @@
+/**
+ * Estimate the time left for a batch job from the average time per completed item.
+ * Returns null until at least one item has completed.
+ */
+export function estimateRemainingMs(done, total, elapsedMs) {
+  if (!done || done >= total) return done >= total ? 0 : null;
+  return Math.round((elapsedMs / done) * (total - done));
+}
+
+/**
+ * Format a duration as "1h 5m", "2m 30s" or "45s".
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  if (h) return `${h}h ${m}m`;
+  if (m) return `${m}m ${s}s`;
+  return `${s}s`;
+}
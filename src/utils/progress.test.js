@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { estimateRemainingMs, formatDuration } from './progress.js';
+
+describe('estimateRemainingMs', () => {
+  it('extrapolates from the average time per item', () => {
+    expect(estimateRemainingMs(10, 40, 5000)).toBe(15000);
+  });
+
+  it('returns null before any item has completed', () => {
+    expect(estimateRemainingMs(0, 40, 5000)).toBeNull();
+  });
+
+  it('returns 0 when everything is done', () => {
+    expect(estimateRemainingMs(40, 40, 5000)).toBe(0);
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats seconds, minutes and hours', () => {
+    expect(formatDuration(45_000)).toBe('45s');
+    expect(formatDuration(150_000)).toBe('2m 30s');
+    expect(formatDuration(3_900_000)).toBe('1h 5m');
+  });
+
+  it('clamps negative durations to zero', () => {
+    expect(formatDuration(-10)).toBe('0s');
+  });
+});
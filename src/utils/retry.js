@@ -0,0 +1,54 @@
+import { RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS } from "../constants";
+
+/**
+ * Parse an HTTP Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * Returns null when the header is missing or unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff delay for a zero-based attempt, never shorter than a
+ * server-provided retryAfterMs and never longer than maxMs (unless the server asks for more).
+ */
+export function backoffDelay(attempt, { baseMs = RETRY_BASE_DELAY_MS, maxMs = RETRY_MAX_DELAY_MS, retryAfterMs = null } = {}) {
+  const exponential = Math.min(maxMs, baseMs * 2 ** attempt);
+  return retryAfterMs != null ? Math.max(exponential, retryAfterMs) : exponential;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Call fn until it succeeds, retrying only errors flagged `transient` (rate limits, 5xx,
+ * network failures) with exponential backoff that honors `err.retryAfterMs`.
+ * Aborting `signal` stops waiting and rejects with the abort reason.
+ */
+export async function withRetry(fn, { retries = 3, baseMs, maxMs, signal, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!err?.transient || attempt >= retries || signal?.aborted) throw err;
+      await wait(backoffDelay(attempt, { baseMs, maxMs, retryAfterMs: err.retryAfterMs ?? null }), signal);
+    }
+  }
+}
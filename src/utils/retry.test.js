@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseRetryAfter, backoffDelay, withRetry } from './retry.js';
+
+function transientError(retryAfterMs = null) {
+  return Object.assign(new Error('busy'), { transient: true, retryAfterMs });
+}
+
+describe('parseRetryAfter', () => {
+  it('parses delta-seconds', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+  });
+
+  it('parses an HTTP date relative to now', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+  });
+
+  it('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles per attempt up to the maximum', () => {
+    expect(backoffDelay(0, { baseMs: 100, maxMs: 1000 })).toBe(100);
+    expect(backoffDelay(2, { baseMs: 100, maxMs: 1000 })).toBe(400);
+    expect(backoffDelay(10, { baseMs: 100, maxMs: 1000 })).toBe(1000);
+  });
+
+  it('waits at least as long as Retry-After asks', () => {
+    expect(backoffDelay(0, { baseMs: 100, maxMs: 1000, retryAfterMs: 5000 })).toBe(5000);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries transient errors with backoff and returns the result', async () => {
+    const wait = vi.fn(async () => {});
+    const fn = vi.fn()
+      .mockRejectedValueOnce(transientError())
+      .mockRejectedValueOnce(transientError(2000))
+      .mockResolvedValueOnce('ok');
+    expect(await withRetry(fn, { retries: 3, baseMs: 100, maxMs: 1000, wait })).toBe('ok');
+    expect(wait.mock.calls.map(c => c[0])).toEqual([100, 2000]);
+  });
+
+  it('does not retry permanent errors', async () => {
+    const fn = vi.fn().mockRejectedValue(new Error('bad token'));
+    await expect(withRetry(fn, { wait: async () => {} })).rejects.toThrow('bad token');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the retry limit', async () => {
+    const fn = vi.fn().mockRejectedValue(transientError());
+    await expect(withRetry(fn, { retries: 2, wait: async () => {} })).rejects.toThrow('busy');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops waiting when aborted', async () => {
+    const controller = new AbortController();
+    const fn = vi.fn().mockRejectedValue(transientError());
+    const promise = withRetry(fn, { retries: 5, baseMs: 10_000, signal: controller.signal });
+    await Promise.resolve();
+    controller.abort(new Error('cancelled'));
+    await expect(promise).rejects.toThrow('cancelled');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,96 @@
+import { SESSION_DB_NAME } from "../constants";
+import { createIndexedDbStore, createMemoryStore } from "./storage";
+
+export const SESSION_FORMAT = "activitymapper-session";
+export const SESSION_VERSION = 1;
+const AUTOSAVE_KEY = "autosave";
+
+/**
+ * Build a versioned, JSON-serializable project from the mapping state.
+ * Activity markers are not stored: they are recomputed from activityRows and homes on load.
+ * selectedNeighborhoods is null when every neighborhood is selected. venueLocations keeps the
+ * geocoded activity venues ({ [venue query]: location or null }) so they are not looked up again.
+ * participantRows is the optional participant roster, re-joined to the activities on load, and
+ * previousActivityRows the optional previous cycle's activities the current ones are compared with.
+ */
+export function serializeSession(
+  { homes, individualRows, activityRows, selectedNeighborhoods, failedGeocodes, boundaries, activityTypes, venueLocations, participantRows, previousActivityRows },
+  now = new Date()
+) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: now.toISOString(),
+    homes: homes || [],
+    individualRows: individualRows || null,
+    activityRows: activityRows || null,
+    selectedNeighborhoods: selectedNeighborhoods || null,
+    failedGeocodes: failedGeocodes || [],
+    boundaries: boundaries || null,
+    activityTypes: activityTypes || null,
+    venueLocations: venueLocations || {},
+    participantRows: participantRows || null,
+    previousActivityRows: previousActivityRows || null,
+  };
+}
+
+/**
+ * Validate a project (object or JSON string) and return it in the current version's shape.
+ * Throws a user-facing Error when the file is not an Activity Mapper project.
+ */
+export function parseSession(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Could not read the project file. Make sure it is valid JSON.");
+    }
+  }
+  if (!data || data.format !== SESSION_FORMAT) {
+    throw new Error("This file is not an Activity Mapper project.");
+  }
+  if (typeof data.version !== "number" || data.version > SESSION_VERSION) {
+    throw new Error("This project was saved by a newer version of Activity Mapper.");
+  }
+  if (!Array.isArray(data.homes) || data.homes.some(h => typeof h?.lat !== "number" || typeof h?.lng !== "number")) {
+    throw new Error("The project file is missing geocoded homes.");
+  }
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: data.savedAt || null,
+    homes: data.homes,
+    individualRows: Array.isArray(data.individualRows) ? data.individualRows : null,
+    activityRows: Array.isArray(data.activityRows) ? data.activityRows : null,
+    selectedNeighborhoods: Array.isArray(data.selectedNeighborhoods) ? data.selectedNeighborhoods : null,
+    failedGeocodes: Array.isArray(data.failedGeocodes) ? data.failedGeocodes : [],
+    boundaries: Array.isArray(data.boundaries) ? data.boundaries : null,
+    activityTypes: Array.isArray(data.activityTypes) ? data.activityTypes : null,
+    venueLocations: data.venueLocations && typeof data.venueLocations === "object" ? data.venueLocations : {},
+    participantRows: Array.isArray(data.participantRows) ? data.participantRows : null,
+    previousActivityRows: Array.isArray(data.previousActivityRows) ? data.previousActivityRows : null,
+  };
+}
+
+/**
+ * Autosave slot for the last session, stored in IndexedDB (large sessions exceed localStorage quotas).
+ */
+export function createSessionStore(
+  store = typeof indexedDB !== "undefined" ? createIndexedDbStore(SESSION_DB_NAME) : createMemoryStore()
+) {
+  return {
+    save: (session) => store.set(AUTOSAVE_KEY, session),
+    async load() {
+      const saved = await store.get(AUTOSAVE_KEY);
+      if (!saved) return null;
+      try {
+        return parseSession(saved);
+      } catch (err) {
+        console.warn("Ignoring unreadable autosaved session", err);
+        return null;
+      }
+    },
+    clear: () => store.delete(AUTOSAVE_KEY),
+  };
+}
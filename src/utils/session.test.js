@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  serializeSession,
+  parseSession,
+  createSessionStore,
+  SESSION_FORMAT,
+  SESSION_VERSION,
+} from './session.js';
+import { createMemoryStore } from './storage.js';
+
+const homes = [{ id: 'home-1', firstName: 'Alice', lastName: 'Smith', lat: 43.6, lng: -79.4 }];
+const activityRows = [{ 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Alice Smith' }];
+
+describe('serializeSession', () => {
+  it('produces a versioned project', () => {
+    const session = serializeSession(
+      { homes, individualRows: [{ 'First Name': 'Alice' }], activityRows, selectedNeighborhoods: ['Downtown'], failedGeocodes: [] },
+      new Date('2025-01-01T00:00:00Z')
+    );
+    expect(session).toEqual({
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      savedAt: '2025-01-01T00:00:00.000Z',
+      homes,
+      individualRows: [{ 'First Name': 'Alice' }],
+      activityRows,
+      selectedNeighborhoods: ['Downtown'],
+      failedGeocodes: [],
+      boundaries: null,
+      activityTypes: null,
+      venueLocations: {},
+      participantRows: null,
+      previousActivityRows: null,
+    });
+  });
+});
+
+describe('parseSession', () => {
+  it('round-trips through JSON', () => {
+    const session = serializeSession({ homes, activityRows });
+    expect(parseSession(JSON.stringify(session))).toEqual(session);
+  });
+
+  it('rejects invalid JSON', () => {
+    expect(() => parseSession('{')).toThrow('valid JSON');
+  });
+
+  it('rejects files that are not projects', () => {
+    expect(() => parseSession({ homes })).toThrow('not an Activity Mapper project');
+  });
+
+  it('rejects projects from a newer version', () => {
+    expect(() => parseSession({ format: SESSION_FORMAT, version: SESSION_VERSION + 1, homes }))
+      .toThrow('newer version');
+  });
+
+  it('rejects homes without coordinates', () => {
+    expect(() => parseSession({ format: SESSION_FORMAT, version: 1, homes: [{ firstName: 'A' }] }))
+      .toThrow('missing geocoded homes');
+  });
+
+  it('fills defaults for optional fields', () => {
+    const parsed = parseSession({ format: SESSION_FORMAT, version: 1, homes });
+    expect(parsed.individualRows).toBeNull();
+    expect(parsed.activityRows).toBeNull();
+    expect(parsed.selectedNeighborhoods).toBeNull();
+    expect(parsed.failedGeocodes).toEqual([]);
+    expect(parsed.boundaries).toBeNull();
+    expect(parsed.activityTypes).toBeNull();
+    expect(parsed.venueLocations).toEqual({});
+    expect(parsed.participantRows).toBeNull();
+    expect(parsed.previousActivityRows).toBeNull();
+  });
+});
+
+describe('createSessionStore', () => {
+  it('saves, loads and clears the autosave slot', async () => {
+    const store = createSessionStore(createMemoryStore());
+    expect(await store.load()).toBeNull();
+    const session = serializeSession({ homes });
+    await store.save(session);
+    expect(await store.load()).toEqual(session);
+    await store.clear();
+    expect(await store.load()).toBeNull();
+  });
+
+  it('ignores an unreadable autosave', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const memory = createMemoryStore();
+    await memory.set('autosave', { format: 'something-else' });
+    expect(await createSessionStore(memory).load()).toBeNull();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,130 @@
+import { getField, ACTIVITY_TYPE_KEYS, ACTIVITY_NAME_KEYS, FACILITATORS_KEYS } from "./parsing";
+import { normalizeName, facilitatorSetKey } from "./activities";
+import {
+  DEFAULT_ACTIVITY_TYPES,
+  activityTypesByCode,
+  buildActivityTypeLookup,
+  normalizeActivityTypeName,
+} from "./activityTypes";
+
+export const SNAPSHOT_STATUS = {
+  NEW: "new",
+  CONTINUING: "continuing",
+  ENDED: "ended",
+};
+
+export const SNAPSHOT_STATUS_LABELS = {
+  [SNAPSHOT_STATUS.NEW]: "New",
+  [SNAPSHOT_STATUS.CONTINUING]: "Continuing",
+  [SNAPSHOT_STATUS.ENDED]: "Ended",
+};
+
+/**
+ * Identity of an activity across cycles: its name, type and facilitators (in any order).
+ */
+export function snapshotKey(activity) {
+  const facilitators = facilitatorSetKey(activity.facilitators || activity.facilitator);
+  return [normalizeName(activity.activityName), activity.activity, facilitators].join("|");
+}
+
+/**
+ * The activities of one cycle's rows, for comparing cycles: one per row of a mapped activity
+ * type, whether or not it could be placed. Each is { rowIndex, activityName, activity,
+ * facilitators, facilitatorHomes }, with the matched facilitators of the row's marker (by its
+ * rowIndex) when it has one.
+ */
+export function snapshotActivities(rows, markers, activityTypes = DEFAULT_ACTIVITY_TYPES) {
+  const typeLookup = buildActivityTypeLookup(activityTypes);
+  const markersByRow = new Map(markers.map(m => [m.rowIndex, m]));
+  const activities = [];
+  rows.forEach((row, rowIndex) => {
+    const activity = typeLookup.get(normalizeActivityTypeName(getField(row, ACTIVITY_TYPE_KEYS) || ""));
+    if (!activity) return;
+    activities.push({
+      rowIndex,
+      activityName: getField(row, ACTIVITY_NAME_KEYS) || "",
+      activity,
+      facilitators: getField(row, FACILITATORS_KEYS) || "",
+      facilitatorHomes: markersByRow.get(rowIndex)?.facilitatorHomes || [],
+    });
+  });
+  return activities;
+}
+
+/**
+ * Compare the snapshotActivities of a previous and a current cycle. Each current activity is
+ * continuing when the previous cycle had one with the same snapshotKey (each previous activity
+ * pairs with at most one current one), otherwise new; unpaired previous activities ended.
+ * Returns { statusByRow: Map of current rowIndex to SNAPSHOT_STATUS, ended }, where ended are
+ * the unpaired previous activities.
+ */
+export function compareActivitySnapshots(previous, current) {
+  const unpaired = new Map();
+  previous.forEach(a => {
+    const key = snapshotKey(a);
+    if (!unpaired.has(key)) unpaired.set(key, []);
+    unpaired.get(key).push(a);
+  });
+  const statusByRow = new Map();
+  const paired = new Set();
+  current.forEach(a => {
+    const match = unpaired.get(snapshotKey(a))?.shift();
+    statusByRow.set(a.rowIndex, match ? SNAPSHOT_STATUS.CONTINUING : SNAPSHOT_STATUS.NEW);
+    if (match) paired.add(match);
+  });
+  return { statusByRow, ended: previous.filter(a => !paired.has(a)) };
+}
+
+/**
+ * The previous cycle's markers of ended activities, marked with snapshotStatus and with ids
+ * prefixed by "previous-" so they can be drawn next to the current ones. Ended activities
+ * that could not be placed have no marker.
+ */
+export function endedActivityMarkers(previousMarkers, ended) {
+  const endedRows = new Set(ended.map(a => a.rowIndex));
+  return previousMarkers
+    .filter(m => endedRows.has(m.rowIndex))
+    .map(m => ({ ...m, id: `previous-${m.id}`, snapshotStatus: SNAPSHOT_STATUS.ENDED }));
+}
+
+const emptyCounts = () => ({
+  [SNAPSHOT_STATUS.NEW]: 0,
+  [SNAPSHOT_STATUS.CONTINUING]: 0,
+  [SNAPSHOT_STATUS.ENDED]: 0,
+});
+
+/**
+ * Counts of new, continuing and ended activities in total, per activity type (in registry
+ * order) and per neighborhood (by name), from the current snapshotActivities with their
+ * statuses and the ended ones. An activity counts in each of its neighborhoodsOf, so a
+ * co-facilitated one can count in several. Rows with no activities in either cycle are left out.
+ */
+export function summarizeSnapshotChanges(
+  { current, ended, statusByRow },
+  { neighborhoodsOf = () => ["Other"], activityTypes = DEFAULT_ACTIVITY_TYPES } = {}
+) {
+  const totals = emptyCounts();
+  const byType = new Map(activityTypes.map(t => [t.code, emptyCounts()]));
+  const byNeighborhood = new Map();
+  const count = (a, status) => {
+    totals[status]++;
+    if (!byType.has(a.activity)) byType.set(a.activity, emptyCounts());
+    byType.get(a.activity)[status]++;
+    new Set(neighborhoodsOf(a)).forEach(name => {
+      if (!byNeighborhood.has(name)) byNeighborhood.set(name, emptyCounts());
+      byNeighborhood.get(name)[status]++;
+    });
+  };
+  current.forEach(a => count(a, statusByRow.get(a.rowIndex) || SNAPSHOT_STATUS.NEW));
+  ended.forEach(a => count(a, SNAPSHOT_STATUS.ENDED));
+  const typesByCode = activityTypesByCode(activityTypes);
+  const hasAny = ([, counts]) => Object.values(counts).some(n => n > 0);
+  return {
+    totals,
+    byType: Array.from(byType).filter(hasAny)
+      .map(([code, counts]) => ({ code, label: typesByCode.get(code)?.label || code, ...counts })),
+    byNeighborhood: Array.from(byNeighborhood).filter(hasAny)
+      .map(([name, counts]) => ({ name, ...counts }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
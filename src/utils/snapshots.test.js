@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  snapshotKey,
+  snapshotActivities,
+  compareActivitySnapshots,
+  endedActivityMarkers,
+  summarizeSnapshotChanges,
+  SNAPSHOT_STATUS,
+} from './snapshots.js';
+import { processActivities } from './activities.js';
+
+const activity = (rowIndex, activityName, type, facilitators, extra = {}) => ({
+  rowIndex, activityName, activity: type, facilitators, ...extra,
+});
+
+describe('snapshotKey', () => {
+  it('ignores case, spacing and facilitator order', () => {
+    expect(snapshotKey(activity('a', 'Class  A', 'CC', 'Alice Smith; Bob Jones')))
+      .toBe(snapshotKey(activity('b', 'class a', 'CC', 'bob jones;Alice  Smith')));
+    expect(snapshotKey(activity('a', 'Class A', 'CC', 'Alice Smith')))
+      .not.toBe(snapshotKey(activity('b', 'Class A', 'JY', 'Alice Smith')));
+  });
+});
+
+describe('snapshotActivities', () => {
+  it('keeps every row of a mapped type with the facilitators of its marker', () => {
+    const rows = [
+      { 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Alice Smith' },
+      { 'Activity Type': 'Unknown', Name: 'Other', Facilitators: 'Alice Smith' },
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Gone Away' },
+    ];
+    const markers = [{ rowIndex: 0, facilitatorHomes: [{ key: 'alice smith' }] }];
+    expect(snapshotActivities(rows, markers)).toEqual([
+      { rowIndex: 0, activityName: 'Class A', activity: 'CC', facilitators: 'Alice Smith', facilitatorHomes: [{ key: 'alice smith' }] },
+      { rowIndex: 2, activityName: 'Prayers', activity: 'DM', facilitators: 'Gone Away', facilitatorHomes: [] },
+    ]);
+  });
+});
+
+describe('compareActivitySnapshots', () => {
+  const previous = [
+    activity(0, 'Class A', 'CC', 'Alice Smith'),
+    activity(1, 'Prayers', 'DM', 'Bob Jones'),
+    activity(2, 'Class A', 'CC', 'Alice Smith'),
+  ];
+  const current = [
+    activity(0, 'Class A', 'CC', 'Alice Smith'),
+    activity(1, 'Book 1', 'SC', 'Bob Jones'),
+  ];
+
+  it('marks continuing and new activities and returns the ended ones', () => {
+    const { statusByRow, ended } = compareActivitySnapshots(previous, current);
+    expect(Object.fromEntries(statusByRow)).toEqual({ 0: SNAPSHOT_STATUS.CONTINUING, 1: SNAPSHOT_STATUS.NEW });
+    expect(ended.map(a => a.rowIndex)).toEqual([1, 2]);
+  });
+
+  it('counts previous-cycle activities whose facilitator is no longer among the homes', () => {
+    const rows = [
+      { 'Activity Type': "Children's Class", Name: 'Class A', Facilitators: 'Alice Smith' },
+      { 'Activity Type': 'Devotional', Name: 'Prayers', Facilitators: 'Gone Away' },
+    ];
+    const homes = [{ firstName: 'Alice', lastName: 'Smith', lat: 10, lng: 20 }];
+    const previousMarkers = processActivities(rows, homes).markers;
+    expect(previousMarkers).toHaveLength(1);
+    const comparison = compareActivitySnapshots(snapshotActivities(rows, previousMarkers), []);
+    expect(comparison.ended.map(a => a.activityName)).toEqual(['Class A', 'Prayers']);
+    expect(summarizeSnapshotChanges({ current: [], ...comparison }).totals).toEqual({ new: 0, continuing: 0, ended: 2 });
+    // Only the placed one can be drawn
+    expect(endedActivityMarkers(previousMarkers, comparison.ended)).toMatchObject([
+      { id: `previous-${previousMarkers[0].id}`, snapshotStatus: SNAPSHOT_STATUS.ENDED },
+    ]);
+  });
+
+  it('summarizes changes per type and neighborhood', () => {
+    const comparison = compareActivitySnapshots(previous, current);
+    const summary = summarizeSnapshotChanges(
+      { current, ...comparison },
+      { neighborhoodsOf: a => (a.facilitators === 'Alice Smith' ? ['Downtown'] : ['East End']) }
+    );
+    expect(summary.totals).toEqual({ new: 1, continuing: 1, ended: 2 });
+    expect(summary.byType).toEqual([
+      { code: 'CC', label: "Children's Class", new: 0, continuing: 1, ended: 1 },
+      { code: 'DM', label: 'Devotional', new: 0, continuing: 0, ended: 1 },
+      { code: 'SC', label: 'Study Circle', new: 1, continuing: 0, ended: 0 },
+    ]);
+    expect(summary.byNeighborhood).toEqual([
+      { name: 'Downtown', new: 0, continuing: 1, ended: 1 },
+      { name: 'East End', new: 1, continuing: 0, ended: 1 },
+    ]);
+  });
+
+  it('counts a co-facilitated activity in each of its neighborhoods', () => {
+    const summary = summarizeSnapshotChanges(
+      { current: [activity(0, 'Class A', 'CC', 'Alice Smith; Bob Jones')], ended: [], statusByRow: new Map() },
+      { neighborhoodsOf: () => ['Downtown', 'East End', 'Downtown'] }
+    );
+    expect(summary.totals).toEqual({ new: 1, continuing: 0, ended: 0 });
+    expect(summary.byNeighborhood.map(n => [n.name, n.new])).toEqual([['Downtown', 1], ['East End', 1]]);
+  });
+});
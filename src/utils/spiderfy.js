@@ -0,0 +1,88 @@
+import { ACTIVITY_OVERLAP_PX, SPIDER_FOOT_SEPARATION_PX, SPIDER_CIRCLE_MAX } from "../constants";
+
+const TILE_SIZE = 256;
+
+/**
+ * World pixel coordinates of a point at a zoom level (Web Mercator, as Google Maps uses).
+ */
+export function toWorldPixel(lat, lng, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const siny = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: (0.5 + lng / 360) * scale,
+    y: (0.5 - Math.log((1 + siny) / (1 - siny)) / (4 * Math.PI)) * scale,
+  };
+}
+
+export function fromWorldPixel(x, y, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI * (1 - (2 * y) / scale);
+  return {
+    lat: (Math.atan(Math.sinh(n)) * 180) / Math.PI,
+    lng: (x / scale - 0.5) * 360,
+  };
+}
+
+/**
+ * Group markers that would overlap on screen at this zoom: each marker joins the first group
+ * whose anchor (its first marker) lies within radiusPx, found through a grid of radiusPx cells.
+ * Returns [{ id, lat, lng, markers }] in first-seen order, positioned at the anchor.
+ */
+export function groupOverlapping(markers, zoom, radiusPx = ACTIVITY_OVERLAP_PX) {
+  const cells = new Map();
+  const groups = [];
+  const cellKey = (cx, cy) => `${cx}|${cy}`;
+  markers.forEach(m => {
+    const p = toWorldPixel(m.lat, m.lng, zoom);
+    const cx = Math.floor(p.x / radiusPx);
+    const cy = Math.floor(p.y / radiusPx);
+    let target = null;
+    for (let dx = -1; dx <= 1 && !target; dx++) {
+      for (let dy = -1; dy <= 1 && !target; dy++) {
+        target = (cells.get(cellKey(cx + dx, cy + dy)) || [])
+          .find(g => Math.hypot(g.x - p.x, g.y - p.y) <= radiusPx) || null;
+      }
+    }
+    if (target) {
+      target.markers.push(m);
+      return;
+    }
+    const group = { id: `group-${m.id}`, lat: m.lat, lng: m.lng, x: p.x, y: p.y, markers: [m] };
+    groups.push(group);
+    const key = cellKey(cx, cy);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(group);
+  });
+  return groups.map(({ id, lat, lng, markers: members }) => ({ id, lat, lng, markers: members }));
+}
+
+/**
+ * Fan-out positions for count markers around a center, laid out in screen pixels so the legs
+ * keep the same on-screen length at any zoom: a circle for a few markers, a spiral for more.
+ * Returns [{ lat, lng }].
+ */
+export function spiderPositions(center, count, zoom, {
+  footSeparationPx = SPIDER_FOOT_SEPARATION_PX,
+  circleMax = SPIDER_CIRCLE_MAX,
+} = {}) {
+  const c = toWorldPixel(center.lat, center.lng, zoom);
+  const offsets = [];
+  if (count <= circleMax) {
+    const legLength = (footSeparationPx * (2 + count)) / (2 * Math.PI);
+    for (let i = 0; i < count; i++) {
+      const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+      offsets.push({ x: legLength * Math.cos(angle), y: legLength * Math.sin(angle) });
+    }
+  } else {
+    // Archimedean spiral: neighbours and successive turns are about footSeparationPx apart
+    let legLength = footSeparationPx;
+    let angle = 0;
+    for (let i = 0; i < count; i++) {
+      const step = footSeparationPx / legLength;
+      angle += step;
+      offsets.push({ x: legLength * Math.cos(angle), y: legLength * Math.sin(angle) });
+      legLength += (footSeparationPx / (2 * Math.PI)) * step;
+    }
+  }
+  return offsets.map(o => fromWorldPixel(c.x + o.x, c.y + o.y, zoom));
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { toWorldPixel, fromWorldPixel, groupOverlapping, spiderPositions } from './spiderfy.js';
+
+const pixelDistance = (a, b, zoom) => {
+  const pa = toWorldPixel(a.lat, a.lng, zoom);
+  const pb = toWorldPixel(b.lat, b.lng, zoom);
+  return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+};
+
+describe('toWorldPixel / fromWorldPixel', () => {
+  it('maps the origin to the middle of the world and round-trips', () => {
+    expect(toWorldPixel(0, 0, 0)).toEqual({ x: 128, y: 128 });
+    const { x, y } = toWorldPixel(43.65, -79.38, 12);
+    const back = fromWorldPixel(x, y, 12);
+    expect(back.lat).toBeCloseTo(43.65, 9);
+    expect(back.lng).toBeCloseTo(-79.38, 9);
+  });
+});
+
+describe('groupOverlapping', () => {
+  const markers = [
+    { id: 'a', lat: 43.65, lng: -79.38 },
+    { id: 'b', lat: 43.6501, lng: -79.3801 },
+    { id: 'c', lat: 43.66, lng: -79.38 },
+  ];
+
+  it('groups markers closer than the radius on screen', () => {
+    const groups = groupOverlapping(markers, 14, 20);
+    expect(groups.map(g => g.markers.map(m => m.id))).toEqual([['a', 'b'], ['c']]);
+    expect(groups[0]).toMatchObject({ id: 'group-a', lat: 43.65, lng: -79.38 });
+  });
+
+  it('merges more markers when zoomed out and separates them when zoomed in', () => {
+    expect(groupOverlapping(markers, 8, 20)).toHaveLength(1);
+    expect(groupOverlapping(markers, 20, 20)).toHaveLength(3);
+  });
+});
+
+describe('spiderPositions', () => {
+  const center = { lat: 43.65, lng: -79.38 };
+
+  it('fans a few markers out on a circle of constant on-screen size', () => {
+    [10, 18].forEach(zoom => {
+      const positions = spiderPositions(center, 4, zoom, { footSeparationPx: 30 });
+      const radii = positions.map(p => pixelDistance(p, center, zoom));
+      radii.forEach(r => expect(r).toBeCloseTo((30 * 6) / (2 * Math.PI), 6));
+    });
+  });
+
+  it('lays many markers on a spiral without overlaps', () => {
+    const positions = spiderPositions(center, 40, 16, { footSeparationPx: 30, circleMax: 8 });
+    let closest = Infinity;
+    positions.forEach((p, i) => positions.slice(0, i).forEach(q => {
+      closest = Math.min(closest, pixelDistance(p, q, 16));
+    }));
+    expect(positions).toHaveLength(40);
+    expect(closest).toBeGreaterThan(24);
+  });
+});
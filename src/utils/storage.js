@@ -0,0 +1,82 @@
+import { SETTINGS_DB_NAME } from "../constants";
+
+function promisifyRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Key/value store backed by a single IndexedDB object store. The database is opened lazily on first use.
+ */
+export function createIndexedDbStore(dbName, storeName = "keyval") {
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      dbPromise = promisifyRequest(req);
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await getDb();
+    return promisifyRequest(fn(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    set: (key, value) => run("readwrite", (store) => store.put(value, key)),
+    delete: (key) => run("readwrite", (store) => store.delete(key)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+}
+
+/**
+ * In-memory key/value store with the same interface as createIndexedDbStore.
+ * Used when IndexedDB is unavailable (e.g. some private browsing modes) and in tests.
+ */
+export function createMemoryStore() {
+  const map = new Map();
+  return {
+    get: async (key) => map.get(key),
+    set: async (key, value) => { map.set(key, value); },
+    delete: async (key) => { map.delete(key); },
+    clear: async () => { map.clear(); },
+  };
+}
+
+/**
+ * Store for the app's saved settings, which share one IndexedDB database; in memory when
+ * IndexedDB is unavailable.
+ */
+export function createSettingsStore() {
+  return typeof indexedDB !== "undefined" ? createIndexedDbStore(SETTINGS_DB_NAME) : createMemoryStore();
+}
+
+/**
+ * One saved setting under key. load() resolves with parse(saved value), or with fallback when
+ * nothing was saved or the store cannot be read; load and save only warn (naming the setting
+ * by label) on failure, so a broken store never blocks the app.
+ */
+export function createJsonSetting(key, { store = createSettingsStore(), fallback = null, parse = (value) => value, label = key } = {}) {
+  return {
+    async load() {
+      try {
+        const saved = await store.get(key);
+        return saved === undefined || saved === null ? fallback : parse(saved);
+      } catch (err) {
+        console.warn(`Could not load ${label}`, err);
+        return fallback;
+      }
+    },
+    async save(value) {
+      try {
+        await store.set(key, value);
+      } catch (err) {
+        console.warn(`Could not save ${label}`, err);
+      }
+    },
+    clear: () => store.delete(key),
+  };
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createJsonSetting, createMemoryStore } from './storage.js';
+
+describe('createJsonSetting', () => {
+  it('loads the fallback until a value is saved, parsing saved values', async () => {
+    const setting = createJsonSetting('names', {
+      store: createMemoryStore(),
+      fallback: [],
+      parse: saved => saved.map(n => n.trim()),
+    });
+    expect(await setting.load()).toEqual([]);
+    await setting.save([' Alice ']);
+    expect(await setting.load()).toEqual(['Alice']);
+    await setting.clear();
+    expect(await setting.load()).toEqual([]);
+  });
+
+  it('keeps settings apart by key in a shared store', async () => {
+    const store = createMemoryStore();
+    await createJsonSetting('a', { store }).save(1);
+    expect(await createJsonSetting('b', { store }).load()).toBeNull();
+  });
+
+  it('warns instead of throwing when the store fails', async () => {
+    const failing = { get: () => Promise.reject(new Error('blocked')), set: () => Promise.reject(new Error('blocked')) };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const setting = createJsonSetting('names', { store: failing, fallback: [], label: 'the names' });
+    expect(await setting.load()).toEqual([]);
+    await setting.save(['Alice']);
+    expect(warn.mock.calls.map(([message]) => message)).toEqual(['Could not load the names', 'Could not save the names']);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,13 @@
+import { createDataTasks } from "../utils/dataTasks";
+
+// Message protocol: { id, task, args } in; { id, progress }, { id, result } or { id, error } out
+const tasks = createDataTasks();
+
+self.onmessage = async ({ data: { id, task, args } }) => {
+  try {
+    const result = await tasks[task](args, { onProgress: progress => self.postMessage({ id, progress }) });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};